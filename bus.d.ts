@@ -7,7 +7,7 @@ export type EventPayload<Type extends EventTypes = EventTypes> = {
     properties: Events[Type];
 };
 type Subscription = {
-    type: EventTypes;
+    type: EventTypes | "*";
     cb: (payload: any) => void;
 };
 export declare const useBus: () => {
@@ -15,6 +15,10 @@ export declare const useBus: () => {
     publish<Type extends keyof Events>(type: Type, properties: Events[Type]): void;
     unsubscribe(sub: Subscription): void;
     subscribe<Type_1 extends keyof Events>(type: Type_1, cb: (payload: EventPayload<Type_1>) => void): Subscription;
+    /**
+     * Subscribes to every event published on the bus
+     */
+    subscribeAll(cb: (payload: EventPayload) => void): Subscription;
     forward<T extends (keyof Events)[]>(..._types: T): <Type_2 extends T[number]>(type: Type_2, cb: (payload: EventPayload<Type_2>) => void) => Subscription;
 };
 export {};
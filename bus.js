@@ -26,6 +26,8 @@ export const useBus = lazy(() => {
             }
             for (const sub of subscribers(type))
                 sub.cb(payload);
+            for (const sub of subscribers("*"))
+                sub.cb(payload);
         },
         unsubscribe(sub) {
             const arr = subscribers(sub.type);
@@ -42,6 +44,17 @@ export const useBus = lazy(() => {
             subscribers(type).push(sub);
             return sub;
         },
+        /**
+         * Subscribes to every event published on the bus
+         */
+        subscribeAll(cb) {
+            const sub = {
+                type: "*",
+                cb,
+            };
+            subscribers("*").push(sub);
+            return sub;
+        },
         forward(..._types) {
             return (type, cb) => {
                 return this.subscribe(type, cb);
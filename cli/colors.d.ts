@@ -1,6 +1,10 @@
 declare let last: "line" | "gap";
 export declare const Colors: {
     line: (message?: any, ...optionalParams: any[]) => void;
+    /**
+     * Sends all output to stderr, keeping stdout free for machine readable output
+     */
+    stderr(): void;
     mode(input: typeof last): void;
     gap(): void;
     hex: (color: string) => import("chalk").ChalkInstance;
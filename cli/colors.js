@@ -1,9 +1,16 @@
 import chalk from "chalk";
 let last = "gap";
+let print = console.log;
 export const Colors = {
     line: (message, ...optionalParams) => {
         last = "line";
-        console.log(message, ...optionalParams);
+        print(message, ...optionalParams);
+    },
+    /**
+     * Sends all output to stderr, keeping stdout free for machine readable output
+     */
+    stderr() {
+        print = console.error;
     },
     mode(input) {
         last = input;
@@ -11,7 +18,7 @@ export const Colors = {
     gap() {
         if (last === "line") {
             last = "gap";
-            console.log();
+            print();
         }
     },
     hex: chalk.hex,
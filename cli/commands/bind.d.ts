@@ -12,6 +12,10 @@ export declare const bind: (program: Program) => import("yargs").Argv<{
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 } & {
     script: boolean | undefined;
 } & {
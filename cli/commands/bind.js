@@ -23,6 +23,7 @@ export const bind = (program) => program
     const { useBus } = await import("../../bus.js");
     const { useIOT, isSupported } = await import("../../iot.js");
     const { Colors } = await import("../colors.js");
+    const { isNDJSON } = await import("../ndjson.js");
     const { Logger } = await import("../../logger.js");
     const [{ useServices }, { useSites: useSsrSites }, { useSites: useStaticSites }, { useSites: useSlsNextjsSites }, { Parameter }, { getEnvironmentKey },] = await Promise.all([
         import("../../constructs/Service.js"),
@@ -307,7 +308,8 @@ export const bind = (program) => program
                     ...envs,
                     AWS_REGION: project.config.region,
                 },
-                stdio: "inherit",
+                // Keep stdout free for the --output ndjson stream
+                stdio: isNDJSON() ? ["inherit", process.stderr, "inherit"] : "inherit",
                 shell: true,
             });
             p.on("exit", (code) => {
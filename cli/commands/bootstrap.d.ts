@@ -12,4 +12,8 @@ export declare const bootstrap: (program: Program) => import("yargs").Argv<{
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 }>;
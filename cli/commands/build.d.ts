@@ -12,6 +12,10 @@ export declare const build: (program: Program) => import("yargs").Argv<{
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 } & {
     to: string | undefined;
 }>;
@@ -12,4 +12,8 @@ export declare const consoleCommand: (program: Program) => Promise<import("yargs
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 }>>;
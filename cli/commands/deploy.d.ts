@@ -12,8 +12,16 @@ export declare const deploy: (program: Program) => import("yargs").Argv<{
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 } & {
     from: string | undefined;
 } & {
     filter: string | undefined;
+} & {
+    plan: string | undefined;
+} & {
+    apply: string | undefined;
 }>;
@@ -10,19 +10,29 @@ export const deploy = (program) => program.command("deploy [filter]", "Deploy yo
     .positional("filter", {
     type: "string",
     describe: "Optionally filter stacks to deploy",
-}), async (args) => {
-    const React = await import("react");
+})
+    .option("plan", {
+    type: "string",
+    describe: "Create change sets and save them to a plan file instead of deploying, defaults to .sst/plan.json",
+})
+    .option("apply", {
+    type: "string",
+    describe: "Deploy the change sets in a plan file",
+})
+    .conflicts("plan", "apply"), async (args) => {
     const { printDeploymentResults } = await import("../ui/deploy.js");
     const { createSpinner } = await import("../spinner.js");
     const { dim, blue, bold } = await import("colorette");
     const { exit, exitWithError } = await import("../program.js");
     const { useProject } = await import("../../project.js");
-    const { SilentError } = await import("../../error.js");
+    const { Logger } = await import("../../logger.js");
+    const { SilentError, VisibleError } = await import("../../error.js");
     const { loadAssembly, useAppMetadata, saveAppMetadata, Stacks } = await import("../../stacks/index.js");
     const { getCiInfo } = await import("../ci-info.js");
-    const { render } = await import("ink");
-    const { DeploymentUI } = await import("../ui/deploy.js");
+    const { renderDeploymentUI } = await import("../ui/deploy.js");
+    const { confirmProtectedStage } = await import("../protected-stage.js");
     const { mapValues } = await import("remeda");
+    let results;
     try {
         const project = useProject();
         const [identity, appMetadata] = await Promise.all([
@@ -59,6 +69,30 @@ export const deploy = (program) => program.command("deploy [filter]", "Deploy yo
         Colors.line(`   ${Colors.bold("Region:")}  ${project.config.region}`);
         Colors.line(`   ${Colors.bold("Account:")} ${identity.Account}`);
         Colors.gap();
+        // Creating a plan does not change anything
+        if (args.plan === undefined)
+            await confirmProtectedStage("deploy to");
+        if (args.apply !== undefined) {
+            const plan = JSON.parse(await fs
+                .readFile(args.apply)
+                .then((x) => x.toString())
+                .catch(() => {
+                throw new VisibleError(`Could not read the plan file "${args.apply}"`);
+            }));
+            const assembly = await loadAssembly(plan.assembly).catch(() => {
+                throw new VisibleError(`Could not find the build output for this plan in "${plan.assembly}". Run "sst deploy --plan" again.`);
+            });
+            await Stacks.runHook("preDeploy", {
+                assembly,
+                stacks: assembly.stacks.filter((s) => plan.stacks.some((planned) => planned.id === s.id)),
+            });
+            const component = renderDeploymentUI({ assembly: assembly });
+            results = await Stacks.applyPlan(plan).finally(() => {
+                component.clear();
+                component.unmount();
+            });
+            await finish(assembly, results);
+        }
         const isActiveStack = (stackId) => !args.filter ||
             stackId
                 .toLowerCase()
@@ -73,6 +107,7 @@ export const deploy = (program) => program.command("deploy [filter]", "Deploy yo
                 const result = await loadAssembly(args.from);
                 return result;
             }
+            await Stacks.runHook("preBuild", {});
             const spinner = createSpinner({
                 text: " Building...",
             });
@@ -81,8 +116,13 @@ export const deploy = (program) => program.command("deploy [filter]", "Deploy yo
                 fn: sstConfig.stacks,
                 mode: "deploy",
                 isActiveStack,
+                // Keep the build output of a plan around until it is applied
+                buildDir: args.plan !== undefined
+                    ? path.join(project.paths.out, "plan")
+                    : undefined,
             });
             spinner.succeed();
+            await Stacks.runHook("postSynth", { assembly: result });
             return result;
         })();
         const target = assembly.stacks.filter((s) => isActiveStack(s.id));
@@ -90,23 +130,89 @@ export const deploy = (program) => program.command("deploy [filter]", "Deploy yo
             Colors.line(`No stacks found matching ${blue(args.filter)}`);
             throw new SilentError(`No stacks found matching ${args.filter}`);
         }
-        const component = render(React.createElement(DeploymentUI, { assembly: assembly }));
-        const results = await Stacks.deployMany(target);
+        if (args.plan !== undefined) {
+            const file = args.plan || path.join(project.paths.out, "plan.json");
+            const spinner = createSpinner({
+                text: " Creating change sets...",
+            });
+            const plan = await Stacks.createPlan(target, path.resolve(assembly.directory));
+            spinner.succeed();
+            await fs.writeFile(file, JSON.stringify(plan, null, 2));
+            printPlan(plan);
+            Colors.gap();
+            Colors.line(Colors.primary(`➜ `), `Saved plan to "${file}". Run "sst deploy --apply ${file}" to deploy it.`);
+            await exit();
+        }
+        await Stacks.runHook("preDeploy", { assembly, stacks: target });
+        const component = renderDeploymentUI({ assembly: assembly });
+        results = await Stacks.deployMany(target);
         component.clear();
         component.unmount();
-        printDeploymentResults(assembly, results);
-        // Check failed stacks
-        const failed = Object.values(results).find((result) => Stacks.isFailed(result.status));
-        if (failed) {
-            throw new SilentError(`CloudFormation status ${failed.status}`);
+        await finish(assembly, results);
+        async function finish(assembly, results) {
+            printDeploymentResults(assembly, results);
+            // Check failed stacks
+            const failed = Object.values(results).find((result) => Stacks.isFailed(result.status));
+            if (failed) {
+                throw new SilentError(`CloudFormation status ${failed.status}`);
+            }
+            fs.writeFile(project.config.outputs ||
+                path.join(project.paths.out, "outputs.json"), JSON.stringify(mapValues(results, (val) => val.outputs), null, 2));
+            // Update app state
+            await saveAppMetadata({ mode: "deploy" });
+            await Stacks.archiveDeployment(assembly, assembly.stacks.filter((s) => s.id in results)).catch((e) => {
+                Logger.debug("Failed to archive deployment", e);
+                Colors.line(Colors.warning(`⚠ `), "Could not save this deployment to the history");
+            });
+            await Stacks.runHook("postDeploy", { assembly, results });
+            await exit();
         }
-        fs.writeFile(project.config.outputs ||
-            path.join(project.paths.out, "outputs.json"), JSON.stringify(mapValues(results, (val) => val.outputs), null, 2));
-        // Update app state
-        await saveAppMetadata({ mode: "deploy" });
-        await exit();
     }
     catch (e) {
+        await Stacks.runHook("onFailure", {
+            command: "deploy",
+            error: e,
+            results,
+        }).catch((hookError) => {
+            Colors.line(Colors.warning(`⚠ `), hookError.message);
+        });
         await exitWithError(e);
     }
 });
+function printPlan(plan) {
+    let destructive = 0;
+    for (const stack of plan.stacks) {
+        const name = Colors.dim.bold(stack.id + ":");
+        if (stack.noOp || stack.changes.length === 0) {
+            Colors.line(`➜  ${name} No changes`);
+            continue;
+        }
+        Colors.line(`➜  ${name} ${stack.changes.length === 1 ? "1 change" : `${stack.changes.length} changes`}`);
+        for (const change of stack.changes) {
+            const replaces = change.replacement === "True" || change.replacement === "Conditional";
+            const isDestructive = change.action === "Remove" || (change.action === "Modify" && replaces);
+            if (isDestructive && change.stateful)
+                destructive++;
+            const symbol = change.action === "Add"
+                ? Colors.success("+")
+                : change.action === "Remove"
+                    ? Colors.danger("-")
+                    : Colors.warning("~");
+            const note = change.action === "Modify" && change.replacement === "True"
+                ? Colors.danger(" (replace)")
+                : change.action === "Modify" && change.replacement === "Conditional"
+                    ? Colors.warning(" (may replace)")
+                    : "";
+            const warning = isDestructive && change.stateful
+                ? Colors.danger.bold(" ⚠ data may be lost")
+                : "";
+            Colors.line(`   ${symbol} ${change.path} ${Colors.dim(change.type)}${note}${warning}`);
+        }
+        Colors.gap();
+    }
+    if (destructive > 0) {
+        Colors.line(Colors.danger.bold(`⚠  ${destructive === 1
+            ? "1 stateful resource"
+            : `${destructive} stateful resources`} will be replaced or deleted`));
+    }
+}
@@ -12,8 +12,16 @@ export declare const dev: (program: Program) => import("yargs").Argv<{
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 } & {
     "increase-timeout": boolean | undefined;
+} & {
+    local: boolean | undefined;
+} & {
+    emulate: boolean | undefined;
 }>;
 declare module "../../bus.js" {
     interface Events {
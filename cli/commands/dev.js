@@ -2,6 +2,14 @@ import { VisibleError } from "../../error.js";
 export const dev = (program) => program.command(["dev", "start"], "Work on your app locally", (yargs) => yargs.option("increase-timeout", {
     type: "boolean",
     description: "Increase function timeout",
+})
+    .option("local", {
+    type: "boolean",
+    description: "Run functions locally without deploying or connecting to AWS",
+})
+    .option("emulate", {
+    type: "boolean",
+    description: "Emulate bound tables, queues, buckets, topics and event buses locally, requires --local",
 }), async (args) => {
     const { Logger } = await import("../../logger.js");
     const { Colors } = await import("../colors.js");
@@ -22,12 +30,19 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
     const { useMetadataCache } = await import("../../stacks/metadata.js");
     const { lazy } = await import("../../util/lazy.js");
     const { useIOT, isSupported } = await import("../../iot.js");
+    const { confirmProtectedStage } = await import("../protected-stage.js");
     try {
         if (args._[0] === "start") {
             console.log(yellow(`Warning: ${bold(`sst start`)} has been renamed to ${bold(`sst dev`)}`));
         }
         const project = useProject();
-        if (!isSupported()) {
+        if (args.emulate && !args.local) {
+            throw new VisibleError(`The "--emulate" option can only be used together with "--local"`);
+        }
+        // Local mode does not deploy anything
+        if (!args.local)
+            await confirmProtectedStage("run sst dev against");
+        if (!args.local && !isSupported()) {
             throw new VisibleError(`Live Lambda is not currently supported in the "${project.config.region}" region. To fix this, you can pick an alternative region just for your local environment - https://docs.sst.dev/live-lambda-development#supported-regions`);
         }
         const useFunctionLogger = lazy(async () => {
@@ -133,9 +148,7 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
         });
         const useStackBuilder = lazy(async () => {
             const watcher = useWatcher();
-            const { printDeploymentResults, DeploymentUI } = await import("../ui/deploy.js");
-            const { render } = await import("ink");
-            const React = await import("react");
+            const { printDeploymentResults, renderDeploymentUI } = await import("../ui/deploy.js");
             const scriptVersion = Date.now().toString();
             let lastDeployed;
             let isWorking = false;
@@ -165,6 +178,7 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                         fn: project.stacks,
                         outDir: `.sst/cdk.out`,
                         mode: "dev",
+                        offline: args.local,
                     });
                     Logger.debug("Directory", assembly.directory);
                     const next = await checksum(assembly.directory);
@@ -185,7 +199,7 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                         spinner.succeed(Colors.dim(` Built`));
                         Colors.gap();
                     }
-                    deploy(assembly);
+                    args.local ? serve(assembly) : deploy(assembly);
                 }
                 catch (ex) {
                     isWorking = false;
@@ -226,7 +240,7 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                 }
                 const nextChecksum = await checksum(assembly.directory);
                 const { useSites } = await import("../../constructs/SsrSite.js");
-                const component = render(React.createElement(DeploymentUI, { assembly: assembly }));
+                const component = renderDeploymentUI({ assembly: assembly });
                 const { Stacks } = await import("../../stacks/index.js");
                 const results = await Stacks.deployMany(assembly.stacks);
                 component.clear();
@@ -272,6 +286,31 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
                 if (isDirty)
                     build();
             }
+            async function serve(assembly) {
+                const { useConstructsMetadata } = await import("../../constructs/App.js");
+                const { useLocalFunctions } = await import("../../runtime/local.js");
+                const { useLocalApiServerConfig } = await import("../../runtime/server.js");
+                const nextChecksum = await checksum(assembly.directory);
+                const metadata = useConstructsMetadata().all;
+                useLocalFunctions().update(assembly);
+                useBus().publish("stacks.metadata", metadata);
+                // Print local API urls on first run
+                if (!lastDeployed) {
+                    const server = await useLocalApiServerConfig();
+                    Object.values(metadata)
+                        .flat()
+                        .filter((c) => c.type === "Api" || c.type === "ApiGatewayV1Api")
+                        .forEach((c) => {
+                        Colors.line(Colors.primary(`➜ `), Colors.bold(`${c.id}:`), `${server.url}/${c.id}`);
+                    });
+                    Colors.gap();
+                    trackDevRunning();
+                }
+                lastDeployed = nextChecksum;
+                isWorking = false;
+                if (isDirty)
+                    build();
+            }
             async function checksum(cdkOutPath) {
                 const manifestPath = path.join(cdkOutPath, "manifest.json");
                 const cdkManifest = JSON.parse(await fs.readFile(manifestPath).then((x) => x.toString()));
@@ -323,7 +362,20 @@ export const dev = (program) => program.command(["dev", "start"], "Work on your
         Logger.debug("dev is ready");
         const appMetadata = lazy(() => import("../../stacks/app-metadata.js").then((mod) => mod.useAppMetadata()));
         clear();
-        await printHeader({ console: true, hint: "ready!" });
+        await printHeader({ console: !args.local, hint: "ready!" });
+        if (args.local) {
+            await Promise.all([
+                useStackBuilder(),
+                import("../../runtime/workers.js").then((mod) => mod.useRuntimeWorkers()),
+                import("../../runtime/server.js").then((mod) => mod.useRuntimeServer()),
+                import("../../runtime/server.js").then((mod) => mod.useLocalApiServer()),
+                args.emulate &&
+                    import("../../runtime/emulator.js").then((mod) => mod.useLocalEmulator()),
+                import("./plugins/pothos.js").then((mod) => mod.usePothosBuilder()),
+                useFunctionLogger(),
+            ]);
+            return;
+        }
         await Promise.all([
             useStackBuilder(),
             useMetadataCache(),
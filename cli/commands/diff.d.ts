@@ -12,8 +12,18 @@ export declare const diff: (program: Program) => import("yargs").Argv<{
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 } & {
     dev: boolean | undefined;
 } & {
     to: string | undefined;
+} & {
+    format: string;
+} & {
+    "fail-on-changes": boolean | undefined;
+} & {
+    "fail-on-iam-broadening": boolean | undefined;
 }>;
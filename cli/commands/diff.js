@@ -7,6 +7,20 @@ export const diff = (program) => program.command("diff", "Compare your app with
     .option("to", {
     type: "string",
     describe: "Output directory, defaults to .sst/dist",
+})
+    .option("format", {
+    type: "string",
+    choices: ["text", "json", "markdown"],
+    default: "text",
+    describe: "Output format",
+})
+    .option("fail-on-changes", {
+    type: "boolean",
+    describe: "Exit with code 1 if there are any changes",
+})
+    .option("fail-on-iam-broadening", {
+    type: "boolean",
+    describe: "Exit with code 2 if IAM permissions or security group rules are added",
 }), async (args) => {
     const { exit, exitWithError } = await import("../program.js");
     const { useProject } = await import("../../project.js");
@@ -16,6 +30,7 @@ export const diff = (program) => program.command("diff", "Compare your app with
     const { createSpinner } = await import("../spinner.js");
     const { Colors } = await import("../colors.js");
     try {
+        const isText = args.format === "text";
         // Build app
         const project = useProject();
         const [_metafile, sstConfig] = await Stacks.load(project.paths.config);
@@ -27,20 +42,39 @@ export const diff = (program) => program.command("diff", "Compare your app with
         // Diff each stack
         let changesAcc = 0;
         let changedStacks = 0;
+        const results = [];
         const cfn = useAWSClient(CloudFormationClient);
         for (const stack of assembly.stacks) {
-            const spinner = createSpinner(`${stack.stackName}: Checking for changes...`);
+            const spinner = isText
+                ? createSpinner(`${stack.stackName}: Checking for changes...`)
+                : undefined;
             // get old template
             const oldTemplate = await getTemplate(stack.stackName);
+            // generate diff, new stacks are compared against an empty template
+            const { count, diff, changes } = await Stacks.diff(stack, oldTemplate || {});
+            spinner?.clear();
+            results.push({
+                stack: stackNameToId(stack.stackName),
+                stackName: stack.stackName,
+                status: !oldTemplate ? "new" : count === 0 ? "unchanged" : "changed",
+                count,
+                ...changes,
+            });
             if (!oldTemplate) {
-                spinner.clear();
-                Colors.line(`➜  ${Colors.dim.bold(stackNameToId(stack.stackName) + ":")} New stack`);
-                Colors.gap();
+                changesAcc += count;
+                changedStacks++;
+                if (isText) {
+                    Colors.line(`➜  ${Colors.dim.bold(stackNameToId(stack.stackName) + ":")} New stack`);
+                    Colors.gap();
+                }
                 continue;
             }
-            // generate diff
-            const { count, diff } = await Stacks.diff(stack, oldTemplate);
-            spinner.clear();
+            if (count > 0) {
+                changesAcc += count;
+                changedStacks++;
+            }
+            if (!isText)
+                continue;
             // print diff result
             if (count === 0) {
                 Colors.line(`➜  ${Colors.dim.bold(stackNameToId(stack.stackName) + ":")} No changes`);
@@ -50,23 +84,38 @@ export const diff = (program) => program.command("diff", "Compare your app with
                 Colors.line(`➜  ${Colors.dim.bold(stackNameToId(stack.stackName) + ":")} ${count} change`);
                 Colors.gap();
                 console.log(diff);
-                changesAcc += count;
-                changedStacks++;
             }
             else {
                 Colors.line(`➜  ${Colors.dim.bold(stackNameToId(stack.stackName) + ":")} ${count} changes`);
                 Colors.gap();
                 console.log(diff);
-                changesAcc += count;
-                changedStacks++;
             }
         }
-        // Handle no changes
-        if (changedStacks === 0) {
-            Colors.line(Colors.success(`✔`), Colors.bold(" Diff:"), "No changes");
+        const permissionsBroadened = results.some((r) => r.permissionsBroadened);
+        if (args.format === "json") {
+            console.log(JSON.stringify({
+                app: project.config.name,
+                stage: project.config.stage,
+                count: changesAcc,
+                changedStacks,
+                permissionsBroadened,
+                stacks: results,
+            }, null, 2));
         }
-        else {
-            Colors.line(Colors.success(`✔`), Colors.bold(" Diff:"), changesAcc === 1 ? "1 change found in" : `${changesAcc} changes in`, changedStacks === 1 ? "1 stack" : `${changedStacks} stacks`);
+        if (args.format === "markdown") {
+            console.log(toMarkdown(results));
+        }
+        if (isText) {
+            // Handle no changes
+            if (changedStacks === 0) {
+                Colors.line(Colors.success(`✔`), Colors.bold(" Diff:"), "No changes");
+            }
+            else {
+                Colors.line(Colors.success(`✔`), Colors.bold(" Diff:"), changesAcc === 1 ? "1 change found in" : `${changesAcc} changes in`, changedStacks === 1 ? "1 stack" : `${changedStacks} stacks`);
+            }
+            if (permissionsBroadened) {
+                Colors.line(Colors.warning(`⚠`), Colors.bold(" IAM:"), "Permissions or security group rules are being added");
+            }
         }
         async function getTemplate(stackName) {
             try {
@@ -81,9 +130,86 @@ export const diff = (program) => program.command("diff", "Compare your app with
                 throw e;
             }
         }
+        if (args.failOnIamBroadening && permissionsBroadened)
+            await exit(2);
+        if (args.failOnChanges && changedStacks > 0)
+            await exit(1);
         await exit();
     }
     catch (e) {
         await exitWithError(e);
     }
 });
+function toMarkdown(results) {
+    const lines = ["## SST Diff", ""];
+    const changed = results.filter((r) => r.status !== "unchanged");
+    if (changed.length === 0) {
+        lines.push("No changes");
+        return lines.join("\n");
+    }
+    for (const result of changed) {
+        lines.push(`### ${result.stack}${result.status === "new" ? " (new stack)" : ""}`, "");
+        if (result.permissionsBroadened) {
+            lines.push("> **Warning**: this stack adds IAM permissions or security group rules", "");
+        }
+        if (result.resources.length) {
+            lines.push(...table(["", "Resource", "Type", "Impact"], result.resources.map((r) => [
+                symbol(r.action),
+                code(r.path),
+                r.type,
+                r.impact,
+            ])));
+        }
+        if (result.outputs.length) {
+            lines.push(...table(["", "Output"], result.outputs.map((o) => [symbol(o.action), code(o.key)])));
+        }
+        if (result.iam.statements.length) {
+            lines.push("#### IAM Statements", "", ...table(["", "Construct", "Effect", "Actions", "Resources", "Principals"], result.iam.statements.map((s) => [
+                symbol(s.action),
+                code(s.path),
+                s.effect,
+                list(s.actions ?? s.notActions),
+                list(s.resources ?? s.notResources),
+                list(s.principals ?? s.notPrincipals),
+            ])));
+        }
+        if (result.iam.managedPolicies.length) {
+            lines.push("#### IAM Managed Policies", "", ...table(["", "Construct", "Identity", "Policy"], result.iam.managedPolicies.map((p) => [
+                symbol(p.action),
+                code(p.path),
+                p.identityArn,
+                p.managedPolicyArn,
+            ])));
+        }
+        if (result.securityGroups.length) {
+            lines.push("#### Security Group Rules", "", ...table(["", "Construct", "Direction", "Protocol", "Ports", "Peer"], result.securityGroups.map((r) => [
+                symbol(r.action),
+                code(r.path),
+                r.direction,
+                r.ipProtocol,
+                r.fromPort === r.toPort
+                    ? String(r.fromPort ?? "")
+                    : `${r.fromPort}-${r.toPort}`,
+                JSON.stringify(r.peer ?? ""),
+            ])));
+        }
+    }
+    return lines.join("\n");
+    function table(header, rows) {
+        return [
+            `| ${header.join(" | ")} |`,
+            `| ${header.map(() => "---").join(" | ")} |`,
+            ...rows.map((row) => `| ${row.map((cell) => String(cell ?? "").replace(/\|/g, "\\|")).join(" | ")} |`),
+            "",
+        ];
+    }
+    function symbol(action) {
+        return { add: "+", remove: "-", update: "~" }[action];
+    }
+    function code(value) {
+        return "`" + value + "`";
+    }
+    function list(values) {
+        return (values || []).join("<br>");
+    }
+}
@@ -0,0 +1,23 @@
+/// <reference types="yargs" />
+import type { Program } from "../program.js";
+export declare const drift: (program: Program) => import("yargs").Argv<{
+    stage: string | undefined;
+} & {
+    profile: string | undefined;
+} & {
+    region: string | undefined;
+} & {
+    verbose: boolean | undefined;
+} & {
+    role: string | undefined;
+} & {
+    future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
+} & {
+    filter: string | undefined;
+} & {
+    format: string;
+}>;
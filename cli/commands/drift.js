@@ -0,0 +1,115 @@
+import { stackNameToId } from "../ui/stack.js";
+export const drift = (program) => program.command("drift [filter]", "Detect changes made to your deployed stacks outside of SST", (yargs) => yargs
+    .positional("filter", {
+    type: "string",
+    describe: "Optionally filter stacks to check",
+})
+    .option("format", {
+    type: "string",
+    choices: ["text", "json"],
+    default: "text",
+    describe: "Output format",
+})
+    .option("timeout", {
+    type: "number",
+    default: 600,
+    describe: "Seconds to wait for drift detection on each stack",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../program.js");
+    const { useProject } = await import("../../project.js");
+    const { Stacks } = await import("../../stacks/index.js");
+    const { SilentError } = await import("../../error.js");
+    const { createSpinner } = await import("../spinner.js");
+    const { Colors } = await import("../colors.js");
+    try {
+        const isText = args.format === "text";
+        const project = useProject();
+        const isActiveStack = (stackId) => !args.filter ||
+            stackId
+                .toLowerCase()
+                .replace(project.config.name.toLowerCase(), "")
+                .replace(project.config.stage.toLowerCase(), "")
+                .includes(args.filter.toLowerCase());
+        // Build app to map logical ids back to constructs
+        const [_metafile, sstConfig] = await Stacks.load(project.paths.config);
+        const assembly = await Stacks.synth({
+            fn: sstConfig.stacks,
+            mode: "deploy",
+        });
+        const target = assembly.stacks.filter((s) => isActiveStack(s.id));
+        if (!target.length) {
+            if (isText)
+                Colors.line(`No stacks found matching ${args.filter}`);
+            throw new SilentError(`No stacks found matching ${args.filter}`);
+        }
+        // Check each stack
+        const results = [];
+        for (const stack of target) {
+            const id = stackNameToId(stack.stackName);
+            const spinner = isText
+                ? createSpinner(` ${id}: Detecting drift...`).start()
+                : undefined;
+            const result = await Stacks.drift(stack, { timeout: args.timeout });
+            spinner?.stop();
+            results.push({ stack: id, stackName: stack.stackName, ...result });
+            if (!isText)
+                continue;
+            const name = Colors.dim.bold(id + ":");
+            if (result.status === "NOT_DEPLOYED") {
+                Colors.line(`➜  ${name} Not deployed`);
+                continue;
+            }
+            if (result.status === "TIMED_OUT") {
+                Colors.line(`➜  ${name} ${Colors.warning("Timed out")} ${Colors.dim(result.reason)}`);
+                Colors.gap();
+                continue;
+            }
+            if (result.resources.length === 0) {
+                Colors.line(`➜  ${name} In sync`);
+            }
+            else {
+                Colors.line(`➜  ${name} ${result.resources.length === 1
+                    ? "1 resource drifted"
+                    : `${result.resources.length} resources drifted`}`);
+                for (const resource of result.resources) {
+                    Colors.line(`   ${resource.status === "DELETED"
+                        ? Colors.danger("- ")
+                        : Colors.warning("~ ")}${resource.path} ${Colors.dim(resource.type)}`);
+                    for (const diff of resource.differences) {
+                        Colors.line(`     ${diff.property}: ${Colors.dim(diff.expected ?? "")} → ${diff.actual ?? ""}`);
+                    }
+                }
+            }
+            if (result.reason) {
+                Colors.line(`   ${Colors.warning("Some resources could not be checked:")} ${result.reason}`);
+            }
+            Colors.gap();
+        }
+        const drifted = results.filter((r) => r.resources.length > 0);
+        const timedOut = results.filter((r) => r.status === "TIMED_OUT");
+        if (!isText) {
+            console.log(JSON.stringify({
+                app: project.config.name,
+                stage: project.config.stage,
+                drifted: drifted.length > 0,
+                stacks: results,
+            }, null, 2));
+            await exit();
+        }
+        if (timedOut.length) {
+            Colors.line(Colors.warning(`⚠`), Colors.bold(" Drift:"), `Could not check ${timedOut.map((r) => r.stack).join(", ")}, run "sst drift" again with a longer "--timeout"`);
+        }
+        if (drifted.length === 0) {
+            if (!timedOut.length)
+                Colors.line(Colors.success(`✔`), Colors.bold(" Drift:"), "No changes");
+        }
+        else {
+            const count = drifted.reduce((sum, r) => sum + r.resources.length, 0);
+            Colors.line(Colors.warning(`⚠`), Colors.bold(" Drift:"), count === 1 ? "1 resource drifted in" : `${count} resources drifted in`, drifted.length === 1 ? "1 stack" : `${drifted.length} stacks`);
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
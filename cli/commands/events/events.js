@@ -0,0 +1,8 @@
+import { generate } from "./generate.js";
+export function events(program) {
+    program.command("events", "Work with the events your functions receive", (yargs) => {
+        yargs.demandCommand(1);
+        generate(program);
+        return yargs;
+    });
+}
@@ -0,0 +1,25 @@
+/// <reference types="yargs" />
+import type { Program } from "../../program.js";
+export declare const generate: (program: Program) => import("yargs").Argv<{
+    stage: string | undefined;
+} & {
+    profile: string | undefined;
+} & {
+    region: string | undefined;
+} & {
+    verbose: boolean | undefined;
+} & {
+    role: string | undefined;
+} & {
+    future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
+} & {
+    construct: string;
+} & {
+    target: string | undefined;
+} & {
+    out: string | undefined;
+}>;
@@ -0,0 +1,108 @@
+export const generate = (program) => program.command("generate <construct> [target]", "Generate a sample event for a function triggered by a construct", (yargs) => yargs
+    .positional("construct", {
+    type: "string",
+    describe: "The id of the construct",
+    demandOption: true,
+})
+    .positional("target", {
+    type: "string",
+    describe: "The route, consumer, subscriber, notification, rule or trigger",
+})
+    .option("out", {
+    type: "string",
+    describe: "Write the event to a file instead of printing it",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { useProject } = await import("../../../project.js");
+    const { VisibleError } = await import("../../../error.js");
+    const { Colors } = await import("../../colors.js");
+    const { Logger } = await import("../../../logger.js");
+    const { Stacks } = await import("../../../stacks/index.js");
+    const { useConstructsMetadata } = await import("../../../constructs/App.js");
+    const { listEventTargets, createEvent } = await import("../../../runtime/events.js");
+    const fs = await import("fs/promises");
+    const path = await import("path");
+    try {
+        const project = useProject();
+        const [_metafile, sstConfig] = await Stacks.load(project.paths.config);
+        await Stacks.synth({
+            fn: sstConfig.stacks,
+            outDir: `.sst/cdk.out`,
+            mode: "dev",
+            offline: true,
+        });
+        const matches = Object.values(useConstructsMetadata().all)
+            .flat()
+            .filter((c) => c.id === args.construct || c.addr === args.construct);
+        if (matches.length === 0)
+            throw new VisibleError(`Construct "${args.construct}" not found in the "${project.config.stage}" stage`);
+        if (matches.length > 1)
+            throw new VisibleError(`Found more than one construct with the id "${args.construct}". Use one of the following instead:`, ...matches.map((c) => `  - ${c.addr} (${c.stack})`));
+        const construct = matches[0];
+        const targets = listEventTargets(construct);
+        if (!targets.length)
+            throw new VisibleError(`"${args.construct}" is a ${construct.type} construct with no functions to generate events for`);
+        const target = args.target
+            ? find(args.target)
+            : targets.length === 1
+                ? targets[0]
+                : undefined;
+        if (!target)
+            throw new VisibleError(args.target
+                ? `"${args.target}" not found in "${args.construct}". Use one of the following:`
+                : `"${args.construct}" has more than one target. Use one of the following:`, ...targets.map((t) => `  - ${t.name}`));
+        // Names and ARNs are only known once the stage is deployed
+        const deployed = await (async () => {
+            try {
+                const { metadata } = await import("../../../stacks/metadata.js");
+                const { useSTSIdentity } = await import("../../../credentials.js");
+                const [all, identity] = await Promise.all([
+                    metadata(),
+                    useSTSIdentity(),
+                ]);
+                return {
+                    account: identity.Account,
+                    construct: Object.values(all)
+                        .flat()
+                        .find((c) => c.addr === construct.addr),
+                };
+            }
+            catch (e) {
+                Logger.debug("Failed to fetch deployed metadata", e);
+                return;
+            }
+        })();
+        if (!deployed?.construct)
+            Logger.debug(`${construct.addr} is not deployed, using placeholder names`);
+        const event = createEvent({
+            ...construct,
+            data: deployed?.construct?.data || construct.data,
+        }, target, {
+            region: project.config.region,
+            account: deployed?.account || "000000000000",
+            stage: project.config.stage,
+        });
+        const json = JSON.stringify(event, null, 2);
+        if (args.out) {
+            await fs.writeFile(path.resolve(args.out), json);
+            Colors.line(Colors.success(`✔ `), `Wrote ${target.name} event to ${args.out}`);
+        }
+        else {
+            console.log(json);
+        }
+        await exit();
+        function find(name) {
+            const match = targets.find((t) => t.name === name);
+            if (match)
+                return match;
+            // EventBus targets can also be referenced by their rule when the
+            // rule has a single target
+            const rules = targets.filter((t) => t.rule?.key === name);
+            if (rules.length === 1)
+                return rules[0];
+        }
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,49 @@
+export const history = (program) => program.command("history", "List the past deployments of a stage", (yargs) => yargs
+    .option("limit", {
+    type: "number",
+    default: 20,
+    describe: "Number of deployments to show",
+})
+    .option("format", {
+    type: "string",
+    choices: ["table", "json"],
+    default: "table",
+    describe: "Output format",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../program.js");
+    const { useProject } = await import("../../project.js");
+    const { Stacks } = await import("../../stacks/index.js");
+    const { Colors } = await import("../colors.js");
+    try {
+        const project = useProject();
+        const deployments = (await Stacks.listDeployments()).slice(0, args.limit);
+        if (args.format === "json") {
+            console.log(JSON.stringify(deployments, null, 2));
+            await exit();
+        }
+        if (deployments.length === 0) {
+            Colors.line(`No deployments found for the "${project.config.stage}" stage`);
+            await exit();
+        }
+        const rows = deployments.map((d) => [
+            d.id,
+            new Date(d.createdAt).toLocaleString(),
+            d.commit?.substring(0, 7) || "-",
+            d.branch || "-",
+            d.user,
+            d.rollbackOf ? `rollback of ${d.rollbackOf}` : `${d.stacks.length} stacks`,
+        ]);
+        const header = ["ID", "Deployed", "Commit", "Branch", "User", ""];
+        const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+        Colors.line(Colors.bold(header.map((h, i) => h.padEnd(widths[i])).join("  ")));
+        for (const row of rows) {
+            Colors.line(row
+                .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : Colors.dim(cell.padEnd(widths[i]))))
+                .join("  "));
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,120 @@
+export const invoke = (program) => program.command("invoke <function>", "Invoke a function with a payload", (yargs) => yargs
+    .positional("function", {
+    type: "string",
+    describe: "The id of the function",
+    demandOption: true,
+})
+    .option("event", {
+    type: "string",
+    describe: "Path to a JSON file with the event payload",
+})
+    .option("remote", {
+    type: "boolean",
+    describe: "Invoke the function deployed to the stage instead of running it locally",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../program.js");
+    const { useProject } = await import("../../project.js");
+    const { VisibleError, SilentError } = await import("../../error.js");
+    const { Colors } = await import("../colors.js");
+    const fs = await import("fs/promises");
+    const path = await import("path");
+    try {
+        const project = useProject();
+        const event = args.event
+            ? JSON.parse(await fs
+                .readFile(path.resolve(args.event))
+                .then((x) => x.toString()))
+            : {};
+        function find(metadata) {
+            const matches = Object.values(metadata)
+                .flat()
+                .filter((c) => c.type === "Function" &&
+                (c.id === args.function || c.addr === args.function));
+            if (matches.length === 0)
+                throw new VisibleError(`Function "${args.function}" not found in the "${project.config.stage}" stage`);
+            if (matches.length > 1)
+                throw new VisibleError(`Found more than one function with the id "${args.function}". Use one of the following instead:`, ...matches.map((c) => `  - ${c.addr} (${c.stack})`));
+            return matches[0];
+        }
+        const result = args.remote ? await remote() : await local();
+        Colors.gap();
+        if (result.type === "error") {
+            Colors.line(Colors.danger.bold("Error:"), Colors.danger.bold(result.errorMessage));
+            for (const line of result.trace || []) {
+                Colors.line("  ", Colors.dim(line));
+            }
+            throw new SilentError(result.errorMessage);
+        }
+        console.log(JSON.stringify(result.body, null, 2));
+        await exit();
+        async function local() {
+            const { Stacks } = await import("../../stacks/index.js");
+            const { useConstructsMetadata } = await import("../../constructs/App.js");
+            const { useBus } = await import("../../bus.js");
+            const { useRuntimeServer } = await import("../../runtime/server.js");
+            const { useRuntimeWorkers } = await import("../../runtime/workers.js");
+            const { useLocalFunctions, useLocalInvoker } = await import("../../runtime/local.js");
+            const { useFunctionBuilder } = await import("../../runtime/handlers.js");
+            const [_metafile, sstConfig] = await Stacks.load(project.paths.config);
+            const assembly = await Stacks.synth({
+                fn: sstConfig.stacks,
+                outDir: `.sst/cdk.out`,
+                mode: "dev",
+                offline: true,
+            });
+            const fn = find(useConstructsMetadata().all);
+            useLocalFunctions().update(assembly);
+            await useLocalFunctions().resolveDeployed(fn.addr);
+            const bus = useBus();
+            bus.subscribe("function.build.failed", async (evt) => {
+                Colors.line(Colors.danger("✖ "), "Build failed", fn.data.handler);
+                for (const line of evt.properties.errors) {
+                    Colors.line("  ", line);
+                }
+            });
+            bus.subscribe("worker.stdout", async (evt) => {
+                for (const line of evt.properties.message.split("\n")) {
+                    Colors.line(Colors.dim(Colors.prefix), Colors.dim(line));
+                }
+            });
+            await Promise.all([useRuntimeWorkers(), useRuntimeServer()]);
+            const artifact = await useFunctionBuilder().artifact(fn.addr);
+            if (!artifact)
+                throw new SilentError(`Failed to build "${args.function}"`);
+            Colors.line(Colors.dim(Colors.prefix, "Invoking", fn.data.handler));
+            const invoker = await useLocalInvoker();
+            return invoker.invoke(fn.addr, event);
+        }
+        async function remote() {
+            const { metadata } = await import("../../stacks/metadata.js");
+            const { useAWSClient } = await import("../../credentials.js");
+            const { LambdaClient, InvokeCommand } = await import("@aws-sdk/client-lambda");
+            const fn = find(await metadata());
+            Colors.line(Colors.dim(Colors.prefix, "Invoking", fn.data.arn));
+            const lambda = useAWSClient(LambdaClient);
+            const response = await lambda.send(new InvokeCommand({
+                FunctionName: fn.data.arn,
+                Payload: Buffer.from(JSON.stringify(event)),
+                LogType: "Tail",
+            }));
+            const logs = Buffer.from(response.LogResult || "", "base64").toString();
+            for (const line of logs.split("\n").filter(Boolean)) {
+                Colors.line(Colors.dim(Colors.prefix), Colors.dim(line));
+            }
+            const body = response.Payload
+                ? JSON.parse(Buffer.from(response.Payload).toString() || "null")
+                : null;
+            if (response.FunctionError)
+                return {
+                    type: "error",
+                    errorType: body?.errorType,
+                    errorMessage: body?.errorMessage || response.FunctionError,
+                    trace: body?.stackTrace,
+                };
+            return { type: "success", body };
+        }
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,53 @@
+import path from "path";
+export const openapi = (program) => program.command("openapi [api]", "Generate OpenAPI documents for the APIs in your app", (yargs) => yargs
+    .positional("api", {
+    type: "string",
+    describe: "Optionally the id of the API to generate the document for",
+})
+    .option("out", {
+    type: "string",
+    describe: "Directory to write the documents to, defaults to .sst/openapi",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../program.js");
+    const { useProject } = await import("../../project.js");
+    const { Stacks } = await import("../../stacks/index.js");
+    const { App } = await import("../../constructs/App.js");
+    const { Api } = await import("../../constructs/Api.js");
+    const { ApiGatewayV1Api } = await import("../../constructs/ApiGatewayV1Api.js");
+    const { openApiDocumentPath, writeOpenApiDocument } = await import("../../constructs/util/openapi.js");
+    const { VisibleError } = await import("../../error.js");
+    const { Colors } = await import("../colors.js");
+    try {
+        const project = useProject();
+        const [_metafile, sstConfig] = await Stacks.load(project.paths.config);
+        // Note: like `sst types`, do not run synth so no AWS credentials are
+        //       needed to generate the documents
+        const app = new App({
+            mode: "remove",
+            stage: project.config.stage,
+            name: project.config.name,
+            region: project.config.region,
+        });
+        await sstConfig.stacks(app);
+        const apis = app.node
+            .findAll()
+            .filter((c) => c instanceof Api || c instanceof ApiGatewayV1Api)
+            .filter((c) => !args.api || c.id === args.api);
+        if (!apis.length) {
+            throw new VisibleError(args.api
+                ? `Could not find an API with the id "${args.api}"`
+                : "There are no APIs in this app");
+        }
+        for (const api of apis) {
+            const file = args.out
+                ? path.resolve(args.out, `${api.id}.json`)
+                : openApiDocumentPath(api.id, api.props.openapi);
+            writeOpenApiDocument(file, api.getOpenApiDocument());
+            Colors.line(Colors.success(`✔ `), `${api.id} ${Colors.dim(path.relative(process.cwd(), file))}`);
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,69 @@
+import { stackNameToId } from "../ui/stack.js";
+export const outputs = (program) => program.command("outputs [stack]", "Print the outputs of a deployed stage", (yargs) => yargs
+    .positional("stack", {
+    type: "string",
+    describe: "Optionally filter stacks",
+})
+    .option("key", {
+    type: "string",
+    describe: "Print a single value, ie. an output name or MyApi.url",
+})
+    .option("format", {
+    type: "string",
+    choices: ["json", "env", "shell"],
+    default: "json",
+    describe: "Output format",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../program.js");
+    const { useProject } = await import("../../project.js");
+    const { Stacks } = await import("../../stacks/index.js");
+    const { VisibleError } = await import("../../error.js");
+    try {
+        const project = useProject();
+        const isActiveStack = (stackId) => !args.stack ||
+            stackId
+                .toLowerCase()
+                .replace(project.config.name.toLowerCase(), "")
+                .replace(project.config.stage.toLowerCase(), "")
+                .includes(args.stack.toLowerCase());
+        const stacks = Object.fromEntries(Object.entries(await Stacks.outputs())
+            .filter(([stackName]) => isActiveStack(stackName))
+            .map(([stackName, values]) => [stackNameToId(stackName), values]));
+        if (Object.keys(stacks).length === 0)
+            throw new VisibleError(args.stack
+                ? `No deployed stacks found matching "${args.stack}" in the "${project.config.stage}" stage`
+                : `No deployed stacks found in the "${project.config.stage}" stage`);
+        if (args.key) {
+            const matches = Object.entries(stacks).filter(([_, values]) => args.key in values);
+            if (matches.length === 0)
+                throw new VisibleError(`No output named "${args.key}" found`);
+            if (matches.length > 1)
+                throw new VisibleError(`Found "${args.key}" in more than one stack, pass in the stack to use:`, ...matches.map(([id]) => `  - ${id}`));
+            console.log(matches[0][1][args.key]);
+            await exit();
+        }
+        if (args.format === "json") {
+            console.log(JSON.stringify(stacks, null, 2));
+            await exit();
+        }
+        // Flatten into environment variables
+        const env = {};
+        for (const [id, values] of Object.entries(stacks)) {
+            for (const [key, value] of Object.entries(values)) {
+                const name = key.replace(/[^a-zA-Z0-9]+/g, "_").toUpperCase();
+                if (name in env && env[name] !== value)
+                    throw new VisibleError(`"${key}" in the "${id}" stack conflicts with another output, pass in the stack to use`);
+                env[name] = value;
+            }
+        }
+        for (const [name, value] of Object.entries(env)) {
+            console.log(args.format === "shell"
+                ? `export ${name}='${value.replace(/'/g, `'\\''`)}'`
+                : `${name}=${/^[^\s#'"`]*$/.test(value) ? value : JSON.stringify(value)}`);
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
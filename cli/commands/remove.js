@@ -2,17 +2,17 @@ export const remove = (program) => program.command("remove [filter]", "Remove yo
     type: "string",
     describe: "Optionally filter stacks to remove",
 }), async (args) => {
-    const React = await import("react");
     const { dim, blue, bold } = await import("colorette");
     const { exit, exitWithError } = await import("../program.js");
     const { useProject } = await import("../../project.js");
     const { SilentError } = await import("../../error.js");
     const { loadAssembly, clearAppMetadata, Stacks } = await import("../../stacks/index.js");
-    const { render } = await import("ink");
-    const { DeploymentUI } = await import("../ui/deploy.js");
+    const { renderDeploymentUI } = await import("../ui/deploy.js");
     const { printDeploymentResults } = await import("../ui/deploy.js");
     const { Colors } = await import("../colors.js");
     const { useSTSIdentity } = await import("../../credentials.js");
+    const { confirmProtectedStage } = await import("../protected-stage.js");
+    let results;
     try {
         const project = useProject();
         const identity = await useSTSIdentity();
@@ -22,16 +22,20 @@ export const remove = (program) => program.command("remove [filter]", "Remove yo
         Colors.line(`   ${Colors.bold("Stage:")}   ${project.config.stage}`);
         Colors.line(`   ${Colors.bold("Region:")}  ${project.config.region}`);
         Colors.line(`   ${Colors.bold("Account:")} ${identity.Account}`);
+        await confirmProtectedStage("remove");
         const assembly = await (async function () {
             if (args.from) {
                 const result = await loadAssembly(args.from);
                 return result;
             }
+            await Stacks.runHook("preBuild", {});
             const [_metafile, sstConfig] = await Stacks.load(project.paths.config);
-            return await Stacks.synth({
+            const result = await Stacks.synth({
                 fn: sstConfig.stacks,
                 mode: "remove",
             });
+            await Stacks.runHook("postSynth", { assembly: result });
+            return result;
         })();
         const target = assembly.stacks.filter((s) => !args.filter ||
             s.id
@@ -43,8 +47,9 @@ export const remove = (program) => program.command("remove [filter]", "Remove yo
             console.log(`No stacks found matching ${blue(args.filter)}`);
             throw new SilentError(`No stacks found matching ${args.filter}`);
         }
-        const component = render(React.createElement(DeploymentUI, { assembly: assembly, remove: true }));
-        const results = await Stacks.removeMany(target);
+        await Stacks.runHook("preRemove", { assembly, stacks: target });
+        const component = renderDeploymentUI({ assembly: assembly, remove: true });
+        results = await Stacks.removeMany(target);
         component.clear();
         component.unmount();
         printDeploymentResults(assembly, results, true);
@@ -57,6 +62,13 @@ export const remove = (program) => program.command("remove [filter]", "Remove yo
         await exit();
     }
     catch (e) {
+        await Stacks.runHook("onFailure", {
+            command: "remove",
+            error: e,
+            results,
+        }).catch((hookError) => {
+            Colors.line(Colors.warning(`⚠ `), hookError.message);
+        });
         await exitWithError(e);
     }
 });
@@ -0,0 +1,83 @@
+import { useSTSIdentity } from "../../credentials.js";
+import { Colors } from "../colors.js";
+import fs from "fs/promises";
+import path from "path";
+export const rollback = (program) => program.command("rollback [deployment]", "Redeploy a previous deployment of a stage", (yargs) => yargs.positional("deployment", {
+    type: "string",
+    describe: "ID of the deployment, defaults to the one before the latest",
+}), async (args) => {
+    const { printDeploymentResults } = await import("../ui/deploy.js");
+    const { createSpinner } = await import("../spinner.js");
+    const { exit, exitWithError } = await import("../program.js");
+    const { confirmProtectedStage } = await import("../protected-stage.js");
+    const { useProject } = await import("../../project.js");
+    const { Logger } = await import("../../logger.js");
+    const { SilentError, VisibleError } = await import("../../error.js");
+    const { loadAssembly, saveAppMetadata, Stacks } = await import("../../stacks/index.js");
+    const { renderDeploymentUI } = await import("../ui/deploy.js");
+    const { mapValues } = await import("remeda");
+    let results;
+    try {
+        const project = useProject();
+        const identity = await useSTSIdentity();
+        // Find deployment
+        const deployments = await Stacks.listDeployments();
+        const deployment = args.deployment
+            ? deployments.find((d) => d.id === args.deployment)
+            : deployments[1];
+        if (!deployment) {
+            throw new VisibleError(args.deployment
+                ? `Could not find deployment "${args.deployment}" in the "${project.config.stage}" stage. Run "sst history" to list them.`
+                : `There is no previous deployment of the "${project.config.stage}" stage to roll back to`);
+        }
+        Colors.line(`${Colors.primary.bold(`SST v${project.version}`)}`);
+        Colors.gap();
+        Colors.line(`${Colors.primary(`➜`)}  ${Colors.bold("App:")}        ${project.config.name}`);
+        Colors.line(`   ${Colors.bold("Stage:")}      ${project.config.stage}`);
+        Colors.line(`   ${Colors.bold("Region:")}     ${project.config.region}`);
+        Colors.line(`   ${Colors.bold("Account:")}    ${identity.Account}`);
+        Colors.line(`   ${Colors.bold("Deployment:")} ${deployment.id} ${Colors.dim(`${new Date(deployment.createdAt).toLocaleString()}${deployment.commit ? ` (${deployment.commit.substring(0, 7)})` : ""}`)}`);
+        Colors.gap();
+        await confirmProtectedStage("roll back");
+        // Restore cloud assembly
+        const spinner = createSpinner({
+            text: " Downloading deployment...",
+        }).start();
+        const assembly = await loadAssembly(await Stacks.downloadDeployment(deployment.id));
+        spinner.succeed();
+        const target = assembly.stacks.filter((s) => deployment.stacks.includes(s.stackName));
+        await Stacks.runHook("preDeploy", { assembly, stacks: target });
+        const component = renderDeploymentUI({ assembly: assembly });
+        results = await Stacks.deployMany(target);
+        component.clear();
+        component.unmount();
+        printDeploymentResults(assembly, results);
+        // Check failed stacks
+        const failed = Object.values(results).find((result) => Stacks.isFailed(result.status));
+        if (failed) {
+            throw new SilentError(`CloudFormation status ${failed.status}`);
+        }
+        fs.writeFile(project.config.outputs ||
+            path.join(project.paths.out, "outputs.json"), JSON.stringify(mapValues(results, (val) => val.outputs), null, 2));
+        // Update app state
+        await saveAppMetadata({ mode: "deploy" });
+        await Stacks.archiveDeployment(assembly, target, {
+            rollbackOf: deployment.id,
+        }).catch((e) => {
+            Logger.debug("Failed to archive deployment", e);
+            Colors.line(Colors.warning(`⚠ `), "Could not save this deployment to the history");
+        });
+        await Stacks.runHook("postDeploy", { assembly, results });
+        await exit();
+    }
+    catch (e) {
+        await Stacks.runHook("onFailure", {
+            command: "rollback",
+            error: e,
+            results,
+        }).catch((hookError) => {
+            Colors.line(Colors.warning(`⚠ `), hookError.message);
+        });
+        await exitWithError(e);
+    }
+});
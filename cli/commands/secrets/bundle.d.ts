@@ -0,0 +1,66 @@
+export type SecretsFormat = "env" | "json" | "yaml";
+export interface SecretValues {
+    stage: Record<string, string>;
+    fallback: Record<string, string>;
+}
+export interface SecretChange {
+    key: string;
+    value: string;
+    fallback: boolean;
+    action: "add" | "update";
+}
+export interface SecretsBundle {
+    type: "sst.secrets";
+    version: 1;
+    format: SecretsFormat;
+    cipher: string;
+    kms?: {
+        keyId: string;
+        dataKey: string;
+    };
+    scrypt?: {
+        salt: string;
+    };
+    iv: string;
+    tag: string;
+    data: string;
+}
+/**
+ * Infers the format of a secrets file from its extension, defaults to "env"
+ */
+export declare function formatFor(filename: string): SecretsFormat;
+/**
+ * Splits the secrets returned by `Config.secrets()` into stage and fallback
+ * values
+ */
+export declare function fromConfig(secrets: Record<string, {
+    value?: string;
+    fallback?: string;
+}>): SecretValues;
+/**
+ * The "env" format holds a single set of values, `scope` picks which one.
+ * The "json" and "yaml" formats hold both.
+ */
+export declare function serialize(secrets: SecretValues, format: SecretsFormat, scope: keyof SecretValues): string;
+export declare function deserialize(content: string, format: SecretsFormat, scope: keyof SecretValues): SecretValues;
+/**
+ * Compares the secrets in a file with the ones that are set. Secrets that are
+ * set but missing from the file are left alone.
+ */
+export declare function diff(current: SecretValues, next: SecretValues): SecretChange[];
+/**
+ * Wraps the content in an encrypted bundle. With a passphrase the key is
+ * derived using scrypt, with a KMS key a data key is generated and stored
+ * encrypted alongside the content.
+ */
+export declare function encrypt(content: string, format: SecretsFormat, opts: {
+    passphrase?: string;
+    kmsKey?: string;
+}): Promise<string>;
+/**
+ * Returns the encrypted bundle in the content, if there is one
+ */
+export declare function parseBundle(content: string): SecretsBundle | undefined;
+export declare function decrypt(bundle: SecretsBundle, opts: {
+    passphrase?: string;
+}): Promise<string>;
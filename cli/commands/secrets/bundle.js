@@ -0,0 +1,192 @@
+import path from "path";
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync, } from "crypto";
+import { parse as parseEnv } from "dotenv";
+import { parse as parseYaml, stringify as stringifyYaml } from "yaml";
+import { KMSClient, DecryptCommand, GenerateDataKeyCommand, } from "@aws-sdk/client-kms";
+import { useAWSClient } from "../../../credentials.js";
+import { VisibleError } from "../../../error.js";
+const BUNDLE_TYPE = "sst.secrets";
+const CIPHER = "aes-256-gcm";
+/**
+ * Infers the format of a secrets file from its extension, defaults to "env"
+ */
+export function formatFor(filename) {
+    switch (path.extname(filename).toLowerCase()) {
+        case ".json":
+            return "json";
+        case ".yaml":
+        case ".yml":
+            return "yaml";
+        default:
+            return "env";
+    }
+}
+/**
+ * Splits the secrets returned by `Config.secrets()` into stage and fallback
+ * values
+ */
+export function fromConfig(secrets) {
+    const result = { stage: {}, fallback: {} };
+    for (const [key, { value, fallback }] of Object.entries(secrets)) {
+        if (value !== undefined)
+            result.stage[key] = value;
+        if (fallback !== undefined)
+            result.fallback[key] = fallback;
+    }
+    return result;
+}
+/**
+ * The "env" format holds a single set of values, `scope` picks which one.
+ * The "json" and "yaml" formats hold both.
+ */
+export function serialize(secrets, format, scope) {
+    switch (format) {
+        case "env":
+            return (Object.entries(secrets[scope])
+                .sort(([a], [b]) => a.localeCompare(b))
+                .map(([key, value]) => `${key}=${quote(key, value)}`)
+                .join("\n") + "\n");
+        case "json":
+            return JSON.stringify(secrets, null, 2) + "\n";
+        case "yaml":
+            return stringifyYaml(secrets);
+    }
+}
+// dotenv reads quoted values literally, so pick a quote the value does not
+// contain instead of escaping
+function quote(key, value) {
+    const char = ["'", "`", '"'].find((char) => !value.includes(char));
+    if (!char)
+        throw new VisibleError(`The value of "${key}" cannot be written to an env file, use the "json" or "yaml" format instead`);
+    return char + value + char;
+}
+export function deserialize(content, format, scope) {
+    if (format === "env") {
+        return {
+            stage: {},
+            fallback: {},
+            [scope]: parseEnv(content),
+        };
+    }
+    const parsed = format === "json" ? JSON.parse(content) : parseYaml(content);
+    if (!parsed || typeof parsed !== "object")
+        throw new VisibleError(`Invalid secrets file, expected an object with "stage" and "fallback" values`);
+    return {
+        stage: validate(parsed.stage, "stage"),
+        fallback: validate(parsed.fallback, "fallback"),
+    };
+}
+function validate(values, name) {
+    if (values === undefined || values === null)
+        return {};
+    if (typeof values !== "object" || Array.isArray(values))
+        throw new VisibleError(`Invalid secrets file, "${name}" must be an object`);
+    for (const [key, value] of Object.entries(values)) {
+        if (typeof value !== "string")
+            throw new VisibleError(`Invalid secrets file, the ${name} value of "${key}" must be a string`);
+    }
+    return values;
+}
+/**
+ * Compares the secrets in a file with the ones that are set. Secrets that are
+ * set but missing from the file are left alone.
+ */
+export function diff(current, next) {
+    const changes = [];
+    for (const scope of ["stage", "fallback"]) {
+        for (const [key, value] of Object.entries(next[scope])) {
+            const existing = current[scope][key];
+            if (existing === value)
+                continue;
+            changes.push({
+                key,
+                value,
+                fallback: scope === "fallback",
+                action: existing === undefined ? "add" : "update",
+            });
+        }
+    }
+    return changes.sort((a, b) => a.key.localeCompare(b.key));
+}
+/**
+ * Wraps the content in an encrypted bundle. With a passphrase the key is
+ * derived using scrypt, with a KMS key a data key is generated and stored
+ * encrypted alongside the content.
+ */
+export async function encrypt(content, format, opts) {
+    const iv = randomBytes(12);
+    const bundle = {
+        type: BUNDLE_TYPE,
+        version: 1,
+        format,
+        cipher: CIPHER,
+    };
+    let key;
+    if (opts.kmsKey) {
+        const kms = useAWSClient(KMSClient);
+        const result = await kms.send(new GenerateDataKeyCommand({
+            KeyId: opts.kmsKey,
+            KeySpec: "AES_256",
+        }));
+        key = Buffer.from(result.Plaintext);
+        bundle.kms = {
+            keyId: result.KeyId,
+            dataKey: Buffer.from(result.CiphertextBlob).toString("base64"),
+        };
+    }
+    else if (opts.passphrase) {
+        const salt = randomBytes(16);
+        key = scryptSync(opts.passphrase, salt, 32);
+        bundle.scrypt = { salt: salt.toString("base64") };
+    }
+    else {
+        throw new VisibleError("A passphrase or KMS key is required to encrypt secrets");
+    }
+    const cipher = createCipheriv(CIPHER, key, iv);
+    const data = Buffer.concat([cipher.update(content, "utf8"), cipher.final()]);
+    bundle.iv = iv.toString("base64");
+    bundle.tag = cipher.getAuthTag().toString("base64");
+    bundle.data = data.toString("base64");
+    return JSON.stringify(bundle, null, 2) + "\n";
+}
+/**
+ * Returns the encrypted bundle in the content, if there is one
+ */
+export function parseBundle(content) {
+    try {
+        const parsed = JSON.parse(content);
+        if (parsed?.type === BUNDLE_TYPE)
+            return parsed;
+    }
+    catch { }
+}
+export async function decrypt(bundle, opts) {
+    let key;
+    if (bundle.kms) {
+        const kms = useAWSClient(KMSClient);
+        const result = await kms.send(new DecryptCommand({
+            KeyId: bundle.kms.keyId,
+            CiphertextBlob: Buffer.from(bundle.kms.dataKey, "base64"),
+        }));
+        key = Buffer.from(result.Plaintext);
+    }
+    else if (bundle.scrypt) {
+        if (!opts.passphrase)
+            throw new VisibleError("The secrets file is encrypted, pass in the passphrase with --passphrase or SST_SECRETS_PASSPHRASE");
+        key = scryptSync(opts.passphrase, Buffer.from(bundle.scrypt.salt, "base64"), 32);
+    }
+    else {
+        throw new VisibleError("Unsupported encrypted secrets file");
+    }
+    try {
+        const decipher = createDecipheriv(bundle.cipher, key, Buffer.from(bundle.iv, "base64"));
+        decipher.setAuthTag(Buffer.from(bundle.tag, "base64"));
+        return Buffer.concat([
+            decipher.update(Buffer.from(bundle.data, "base64")),
+            decipher.final(),
+        ]).toString("utf8");
+    }
+    catch {
+        throw new VisibleError("Could not decrypt the secrets file, check the passphrase");
+    }
+}
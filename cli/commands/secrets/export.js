@@ -0,0 +1,55 @@
+export const exportSecrets = (program) => program.command("export [filename]", "Exports the secrets to a file", (yargs) => yargs
+    .positional("filename", {
+    type: "string",
+    describe: "File to write to, prints to stdout when not set",
+})
+    .option("format", {
+    type: "string",
+    choices: ["env", "json", "yaml"],
+    describe: "Defaults to the file extension, or env",
+})
+    .option("fallback", {
+    type: "boolean",
+    describe: "Export the fallback values when using the env format",
+})
+    .option("passphrase", {
+    type: "string",
+    describe: "Encrypt the file with a passphrase, defaults to SST_SECRETS_PASSPHRASE",
+})
+    .option("kms-key", {
+    type: "string",
+    describe: "Encrypt the file with a KMS key id, ARN or alias",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Config } = await import("../../../config.js");
+    const { Colors } = await import("../../colors.js");
+    const { formatFor, fromConfig, serialize, encrypt } = await import("./bundle.js");
+    const fs = await import("fs/promises");
+    try {
+        const format = args.format || (args.filename ? formatFor(args.filename) : "env");
+        const scope = args.fallback ? "fallback" : "stage";
+        const secrets = fromConfig(await Config.secrets());
+        const content = serialize(secrets, format, scope);
+        const passphrase = args.passphrase || process.env.SST_SECRETS_PASSPHRASE;
+        const output = args.kmsKey || passphrase
+            ? await encrypt(content, format, {
+                kmsKey: args.kmsKey,
+                passphrase,
+            })
+            : content;
+        if (!args.filename) {
+            process.stdout.write(output);
+            await exit();
+        }
+        await fs.writeFile(args.filename, output, { mode: 0o600 });
+        const count = format === "env"
+            ? Object.keys(secrets[scope]).length
+            : Object.keys(secrets.stage).length +
+                Object.keys(secrets.fallback).length;
+        Colors.line(Colors.success(`✔ `), `Exported ${count} ${count === 1 ? "secret" : "secrets"} to "${args.filename}"`);
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,29 @@
+/// <reference types="yargs" />
+import type { Program } from "../../program.js";
+export declare const importSecrets: (program: Program) => import("yargs").Argv<{
+    stage: string | undefined;
+} & {
+    profile: string | undefined;
+} & {
+    region: string | undefined;
+} & {
+    verbose: boolean | undefined;
+} & {
+    role: string | undefined;
+} & {
+    future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
+} & {
+    filename: string;
+} & {
+    format: string | undefined;
+} & {
+    fallback: boolean | undefined;
+} & {
+    passphrase: string | undefined;
+} & {
+    "dry-run": boolean | undefined;
+}>;
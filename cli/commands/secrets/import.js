@@ -0,0 +1,95 @@
+export const importSecrets = (program) => program.command("import <filename>", "Imports secrets from a file", (yargs) => yargs
+    .positional("filename", {
+    type: "string",
+    demandOption: true,
+})
+    .option("format", {
+    type: "string",
+    choices: ["env", "json", "yaml"],
+    describe: "Defaults to the file extension, or env",
+})
+    .option("fallback", {
+    type: "boolean",
+    describe: "Import as fallback values when using the env format",
+})
+    .option("passphrase", {
+    type: "string",
+    describe: "Passphrase for an encrypted file, defaults to SST_SECRETS_PASSPHRASE",
+})
+    .option("dry-run", {
+    type: "boolean",
+    describe: "Show what would change without setting any secrets",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Config } = await import("../../../config.js");
+    const { Colors } = await import("../../colors.js");
+    const { blue } = await import("colorette");
+    const { createSpinner } = await import("../../spinner.js");
+    const { formatFor, fromConfig, deserialize, diff, parseBundle, decrypt } = await import("./bundle.js");
+    const fs = await import("fs/promises");
+    try {
+        // Parse file
+        let content = await fs.readFile(args.filename, "utf-8");
+        let format = args.format || formatFor(args.filename);
+        const bundle = parseBundle(content);
+        if (bundle) {
+            content = await decrypt(bundle, {
+                passphrase: args.passphrase || process.env.SST_SECRETS_PASSPHRASE,
+            });
+            format = args.format || bundle.format;
+        }
+        const secrets = deserialize(content, format, args.fallback ? "fallback" : "stage");
+        // Compare with the current secrets
+        const changes = diff(fromConfig(await Config.secrets()), secrets);
+        if (changes.length === 0) {
+            Colors.line(Colors.success(`✔ `), "No changes");
+            await exit();
+        }
+        for (const change of changes) {
+            Colors.line(change.action === "add" ? Colors.success(`+ `) : Colors.warning(`~ `), change.key, change.fallback ? Colors.dim("(fallback)") : "");
+        }
+        if (args.dryRun) {
+            Colors.gap();
+            Colors.line(Colors.dim(`Dry run, ${changes.length} ${changes.length === 1 ? "secret" : "secrets"} would change`));
+            await exit();
+        }
+        // Set secrets
+        Colors.gap();
+        const setting = createSpinner(` Setting secrets from "${args.filename}"`).start();
+        for (const change of changes) {
+            await Config.setSecret({
+                key: change.key,
+                value: change.value,
+                fallback: change.fallback,
+            });
+        }
+        setting.succeed();
+        // Restart functions & sites
+        const envNames = [...new Set(changes.map((change) => change.key))];
+        const restarting = createSpinner(` Restarting all resources using ${blue(envNames.join(", "))}...`).start();
+        const { edgeSites, sites, placeholderSites, functions, sitesWithPrefetch, functionsWithPrefetch, } = await Config.restart(envNames);
+        restarting.stop().clear();
+        const siteCount = sites.length + placeholderSites.length;
+        if (siteCount > 0) {
+            Colors.line(Colors.success(`✔ `), siteCount === 1
+                ? `Reloaded ${siteCount} site`
+                : `Reloaded ${siteCount} sites`);
+        }
+        const functionCount = functions.length;
+        if (functionCount > 0) {
+            Colors.line(Colors.success(`✔ `), functionCount === 1
+                ? `Reloaded ${functionCount} function`
+                : `Reloaded ${functionCount} functions`);
+        }
+        [...edgeSites, ...sitesWithPrefetch].forEach(({ id, type }) => {
+            Colors.line(Colors.primary(`➜ `), `Redeploy the "${id}" ${type} to use the new secret`);
+        });
+        if (functionsWithPrefetch.length > 0) {
+            Colors.line(Colors.primary(`➜ `), `Redeploy the functions with "prefetchSecret" enabled to use the new secret`);
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
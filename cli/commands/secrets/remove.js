@@ -12,16 +12,21 @@ export const remove = (program) => program.command("remove <name>", "Remove a se
     const { exit, exitWithError } = await import("../../program.js");
     const { SilentError } = await import("../../../error.js");
     const { Colors } = await import("../../colors.js");
+    const { confirmProtectedStage } = await import("../../protected-stage.js");
     try {
-        await Config.removeSecret({
+        await confirmProtectedStage("remove secrets from");
+        const removed = await Config.removeSecret({
             key: args.name,
             fallback: args.fallback === true,
-        });
+        }).then(() => true, () => false);
+        if (!removed) {
+            Colors.line(Colors.danger(`✖ `), `"${args.name}" is not set`);
+            throw new SilentError(`"${args.name}" is not set`);
+        }
         Colors.line(Colors.success(`✔ `), `Removed "${args.name}"`);
         await exit();
     }
-    catch {
-        Colors.line(Colors.danger(`✖ `), `"${args.name}" is not set`);
-        await exitWithError(new SilentError(`"${args.name}" is not set`));
+    catch (e) {
+        await exitWithError(e);
     }
 });
@@ -1,4 +1,6 @@
+import { exportSecrets } from "./export.js";
 import { get } from "./get.js";
+import { importSecrets } from "./import.js";
 import { list } from "./list.js";
 import { load } from "./load.js";
 import { remove } from "./remove.js";
@@ -10,6 +12,8 @@ export function secrets(program) {
         get(program);
         load(program);
         list(program);
+        exportSecrets(program);
+        importSecrets(program);
         remove(program);
         return yargs;
     });
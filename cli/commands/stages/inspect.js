@@ -0,0 +1,49 @@
+export const inspect = (program) => program.command("inspect <name>", "Show the stacks, constructs and secrets of a stage", (yargs) => yargs
+    .positional("name", {
+    type: "string",
+    describe: "Name of the stage",
+    demandOption: true,
+})
+    .option("format", {
+    type: "string",
+    choices: ["text", "json"],
+    default: "text",
+    describe: "Output format",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Stacks } = await import("../../../stacks/index.js");
+    const { VisibleError } = await import("../../../error.js");
+    const { Colors } = await import("../../colors.js");
+    try {
+        const stage = await Stacks.inspectStage(args.name);
+        if (!stage)
+            throw new VisibleError(`Stage "${args.name}" not found`);
+        if (args.format === "json") {
+            console.log(JSON.stringify(stage, null, 2));
+            await exit();
+        }
+        Colors.line(`${Colors.primary(`➜`)}  ${Colors.bold("Stage:")}         ${stage.stage}`);
+        Colors.line(`   ${Colors.bold("Mode:")}          ${stage.mode || "-"}`);
+        Colors.line(`   ${Colors.bold("Last deployed:")} ${stage.lastDeployed ? new Date(stage.lastDeployed).toLocaleString() : "-"}`);
+        Colors.line(`   ${Colors.bold("Parameters:")}    ${stage.parameters}`);
+        Colors.gap();
+        Colors.line(Colors.bold("Stacks"));
+        for (const stack of stage.stacks) {
+            Colors.line(`   ${stack.stackName} ${Colors.dim(stack.status || "")}`);
+            for (const c of stage.constructs.filter((c) => c.stack === stack.stackName)) {
+                Colors.line(`     ${c.id} ${Colors.dim(c.type)}`);
+            }
+        }
+        if (stage.secrets.length) {
+            Colors.gap();
+            Colors.line(Colors.bold("Secrets"));
+            for (const secret of stage.secrets) {
+                Colors.line(`   ${secret}`);
+            }
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,39 @@
+export const list = (program) => program.command("list", "List the stages of your app", (yargs) => yargs.option("format", {
+    type: "string",
+    choices: ["table", "json"],
+    default: "table",
+    describe: "Output format",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Stacks } = await import("../../../stacks/index.js");
+    const { Colors } = await import("../../colors.js");
+    try {
+        const stages = await Stacks.listStages();
+        if (args.format === "json") {
+            console.log(JSON.stringify(stages, null, 2));
+            await exit();
+        }
+        if (stages.length === 0) {
+            Colors.line("No stages found");
+            await exit();
+        }
+        const rows = stages.map((s) => [
+            s.stage + (s.current ? " *" : ""),
+            s.mode || "-",
+            s.lastDeployed ? new Date(s.lastDeployed).toLocaleString() : "-",
+            String(s.stacks.length),
+        ]);
+        const header = ["Stage", "Mode", "Last deployed", "Stacks"];
+        const widths = header.map((h, i) => Math.max(h.length, ...rows.map((r) => r[i].length)));
+        Colors.line(Colors.bold(header.map((h, i) => h.padEnd(widths[i])).join("  ")));
+        for (const row of rows) {
+            Colors.line(row
+                .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : Colors.dim(cell.padEnd(widths[i]))))
+                .join("  "));
+        }
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,27 @@
+/// <reference types="yargs" />
+import type { Program } from "../../program.js";
+export declare const prune: (program: Program) => import("yargs").Argv<{
+    stage: string | undefined;
+} & {
+    profile: string | undefined;
+} & {
+    region: string | undefined;
+} & {
+    verbose: boolean | undefined;
+} & {
+    role: string | undefined;
+} & {
+    future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
+} & {
+    "older-than": string;
+} & {
+    "include-empty": boolean | undefined;
+} & {
+    "dry-run": boolean | undefined;
+} & {
+    yes: boolean | undefined;
+}>;
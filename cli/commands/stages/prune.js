@@ -0,0 +1,97 @@
+export const prune = (program) => program.command("prune", "Remove stages that have not been deployed recently", (yargs) => yargs
+    .option("older-than", {
+    type: "string",
+    describe: "Remove stages last deployed before this, ie. 14d, 12h or 2w",
+    demandOption: true,
+})
+    .option("include-empty", {
+    type: "boolean",
+    describe: "Also remove stages that have no stacks left",
+})
+    .option("dry-run", {
+    type: "boolean",
+    describe: "Show the stages that would be removed",
+})
+    .option("yes", {
+    type: "boolean",
+    describe: "Skip the confirmation",
+}), async (args) => {
+    const { exit, exitWithError } = await import("../../program.js");
+    const { Stacks } = await import("../../../stacks/index.js");
+    const { VisibleError, SilentError } = await import("../../../error.js");
+    const { getCiInfo } = await import("../../ci-info.js");
+    const { createSpinner } = await import("../../spinner.js");
+    const { Colors } = await import("../../colors.js");
+    const { isProtectedStage } = await import("../../../project.js");
+    try {
+        const match = args.olderThan.match(/^(\d+)\s*(m|h|d|w)$/);
+        if (!match)
+            throw new VisibleError(`Invalid duration "${args.olderThan}", use a number followed by m, h, d or w. ie. 14d`);
+        const unit = { m: 60, h: 3600, d: 86400, w: 604800 }[match[2]];
+        const cutoff = Date.now() - parseInt(match[1]) * unit * 1000;
+        // The stage the CLI runs against and protected stages are never pruned.
+        // Stages without stacks have no deploy time to compare against, so they
+        // are only pruned when asked for.
+        const stale = (await Stacks.listStages()).filter((s) => !s.current &&
+            !isProtectedStage(s.stage) &&
+            (s.lastDeployed
+                ? new Date(s.lastDeployed).getTime() < cutoff
+                : args.includeEmpty === true));
+        if (stale.length === 0) {
+            Colors.line(`No stages older than ${args.olderThan}`);
+            await exit();
+        }
+        Colors.line(Colors.bold(stale.length === 1
+            ? "1 stage will be removed:"
+            : `${stale.length} stages will be removed:`));
+        for (const stage of stale) {
+            Colors.line(`   ${Colors.danger("-")} ${stage.stage} ${Colors.dim(stage.lastDeployed
+                ? `last deployed ${new Date(stage.lastDeployed).toLocaleString()}`
+                : "no stacks")}`);
+        }
+        Colors.gap();
+        if (args.dryRun)
+            await exit();
+        if (!args.yes) {
+            if (getCiInfo().isCI)
+                throw new VisibleError("Pass in --yes to prune stages in CI");
+            const readline = await import("readline");
+            const rl = readline.createInterface({
+                input: process.stdin,
+                output: process.stdout,
+            });
+            const confirmed = await new Promise((resolve) => {
+                rl.question("Are you sure you want to remove these stages? (y/N) ", (input) => {
+                    rl.close();
+                    resolve(input.trim() === "y");
+                });
+            });
+            if (!confirmed)
+                await exit();
+        }
+        let failed = 0;
+        for (const stage of stale) {
+            const spinner = createSpinner(` Removing ${stage.stage}...`).start();
+            const { results, parameters } = await Stacks.removeStage(stage.stage);
+            const errors = Object.entries(results).filter(([_, r]) => r.status !== "DELETE_COMPLETE");
+            if (errors.length) {
+                failed++;
+                spinner.fail(` Failed to remove ${stage.stage}`);
+                for (const [stackName, result] of errors) {
+                    Colors.line(`   ${Colors.danger(stackName)} ${result.status}`);
+                    for (const error of Object.values(result.errors)) {
+                        Colors.line(`     ${Colors.dim(error)}`);
+                    }
+                }
+                continue;
+            }
+            spinner.succeed(` Removed ${stage.stage} ${Colors.dim(`${Object.keys(results).length} stacks, ${parameters} parameters`)}`);
+        }
+        if (failed)
+            throw new SilentError(`Failed to remove ${failed} stages`);
+        await exit();
+    }
+    catch (e) {
+        await exitWithError(e);
+    }
+});
@@ -0,0 +1,12 @@
+import { inspect } from "./inspect.js";
+import { list } from "./list.js";
+import { prune } from "./prune.js";
+export function stages(program) {
+    program.command("stages", "Manage the stages of your app", (yargs) => {
+        yargs.demandCommand(1);
+        list(program);
+        inspect(program);
+        prune(program);
+        return yargs;
+    });
+}
@@ -1,5 +1,5 @@
 import path from "path";
-export const types = (program) => program.command("types", "Generate resource types in .sst/types", (yargs) => yargs, async () => {
+export const types = (program) => program.command("types", "Generate resource types and API clients in .sst/types", (yargs) => yargs, async () => {
     const { exit, exitWithError } = await import("../program.js");
     const { useProject } = await import("../../project.js");
     const { Stacks } = await import("../../stacks/index.js");
@@ -22,6 +22,7 @@ export const types = (program) => program.command("types", "Generate resource ty
             region: project.config.region,
         });
         await sstConfig.stacks(app);
+        app.codegenClients();
         Colors.line(Colors.success(`✔ `), `Types generated in ${path.resolve(project.paths.out, "types")}`);
         await exit();
     }
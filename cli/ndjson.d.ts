@@ -0,0 +1,5 @@
+export declare function isNDJSON(): boolean;
+/**
+ * Streams every bus event as a line of JSON to stdout or to a file
+ */
+export declare function useNDJSON(file?: string): void;
@@ -0,0 +1,45 @@
+import fs from "fs";
+import { useBus } from "../bus.js";
+import { Colors } from "./colors.js";
+let enabled = false;
+export function isNDJSON() {
+    return enabled;
+}
+/**
+ * Streams every bus event as a line of JSON to stdout or to a file. When
+ * streaming to stdout, all other output is sent to stderr.
+ */
+export function useNDJSON(file) {
+    if (enabled)
+        return;
+    enabled = true;
+    // Written synchronously so events are not lost when the CLI calls process.exit
+    const fd = file ? fs.openSync(file, "w") : process.stdout.fd;
+    if (!file) {
+        Colors.stderr();
+        // Anything else printed to stdout, ie. with a plain console.log or by
+        // a child process, would corrupt the stream
+        process.stdout.write = process.stderr.write.bind(process.stderr);
+    }
+    useBus().subscribeAll((payload) => {
+        const line = serialize(payload);
+        if (line)
+            fs.writeSync(fd, line + "\n");
+    });
+}
+function serialize(payload) {
+    // The function environment contains secrets
+    const properties = payload.type === "function.invoked"
+        ? { ...payload.properties, env: undefined }
+        : payload.properties;
+    try {
+        return JSON.stringify({
+            timestamp: new Date().toISOString(),
+            type: payload.type,
+            properties,
+        });
+    }
+    catch {
+        return;
+    }
+}
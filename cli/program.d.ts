@@ -1,4 +1,9 @@
 /// <reference types="yargs" />
+/**
+ * Stages confirmed with `--yes-i-mean-<stage>`. The flag name depends on the
+ * stage so it is taken out before yargs parses the rest.
+ */
+export declare const confirmedStages: string[];
 export declare const program: import("yargs").Argv<{
     stage: string | undefined;
 } & {
@@ -11,6 +16,10 @@ export declare const program: import("yargs").Argv<{
     role: string | undefined;
 } & {
     future: boolean | undefined;
+} & {
+    output: string | undefined;
+} & {
+    "output-file": string | undefined;
 }>;
 export type Program = typeof program;
 export declare function exitWithError(error: Error): Promise<void>;
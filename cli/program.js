@@ -1,6 +1,14 @@
 import yargs from "yargs";
 import { hideBin } from "yargs/helpers";
-export const program = yargs(hideBin(process.argv))
+const argv = hideBin(process.argv);
+/**
+ * Stages confirmed with `--yes-i-mean-<stage>`. The flag name depends on the
+ * stage so it is taken out before yargs parses the rest.
+ */
+export const confirmedStages = argv
+    .filter((arg) => arg.startsWith("--yes-i-mean-"))
+    .map((arg) => arg.substring("--yes-i-mean-".length));
+export const program = yargs(argv.filter((arg) => !arg.startsWith("--yes-i-mean-")))
     .scriptName("sst")
     .option("stage", {
     type: "string",
@@ -26,11 +34,24 @@ export const program = yargs(hideBin(process.argv))
     type: "boolean",
     describe: "DO NOT USE. For enabling untested, experimental features",
 })
-    .group(["stage", "profile", "region", "role", "verbose", "help"], "Global:")
+    .option("output", {
+    type: "string",
+    choices: ["ndjson"],
+    describe: "Stream events as newline delimited JSON instead of the interactive UI",
+})
+    .option("output-file", {
+    type: "string",
+    describe: "Write the --output events to a file instead of stdout",
+})
+    .group(["stage", "profile", "region", "role", "verbose", "output", "output-file", "help"], "Global:")
     .middleware(async (argv) => {
     if (argv.verbose) {
         process.env.SST_VERBOSE = "1";
     }
+    if (argv.output === "ndjson") {
+        const { useNDJSON } = await import("./ndjson.js");
+        useNDJSON(argv.outputFile);
+    }
     if (argv._.length > 0) {
         const { initProject } = await import("../project.js");
         await initProject(argv);
@@ -0,0 +1,5 @@
+/**
+ * Asks to type in the stage name when running a command against one of the
+ * `protectedStages`, unless `--yes-i-mean-<stage>` was passed in
+ */
+export declare function confirmProtectedStage(action: string): Promise<void>;
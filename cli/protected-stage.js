@@ -0,0 +1,31 @@
+import { useProject, isProtectedStage } from "../project.js";
+import { VisibleError } from "../error.js";
+import { confirmedStages } from "./program.js";
+import { getCiInfo } from "./ci-info.js";
+/**
+ * Asks to type in the stage name when running a command against one of the
+ * `protectedStages`, unless `--yes-i-mean-<stage>` was passed in
+ */
+export async function confirmProtectedStage(action) {
+    const { stage } = useProject().config;
+    if (!isProtectedStage(stage) || confirmedStages.includes(stage))
+        return;
+    if (getCiInfo().isCI || !process.stdin.isTTY) {
+        throw new VisibleError(`The "${stage}" stage is protected. Pass in --yes-i-mean-${stage} to ${action} it.`);
+    }
+    const readline = await import("readline");
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    });
+    const input = await new Promise((resolve) => {
+        console.log("");
+        rl.question(`The "${stage}" stage is protected. Type in the name of the stage to ${action} it: `, (input) => {
+            rl.close();
+            resolve(input.trim());
+        });
+    });
+    if (input !== stage) {
+        throw new VisibleError(`Stage name did not match, cancelled`);
+    }
+}
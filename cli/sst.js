@@ -22,9 +22,17 @@ import { secrets } from "./commands/secrets/secrets.js";
 import { update } from "./commands/update.js";
 import { transform } from "./commands/transform.js";
 import { diff } from "./commands/diff.js";
+import { drift } from "./commands/drift.js";
+import { outputs } from "./commands/outputs.js";
+import { history } from "./commands/history.js";
+import { rollback } from "./commands/rollback.js";
+import { stages } from "./commands/stages/stages.js";
 import { version } from "./commands/version.js";
 import { telemetry } from "./commands/telemetry.js";
 import { types } from "./commands/types.js";
+import { openapi } from "./commands/openapi.js";
+import { invoke } from "./commands/invoke.js";
+import { events } from "./commands/events/events.js";
 bootstrap(program);
 dev(program);
 deploy(program);
@@ -36,9 +44,17 @@ update(program);
 transform(program);
 consoleCommand(program);
 diff(program);
+drift(program);
+outputs(program);
+history(program);
+rollback(program);
+stages(program);
 version(program);
 telemetry(program);
 types(program);
+openapi(program);
+invoke(program);
+events(program);
 if ("setSourceMapsEnabled" in process) {
     // @ts-expect-error
     process.setSourceMapsEnabled(true);
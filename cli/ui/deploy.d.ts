@@ -5,5 +5,13 @@ interface Props {
     remove?: boolean;
 }
 export declare const DeploymentUI: (props: Props) => JSX.Element;
+/**
+ * Renders the DeploymentUI, unless bus events are being streamed with
+ * `--output ndjson`
+ */
+export declare function renderDeploymentUI(props: Props): {
+    clear(): void;
+    unmount(): void;
+};
 export declare function printDeploymentResults(assembly: CloudAssembly, results: Awaited<ReturnType<typeof Stacks.deployMany>>, remove?: boolean): void;
 export {};
@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from "react";
-import { Box, Text } from "ink";
+import { Box, Text, render } from "ink";
 import { useBus } from "../../bus.js";
 import { Stacks } from "../../stacks/index.js";
 import Spinner from "ink-spinner";
 import { Colors } from "../colors.js";
 import { useProject } from "../../project.js";
+import { isNDJSON } from "../ndjson.js";
 export const DeploymentUI = (props) => {
     const [statuses, setStatuses] = useState({});
     const [resources, setResources] = useState({});
@@ -93,6 +94,18 @@ export const DeploymentUI = (props) => {
                 "  ",
                 React.createElement(Text, { dimColor: true }, props.remove ? "Removing..." : "Deploying..."))))));
 };
+/**
+ * Renders the DeploymentUI, unless bus events are being streamed with
+ * `--output ndjson`
+ */
+export function renderDeploymentUI(props) {
+    if (isNDJSON())
+        return {
+            clear() { },
+            unmount() { },
+        };
+    return render(React.createElement(DeploymentUI, props));
+}
 export function printDeploymentResults(assembly, results, remove) {
     // Print success stacks
     const success = Object.entries(results).filter(([_stack, result]) => Stacks.isSuccess(result.status));
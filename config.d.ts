@@ -50,6 +50,11 @@ export declare namespace Config {
         key: string;
         fallback?: boolean;
     }): Promise<void>;
+    /**
+     * Removes every parameter under the prefix, ie. all the secrets and
+     * parameters of a stage. Returns the number of parameters removed.
+     */
+    function removeParameters(prefix: string): Promise<number>;
     function restart(keys: string[]): Promise<{
         edgeSites: (NextjsSiteMetadata | AstroSiteMetadata | RemixSiteMetadata | SolidStartSiteMetadata | SvelteKitSiteMetadata)[];
         sites: SSRSiteMetadata[];
@@ -1,4 +1,4 @@
-import { DeleteParameterCommand, GetParameterCommand, GetParametersByPathCommand, PutParameterCommand, SSMClient, } from "@aws-sdk/client-ssm";
+import { DeleteParameterCommand, DeleteParametersCommand, GetParameterCommand, GetParametersByPathCommand, PutParameterCommand, SSMClient, } from "@aws-sdk/client-ssm";
 import { GetFunctionConfigurationCommand, LambdaClient, UpdateFunctionConfigurationCommand, } from "@aws-sdk/client-lambda";
 import { pipe, map } from "remeda";
 import { useProject } from "./project.js";
@@ -126,6 +126,24 @@ export var Config;
         }));
     }
     Config.removeSecret = removeSecret;
+    /**
+     * Removes every parameter under the prefix, ie. all the secrets and
+     * parameters of a stage. Returns the number of parameters removed.
+     */
+    async function removeParameters(prefix) {
+        const names = [];
+        for await (const p of scanParameters(prefix)) {
+            names.push(p.Name);
+        }
+        const ssm = useAWSClient(SSMClient);
+        for (let i = 0; i < names.length; i += 10) {
+            await ssm.send(new DeleteParametersCommand({
+                Names: names.slice(i, i + 10),
+            }));
+        }
+        return names.length;
+    }
+    Config.removeParameters = removeParameters;
     async function restart(keys) {
         // Note: Currently functions and sites with prefetch secrets are not restarted
         const metadata = await Stacks.metadata();
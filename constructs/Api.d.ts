@@ -11,10 +11,12 @@ import { Permissions } from "./util/permission.js";
 import * as apigV2Cors from "./util/apiGatewayV2Cors.js";
 import * as apigV2Domain from "./util/apiGatewayV2Domain.js";
 import * as apigV2AccessLog from "./util/apiGatewayV2AccessLog.js";
+import * as openapi from "./util/openapi.js";
 import { IFunction } from "aws-cdk-lib/aws-lambda";
 import { IApplicationListener, INetworkListener } from "aws-cdk-lib/aws-elasticloadbalancingv2";
 import { LogGroup } from "aws-cdk-lib/aws-logs";
 import { Certificate } from "aws-cdk-lib/aws-certificatemanager";
+import type { GeneratedClient } from "./util/client.js";
 declare const PayloadFormatVersions: readonly ["1.0", "2.0"];
 export type ApiPayloadFormatVersion = (typeof PayloadFormatVersions)[number];
 export interface CdkHttpAwsIntegrationProps extends HttpAwsIntegrationProps {
@@ -166,6 +168,15 @@ export interface ApiDomainProps extends apigV2Domain.CustomDomainProps {
 }
 export interface ApiAccessLogProps extends apigV2AccessLog.AccessLogProps {
 }
+export interface ApiOpenApiProps extends openapi.OpenApiProps {
+}
+export interface ApiOpenApiRouteProps extends openapi.OpenApiRouteProps {
+}
+export interface ApiRouteSchemas extends openapi.RouteSchemas {
+}
+/**
+ * The HTTP API has no `waf` prop. AWS WAF cannot be attached to HTTP APIs, use an `ApiGatewayV1Api` or serve the API through a CloudFront distribution to put a web ACL in front of it.
+ */
 export interface ApiProps<Authorizers extends Record<string, ApiAuthorizer> = Record<string, ApiAuthorizer>, AuthorizerKeys = keyof Authorizers> {
     /**
      * Define the routes for the API. Can be a function, proxy to another API, or point to an load balancer
@@ -261,6 +272,22 @@ export interface ApiProps<Authorizers extends Record<string, ApiAuthorizer> = Re
      * ```
      */
     authorizers?: Authorizers;
+    /**
+     * Write an OpenAPI 3.1 document of the routes when the app is built. The schemas declared on the routes are included in the document.
+     *
+     * @default false
+     *
+     * @example
+     * ```js
+     * new Api(stack, "Api", {
+     *   openapi: {
+     *     title: "Notes API",
+     *     output: "docs/openapi.json",
+     *   },
+     * });
+     * ```
+     */
+    openapi?: boolean | ApiOpenApiProps;
     defaults?: {
         /**
          * The default function props to be applied to all the Lambda functions in the API. The `environment`, `permissions` and `layers` properties will be merged with per route definitions if they are defined.
@@ -401,6 +428,54 @@ export type ApiRouteProps<AuthorizerKeys> = FunctionInlineDefinition | ApiFuncti
 interface ApiBaseRouteProps<AuthorizerKeys = string> {
     authorizer?: "none" | "iam" | (string extends AuthorizerKeys ? Omit<AuthorizerKeys, "none" | "iam"> : AuthorizerKeys);
     authorizationScopes?: string[];
+    /**
+     * Zod schemas or JSON Schemas of the request and response. They are included in the OpenAPI document, and requests to function routes using `ApiHandler` are validated against the `body`, `query` and `params` schemas.
+     *
+     * Zod schemas are converted to JSON Schema, so requests are only checked against the types, required fields, enums, lengths, bounds, regexes and the `email`, `url`, `uuid` and `datetime` formats. Refinements, transforms and other custom checks are not enforced, pass the Zod schema to `useValidatedBody` or `useValidatedQuery` in the handler to run them.
+     *
+     * @example
+     * ```js
+     * api.addRoutes(stack, {
+     *   "POST /notes": {
+     *     function: "src/create.main",
+     *     schemas: {
+     *       body: z.object({ content: z.string() }),
+     *     },
+     *   },
+     * });
+     * ```
+     */
+    schemas?: ApiRouteSchemas;
+    /**
+     * Describes the route in the OpenAPI document
+     */
+    openapi?: ApiOpenApiRouteProps;
+    /**
+     * Throttle this route separately from the `defaults.throttle` of the Api. The route has to be added in the same stack as the Api.
+     *
+     * @example
+     * ```js
+     * api.addRoutes(stack, {
+     *   "POST /login": {
+     *     function: "src/login.main",
+     *     throttle: {
+     *       burst: 10,
+     *       rate: 5,
+     *     },
+     *   },
+     * });
+     * ```
+     */
+    throttle?: {
+        /**
+         * The [burst rate](https://docs.aws.amazon.com/apigateway/latest/developerguide/http-api-throttling.html) of the number of concurrent request for the route.
+         */
+        burst?: number;
+        /**
+         * The [steady-state rate](https://docs.aws.amazon.com/apigateway/latest/developerguide/http-api-throttling.html) of the number of concurrent request for the route.
+         */
+        rate?: number;
+    };
 }
 /**
  * Specify a function route handler and configure additional options
@@ -635,6 +710,7 @@ export declare class Api<Authorizers extends Record<string, ApiAuthorizer> = Rec
     private _customDomainUrl?;
     private routesData;
     private authorizersData;
+    private routesOpenApi;
     private bindingForAllRoutes;
     private permissionsAttachedForAllRoutes;
     constructor(scope: Construct, id: string, props?: ApiProps<Authorizers>);
@@ -742,6 +818,17 @@ export declare class Api<Authorizers extends Record<string, ApiAuthorizer> = Rec
      *
      */
     attachPermissionsToRoute(routeKey: string, permissions: Permissions): void;
+    /**
+     * Builds an OpenAPI 3.1 document from the routes of the Api, including the schemas declared on the routes.
+     *
+     * @example
+     * ```js
+     * const document = api.getOpenApiDocument();
+     * ```
+     */
+    getOpenApiDocument(): Record<string, any>;
+    /** @internal */
+    codegenClient(): GeneratedClient;
     getConstructMetadata(): {
         type: "Api";
         data: {
@@ -795,6 +882,8 @@ export declare class Api<Authorizers extends Record<string, ApiAuthorizer> = Rec
     protected createCdkFunctionIntegration(_scope: Construct, routeKey: string, routeProps: ApiFunctionRouteProps<keyof Authorizers>, postfixName: string): HttpRouteIntegration;
     protected createFunctionIntegration(scope: Construct, routeKey: string, routeProps: ApiFunctionRouteProps<keyof Authorizers>, postfixName: string): HttpRouteIntegration;
     private buildRouteAuth;
+    private buildRouteOpenApiAuth;
+    private writeOpenApiDocumentOnBuild;
     private normalizeRouteKey;
     /**
      * Binds the given list of resources to a specific route.
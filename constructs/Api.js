@@ -11,6 +11,9 @@ import { toCdkDuration } from "./util/duration.js";
 import * as apigV2Cors from "./util/apiGatewayV2Cors.js";
 import * as apigV2Domain from "./util/apiGatewayV2Domain.js";
 import * as apigV2AccessLog from "./util/apiGatewayV2AccessLog.js";
+import { bindRouteSchemas, buildOpenApiDocument, openApiDocumentPath, toRouteJsonSchemas, writeOpenApiDocument, } from "./util/openapi.js";
+import { useDeferredTasks } from "./deferred_task.js";
+import { generateApiClient } from "./util/client.js";
 import { UserPool, UserPoolClient } from "aws-cdk-lib/aws-cognito";
 const PayloadFormatVersions = ["1.0", "2.0"];
 /////////////////////
@@ -42,6 +45,7 @@ export class Api extends Construct {
     _customDomainUrl;
     routesData;
     authorizersData;
+    routesOpenApi = {};
     bindingForAllRoutes = [];
     permissionsAttachedForAllRoutes = [];
     constructor(scope, id, props) {
@@ -54,6 +58,7 @@ export class Api extends Construct {
         this.createHttpApi();
         this.addAuthorizers(this.props.authorizers || {});
         this.addRoutes(this, this.props.routes || {});
+        this.writeOpenApiDocumentOnBuild();
         const app = this.node.root;
         app.registerTypes(this);
     }
@@ -212,6 +217,29 @@ export class Api extends Construct {
         }
         fn.attachPermissions(permissions);
     }
+    /**
+     * Builds an OpenAPI 3.1 document from the routes of the Api, including the schemas declared on the routes.
+     *
+     * @example
+     * ```js
+     * const document = api.getOpenApiDocument();
+     * ```
+     */
+    getOpenApiDocument() {
+        return buildOpenApiDocument({
+            id: this.id,
+            props: typeof this.props.openapi === "object" ? this.props.openapi : {},
+            routes: Object.values(this.routesOpenApi),
+        });
+    }
+    /** @internal */
+    codegenClient() {
+        return generateApiClient({
+            className: "Api",
+            id: this.id,
+            routes: Object.values(this.routesOpenApi),
+        });
+    }
     getConstructMetadata() {
         return {
             type: "Api",
@@ -487,6 +515,17 @@ export class Api extends Construct {
             throw new Error(`Invalid route type "${routeValue.type}" for "${routeKey}".`);
         })();
         const { authorizationType, authorizer, authorizationScopes } = this.buildRouteAuth(routeProps);
+        const schemas = toRouteJsonSchemas(routeProps.schemas);
+        const data = this.routesData[routeKey];
+        if (data.type === "function" || data.type === "graphql") {
+            bindRouteSchemas(data.function, httpRouteKey.key, schemas);
+        }
+        this.routesOpenApi[routeKey] = {
+            routeKey,
+            auth: this.buildRouteOpenApiAuth(routeProps, authorizationType, authorizationScopes),
+            schemas,
+            openapi: routeProps.openapi,
+        };
         const route = new HttpRoute(scope, `Route_${postfixName}`, {
             httpApi: this.cdk.httpApi,
             routeKey: httpRouteKey,
@@ -509,6 +548,32 @@ export class Api extends Construct {
         else if (authorizationType === "none") {
             cfnRoute.authorizationType = "NONE";
         }
+        ////////////////////
+        // Configure route throttling
+        ////////////////////
+        if (routeProps.throttle) {
+            const stage = this.cdk.httpApi.defaultStage;
+            if (!stage) {
+                throw new Error(`Cannot configure the "throttle" for route "${routeKey}" when "cdk.httpApi" is a construct`);
+            }
+            // Route settings are keyed by the route key and passed to
+            // CloudFormation as is
+            const cfnStage = stage.node.defaultChild;
+            cfnStage.routeSettings = {
+                ...cfnStage.routeSettings,
+                [routeKey]: {
+                    ThrottlingBurstLimit: routeProps.throttle.burst,
+                    ThrottlingRateLimit: routeProps.throttle.rate,
+                },
+            };
+            // The route has to exist before the stage can configure it. The
+            // stage cannot depend on a route in another stack, as that stack
+            // already depends on the Api's stack.
+            if (Stack.of(route) !== Stack.of(cfnStage)) {
+                throw new Error(`Cannot configure the "throttle" for route "${routeKey}" in the "${Stack.of(route).node.id}" stack. Routes with a "throttle" have to be added in the "${Stack.of(cfnStage).node.id}" stack of the Api.`);
+            }
+            cfnStage.node.addDependency(route);
+        }
     }
     createAwsProxyIntegration(scope, routeKey, routeProps, postfixName) {
         // Create IAM role for API Gateway to call the AWS services
@@ -698,6 +763,27 @@ export class Api extends Construct {
             : undefined;
         return { authorizationType, authorizer, authorizationScopes };
     }
+    buildRouteOpenApiAuth(routeProps, authorizationType, authorizationScopes) {
+        if (authorizationType === "none")
+            return;
+        if (authorizationType === "iam")
+            return { name: "iam", type: "iam" };
+        const authorizerKey = routeProps?.authorizer || this.props.defaults?.authorizer;
+        return {
+            name: authorizerKey,
+            type: authorizationType === "lambda" ? "lambda" : "jwt",
+            identitySource: this.props.authorizers[authorizerKey].identitySource?.[0],
+            scopes: authorizationScopes,
+        };
+    }
+    writeOpenApiDocumentOnBuild() {
+        const { openapi } = this.props;
+        if (!openapi)
+            return;
+        useDeferredTasks().add(async () => {
+            writeOpenApiDocument(openApiDocumentPath(this.id, openapi), this.getOpenApiDocument());
+        });
+    }
     normalizeRouteKey(routeKey) {
         return routeKey.split(/\s+/).join(" ");
     }
@@ -9,9 +9,12 @@ import * as apigV1AccessLog from "./util/apiGatewayV1AccessLog.js";
 import { Bucket } from "./Bucket.js";
 import { BindingResource, BindingProps } from "./util/binding.js";
 import { Duration } from "./util/duration.js";
+import { WafDefinition } from "./Waf.js";
 import { SSTConstruct } from "./Construct.js";
 import { Function as Fn, FunctionProps, FunctionInlineDefinition, FunctionDefinition } from "./Function.js";
 import { Permissions } from "./util/permission.js";
+import { ApiOpenApiProps, ApiOpenApiRouteProps, ApiRouteSchemas } from "./Api.js";
+import type { GeneratedClient } from "./util/client.js";
 export interface ApiGatewayV1ApiAccessLogProps extends apigV1AccessLog.AccessLogProps {
 }
 export interface ApiGatewayV1ApiProps<Authorizers extends Record<string, ApiGatewayV1ApiAuthorizer> = Record<string, never>, AuthorizerKeys = keyof Authorizers> {
@@ -100,6 +103,55 @@ export interface ApiGatewayV1ApiProps<Authorizers extends Record<string, ApiGate
      * ```
      */
     authorizers?: Authorizers;
+    /**
+     * Write an OpenAPI 3.1 document of the routes when the app is built. The schemas declared on the routes are included in the document.
+     *
+     * @default false
+     *
+     * @example
+     * ```js
+     * new ApiGatewayV1Api(stack, "Api", {
+     *   openapi: {
+     *     title: "Notes API",
+     *     output: "docs/openapi.json",
+     *   },
+     * });
+     * ```
+     */
+    openapi?: boolean | ApiOpenApiProps;
+    /**
+     * Attach an AWS WAF web ACL. Pass in `true` or the Waf props to create one, an existing `Waf`, or the ARN of an existing web ACL.
+     *
+     * @example
+     * ```js
+     * new ApiGatewayV1Api(stack, "Api", {
+     *   waf: {
+     *     blockedIps: ["192.0.2.0/24"],
+     *   },
+     * });
+     * ```
+     */
+    waf?: WafDefinition;
+    /**
+     * Create usage plans with API keys, keyed by the name of the plan. Requests to routes with `apiKeyRequired` need to pass one of the keys in the `x-api-key` header.
+     *
+     * @example
+     * ```js
+     * new ApiGatewayV1Api(stack, "Api", {
+     *   usagePlans: {
+     *     free: {
+     *       throttle: { rate: 10, burst: 20 },
+     *       quota: { limit: 1000, period: "day" },
+     *       apiKeys: ["acme"],
+     *     },
+     *   },
+     *   defaults: {
+     *     apiKeyRequired: true,
+     *   },
+     * });
+     * ```
+     */
+    usagePlans?: Record<string, ApiGatewayV1ApiUsagePlanProps>;
     defaults?: {
         /**
          * The default function props to be applied to all the Lambda functions in the API. The `environment`, `permissions` and `layers` properties will be merged with per route definitions if they are defined.
@@ -151,6 +203,11 @@ export interface ApiGatewayV1ApiProps<Authorizers extends Record<string, ApiGate
          * @default []
          */
         authorizationScopes?: string[];
+        /**
+         * Whether the routes require one of the API keys of the `usagePlans`.
+         * @default false
+         */
+        apiKeyRequired?: boolean;
     };
     cdk?: {
         /**
@@ -225,6 +282,21 @@ export interface ApiGatewayV1ApiFunctionRouteProps<AuthorizerKeys = never> {
     function?: FunctionDefinition;
     authorizer?: "none" | "iam" | (string extends AuthorizerKeys ? Omit<AuthorizerKeys, "none" | "iam"> : AuthorizerKeys);
     authorizationScopes?: string[];
+    /**
+     * Whether the route requires one of the API keys of the `usagePlans`.
+     * @default The `apiKeyRequired` of the `defaults`
+     */
+    apiKeyRequired?: boolean;
+    /**
+     * Zod schemas or JSON Schemas of the request and response. They are included in the OpenAPI document, and requests to routes using `ApiHandler` are validated against the `body`, `query` and `params` schemas.
+     *
+     * Zod schemas are converted to JSON Schema, so requests are only checked against the types, required fields, enums, lengths, bounds, regexes and the `email`, `url`, `uuid` and `datetime` formats. Refinements, transforms and other custom checks are not enforced, pass the Zod schema to `useValidatedBody` or `useValidatedQuery` in the handler to run them.
+     */
+    schemas?: ApiRouteSchemas;
+    /**
+     * Describes the route in the OpenAPI document
+     */
+    openapi?: ApiOpenApiRouteProps;
     cdk?: {
         method?: Omit<apig.MethodOptions, "authorizer" | "authorizationType" | "authorizationScopes">;
         integration?: apig.LambdaIntegrationOptions;
@@ -234,6 +306,41 @@ export interface ApiGatewayV1ApiFunctionRouteProps<AuthorizerKeys = never> {
         function?: lambda.IFunction;
     };
 }
+export interface ApiGatewayV1ApiUsagePlanProps {
+    /**
+     * The steady-state rate, in requests per second, and the burst of requests each API key can make.
+     */
+    throttle?: {
+        rate?: number;
+        burst?: number;
+    };
+    /**
+     * The number of requests each API key can make in a period.
+     *
+     * @example
+     * ```js
+     * quota: { limit: 1000, period: "day" }
+     * ```
+     */
+    quota?: {
+        limit: number;
+        period: "day" | "week" | "month";
+        /**
+         * The number of requests to subtract from the limit in the first period.
+         */
+        offset?: number;
+    };
+    /**
+     * The names of the API keys to create for the plan. A key listed in several plans is created once. The values are generated, read them in the AWS console.
+     */
+    apiKeys?: string[];
+    cdk?: {
+        /**
+         * Override the internally created usage plan.
+         */
+        usagePlan?: Partial<apig.UsagePlanProps>;
+    };
+}
 export type ApiGatewayV1ApiAuthorizer = ApiGatewayV1ApiUserPoolsAuthorizer | ApiGatewayV1ApiLambdaTokenAuthorizer | ApiGatewayV1ApiLambdaRequestAuthorizer;
 interface ApiGatewayV1ApiBaseAuthorizer {
     /**
@@ -496,6 +603,14 @@ export declare class ApiGatewayV1Api<Authorizers extends Record<string, ApiGatew
          * The internally created certificate
          */
         certificate?: acm.ICertificate;
+        /**
+         * The internally created usage plans, keyed by plan name
+         */
+        usagePlans?: Record<string, apig.UsagePlan>;
+        /**
+         * The internally created API keys, keyed by key name
+         */
+        apiKeys?: Record<string, apig.ApiKey>;
     };
     private _deployment?;
     private _customDomainUrl?;
@@ -503,6 +618,7 @@ export declare class ApiGatewayV1Api<Authorizers extends Record<string, ApiGatew
     private props;
     private functions;
     private authorizersData;
+    private routesOpenApi;
     private bindingForAllRoutes;
     private permissionsAttachedForAllRoutes;
     constructor(scope: Construct, id: string, props?: ApiGatewayV1ApiProps<Authorizers>);
@@ -609,6 +725,17 @@ export declare class ApiGatewayV1Api<Authorizers extends Record<string, ApiGatew
      * ```
      */
     attachPermissionsToRoute(routeKey: string, permissions: Permissions): void;
+    /**
+     * Builds an OpenAPI 3.1 document from the routes of the Api, including the schemas declared on the routes.
+     *
+     * @example
+     * ```js
+     * const document = api.getOpenApiDocument();
+     * ```
+     */
+    getOpenApiDocument(): Record<string, any>;
+    /** @internal */
+    codegenClient(): GeneratedClient;
     getConstructMetadata(): {
         type: "ApiGatewayV1Api";
         data: {
@@ -639,6 +766,9 @@ export declare class ApiGatewayV1Api<Authorizers extends Record<string, ApiGatew
     private createCdkFunction;
     private createFunction;
     private buildRouteMethodOptions;
+    private buildRouteOpenApiAuth;
+    private createUsagePlans;
+    private writeOpenApiDocumentOnBuild;
     private normalizeRouteKey;
     private assertDomainNameIsLowerCase;
 }
@@ -11,6 +11,10 @@ import { getFunctionRef, isCDKConstruct } from "./Construct.js";
 import { DnsValidatedCertificate } from "./cdk/dns-validated-certificate.js";
 import { Function as Fn, } from "./Function.js";
 import { Duration as CDKDuration, Token } from "aws-cdk-lib/core";
+import { bindRouteSchemas, buildOpenApiDocument, openApiDocumentPath, toRouteJsonSchemas, writeOpenApiDocument, } from "./util/openapi.js";
+import { useDeferredTasks } from "./deferred_task.js";
+import { attachWafProp } from "./Waf.js";
+import { generateApiClient } from "./util/client.js";
 const allowedMethods = [
     "ANY",
     "GET",
@@ -53,6 +57,7 @@ export class ApiGatewayV1Api extends Construct {
     props;
     functions = {};
     authorizersData = {};
+    routesOpenApi = {};
     bindingForAllRoutes = [];
     permissionsAttachedForAllRoutes = [];
     constructor(scope, id, props) {
@@ -63,6 +68,9 @@ export class ApiGatewayV1Api extends Construct {
         this.createRestApi();
         this.addAuthorizers(this.props.authorizers || {});
         this.addRoutes(this, this.props.routes || {});
+        this.createUsagePlans(this.props.usagePlans || {});
+        this.writeOpenApiDocumentOnBuild();
+        attachWafProp(this, this.props.waf, "regional");
         const app = this.node.root;
         app.registerTypes(this);
     }
@@ -215,6 +223,29 @@ export class ApiGatewayV1Api extends Construct {
         }
         fn.attachPermissions(permissions);
     }
+    /**
+     * Builds an OpenAPI 3.1 document from the routes of the Api, including the schemas declared on the routes.
+     *
+     * @example
+     * ```js
+     * const document = api.getOpenApiDocument();
+     * ```
+     */
+    getOpenApiDocument() {
+        return buildOpenApiDocument({
+            id: this.id,
+            props: typeof this.props.openapi === "object" ? this.props.openapi : {},
+            routes: Object.values(this.routesOpenApi),
+        });
+    }
+    /** @internal */
+    codegenClient() {
+        return generateApiClient({
+            className: "ApiGatewayV1Api",
+            id: this.id,
+            routes: Object.values(this.routesOpenApi),
+        });
+    }
     getConstructMetadata() {
         return {
             type: "ApiGatewayV1Api",
@@ -691,7 +722,21 @@ export class ApiGatewayV1Api extends Construct {
             }
         })();
         const integration = new apig.LambdaIntegration(lambda, routeProps.cdk?.integration);
-        const methodOptions = this.buildRouteMethodOptions(routeProps);
+        const apiKeyRequired = routeProps.apiKeyRequired ?? this.props.defaults?.apiKeyRequired;
+        const methodOptions = {
+            ...(apiKeyRequired !== undefined ? { apiKeyRequired } : {}),
+            ...this.buildRouteMethodOptions(routeProps),
+        };
+        const schemas = toRouteJsonSchemas(routeProps.schemas);
+        if (lambda instanceof Fn) {
+            bindRouteSchemas(lambda, `${methodStr} ${path}`, schemas);
+        }
+        this.routesOpenApi[routeKey] = {
+            routeKey,
+            auth: this.buildRouteOpenApiAuth(routeProps),
+            schemas,
+            openapi: routeProps.openapi,
+        };
         const apigMethod = resource.addMethod(method, integration, methodOptions);
         ///////////////////
         // Handle manually created Deployment resource (ie. imported REST API)
@@ -758,6 +803,80 @@ export class ApiGatewayV1Api extends Construct {
             ...routeProps.cdk?.method,
         };
     }
+    buildRouteOpenApiAuth(routeProps) {
+        const authorizerKey = routeProps.authorizer || this.props.defaults?.authorizer || "none";
+        if (authorizerKey === "none")
+            return;
+        if (authorizerKey === "iam")
+            return { name: "iam", type: "iam" };
+        const authorizer = this.props.authorizers[authorizerKey];
+        if (authorizer.type === "user_pools")
+            return {
+                name: authorizerKey,
+                type: "jwt",
+                scopes: routeProps.authorizationScopes ||
+                    this.props.defaults?.authorizationScopes,
+            };
+        return {
+            name: authorizerKey,
+            type: "lambda",
+            identitySource: authorizer.type === "lambda_token"
+                ? authorizer.identitySource
+                : authorizer.identitySources?.[0],
+        };
+    }
+    createUsagePlans(usagePlans) {
+        const entries = Object.entries(usagePlans);
+        if (!entries.length)
+            return;
+        let stage;
+        try {
+            stage = this.cdk.restApi.deploymentStage;
+        }
+        catch {
+            // Imported rest apis throw when accessing the stage
+        }
+        if (!stage) {
+            throw new Error(`Cannot add usage plans to the ApiGatewayV1Api "${this.node.id}" when the "restApi" is imported`);
+        }
+        const app = this.node.root;
+        this.cdk.usagePlans = {};
+        this.cdk.apiKeys = {};
+        for (const [name, plan] of entries) {
+            const usagePlan = this.cdk.restApi.addUsagePlan(`UsagePlan_${name}`, {
+                name: app.logicalPrefixedName(`${this.node.id}-${name}`),
+                throttle: plan.throttle && {
+                    burstLimit: plan.throttle.burst,
+                    rateLimit: plan.throttle.rate,
+                },
+                quota: plan.quota && {
+                    limit: plan.quota.limit,
+                    period: apig.Period[plan.quota.period.toUpperCase()],
+                    offset: plan.quota.offset,
+                },
+                apiStages: [{ api: this.cdk.restApi, stage }],
+                ...plan.cdk?.usagePlan,
+            });
+            this.cdk.usagePlans[name] = usagePlan;
+            // Keys can be shared by several plans
+            for (const keyName of plan.apiKeys || []) {
+                if (!this.cdk.apiKeys[keyName]) {
+                    this.cdk.apiKeys[keyName] = new apig.ApiKey(this, `ApiKey_${keyName}`, {
+                        apiKeyName: app.logicalPrefixedName(`${this.node.id}-${keyName}`),
+                    });
+                }
+                usagePlan.addApiKey(this.cdk.apiKeys[keyName]);
+            }
+        }
+    }
+    writeOpenApiDocumentOnBuild() {
+        const { openapi } = this.props;
+        if (!openapi)
+            return;
+        useDeferredTasks().add(async () => {
+            writeOpenApiDocument(openApiDocumentPath(this.id, openapi), this.getOpenApiDocument());
+        });
+    }
     normalizeRouteKey(routeKey) {
         return routeKey.split(/\s+/).join(" ");
     }
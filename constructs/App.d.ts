@@ -7,6 +7,7 @@ import { StackProps } from "./Stack.js";
 import { FunctionalStack } from "./FunctionalStack.js";
 import { AppProps as CDKAppProps, App as CDKApp, Stack as CDKStack, RemovalPolicy } from "aws-cdk-lib/core";
 import { ILayerVersion } from "aws-cdk-lib/aws-lambda";
+import type { Metadata } from "./Metadata.js";
 /**
  * @internal
  */
@@ -35,7 +36,15 @@ export interface AppDeployProps {
     readonly debugIncreaseTimeout?: boolean;
     readonly mode: "deploy" | "dev" | "remove";
     readonly isActiveStack?: (stackName: string) => boolean;
+    /**
+     * Synthesize without making any calls to AWS. Used by `sst dev --local`.
+     */
+    readonly offline?: boolean;
 }
+export declare const useConstructsMetadata: () => {
+    add(stack: string, metadata: Metadata): void;
+    readonly all: Record<string, Metadata[]>;
+};
 type AppRemovalPolicy = Lowercase<RemovalPolicy>;
 export type AppProps = CDKAppProps;
 /**
@@ -75,6 +84,8 @@ export declare class App extends CDKApp {
     /** @internal */
     readonly isActiveStack?: (stackName: string) => boolean;
     /** @internal */
+    readonly offline: boolean;
+    /** @internal */
     defaultFunctionProps: (FunctionProps | ((stack: Stack) => FunctionProps))[];
     private _defaultRemovalPolicy?;
     /** @internal */
@@ -96,7 +107,7 @@ export declare class App extends CDKApp {
     /**
      * The default removal policy that'll be applied to all the resources in the app. This can be useful to set ephemeral (dev or feature branch) environments to remove all the resources on deletion.
      * :::danger
-     * Make sure to not set the default removal policy to `DESTROY` for production environments.
+     * Make sure to not set the default removal policy to `DESTROY` for production environments. Setting it to `DESTROY` on one of the `protectedStages` throws an error.
      * :::
      * @example
      * ```js
@@ -153,6 +164,12 @@ export declare class App extends CDKApp {
     private useTypesPath;
     private createTypesFile;
     registerTypes(c: SSTConstruct): void;
+    /**
+     * Writes a typed client for each Api, ApiGatewayV1Api and WebSocketApi
+     * to `.sst/types/clients`, along with a server-only helper
+     * @internal
+     */
+    codegenClients(): void;
     private isFinished;
     finish(): Promise<void>;
     isRunningSSTTest(): boolean;
@@ -7,8 +7,8 @@ import { getBindingParameters, getBindingType, } from "./util/binding.js";
 import { stack } from "./FunctionalStack.js";
 import { Auth } from "./Auth.js";
 import { useDeferredTasks } from "./deferred_task.js";
-import { provideApp } from "./context.js";
-import { useProject } from "../project.js";
+import { provideApp, createAppContext } from "./context.js";
+import { useProject, isProtectedStage } from "../project.js";
 import { VisibleError } from "../error.js";
 import { Logger } from "../logger.js";
 import { App as CDKApp, Tags, CfnResource, RemovalPolicy, CustomResource, Aspects, } from "aws-cdk-lib/core";
@@ -18,6 +18,20 @@ import { Effect, Policy, PolicyStatement } from "aws-cdk-lib/aws-iam";
 import { CfnLogGroup } from "aws-cdk-lib/aws-logs";
 import { useBootstrap } from "../bootstrap.js";
 import { useWarning } from "./util/warning.js";
+export const useConstructsMetadata = createAppContext(() => {
+    const byStack = {};
+    return {
+        add(stack, metadata) {
+            let arr = byStack[stack];
+            if (!arr)
+                byStack[stack] = arr = [];
+            arr.push(metadata);
+        },
+        get all() {
+            return byStack;
+        },
+    };
+});
 /**
  * The App construct extends cdk.App and is used internally by SST.
  */
@@ -55,6 +69,8 @@ export class App extends CDKApp {
     /** @internal */
     isActiveStack;
     /** @internal */
+    offline;
+    /** @internal */
     defaultFunctionProps;
     _defaultRemovalPolicy;
     /** @internal */
@@ -77,6 +93,7 @@ export class App extends CDKApp {
         this.account =
             deployProps.account || process.env.CDK_DEFAULT_ACCOUNT || "my-account";
         this.isActiveStack = deployProps.isActiveStack;
+        this.offline = deployProps.offline === true;
         this.defaultFunctionProps = [];
         this.createTypesFile();
         if (this.mode === "dev") {
@@ -100,7 +117,7 @@ export class App extends CDKApp {
     /**
      * The default removal policy that'll be applied to all the resources in the app. This can be useful to set ephemeral (dev or feature branch) environments to remove all the resources on deletion.
      * :::danger
-     * Make sure to not set the default removal policy to `DESTROY` for production environments.
+     * Make sure to not set the default removal policy to `DESTROY` for production environments. Setting it to `DESTROY` on one of the `protectedStages` throws an error.
      * :::
      * @example
      * ```js
@@ -108,6 +125,9 @@ export class App extends CDKApp {
      * ```
      */
     setDefaultRemovalPolicy(policy) {
+        if (policy.toLowerCase() === "destroy" && isProtectedStage(this.stage)) {
+            throw new VisibleError(`The default removal policy cannot be set to "destroy" on the protected "${this.stage}" stage`);
+        }
         this._defaultRemovalPolicy = policy;
     }
     /**
@@ -234,6 +254,34 @@ export class App extends CDKApp {
                 ``,
             ]).join("\n"));
     }
+    /**
+     * Writes a typed client for each Api, ApiGatewayV1Api and WebSocketApi
+     * to `.sst/types/clients`
+     * @internal
+     */
+    codegenClients() {
+        const clientsPath = path.join(this.useTypesPath(), "clients");
+        // Clients are named after the construct id, which is only unique per
+        // construct type
+        const generated = new Map();
+        for (const c of this.buildConstructsMetadata_collectConstructs(this)) {
+            if (!("codegenClient" in c))
+                continue;
+            // Subclasses like GraphQLApi have no client binding to read the url from
+            if (!["Api", "ApiGatewayV1Api", "WebSocketApi"].includes(c.constructor.name))
+                continue;
+            const existing = generated.get(c.id);
+            if (existing) {
+                const describe = (api) => `the ${api.constructor.name} in the "${Stack.of(api).stackName}" stack`;
+                throw new Error(`Cannot generate a client for ${describe(c)}, its id "${c.id}" is also used by ${describe(existing)}. Give one of them a different id.`);
+            }
+            generated.set(c.id, c);
+            const { client, server } = c.codegenClient();
+            fs.mkdirSync(clientsPath, { recursive: true });
+            fs.writeFileSync(path.join(clientsPath, `${c.id}.ts`), client);
+            fs.writeFileSync(path.join(clientsPath, `${c.id}.server.ts`), server);
+        }
+    }
     isFinished = false;
     async finish() {
         if (this.isFinished)
@@ -242,6 +290,7 @@ export class App extends CDKApp {
         const { config, paths } = useProject();
         Auth.injectConfig();
         this.ensureUniqueConstructIds();
+        this.codegenClients();
         // Run deferred tasks
         // - After codegen b/c some frontend frameworks (ie. Next.js apps) runs
         //   type checking in the build step
@@ -349,6 +398,7 @@ export class App extends CDKApp {
                 ...metadata,
             };
             local.push(item);
+            useConstructsMetadata().add(stack.stackName, item);
             list.push({
                 ...item,
                 local: undefined,
@@ -3,6 +3,7 @@ import { Construct } from "constructs";
 import { Table } from "./Table.js";
 import { RDS } from "./RDS.js";
 import * as appSyncApiDomain from "./util/appSyncApiDomain.js";
+import { WafDefinition } from "./Waf.js";
 import { SSTConstruct } from "./Construct.js";
 import { Function as Fn, FunctionProps, FunctionInlineDefinition, FunctionDefinition } from "./Function.js";
 import { BindingResource, BindingProps } from "./util/binding.js";
@@ -351,6 +352,19 @@ export interface AppSyncApiProps {
          */
         function?: FunctionProps;
     };
+    /**
+     * Attach an AWS WAF web ACL. Pass in `true` or the Waf props to create one, an existing `Waf`, or the ARN of an existing web ACL.
+     *
+     * @example
+     * ```js
+     * new AppSyncApi(stack, "AppSync", {
+     *   waf: {
+     *     blockedIps: ["192.0.2.0/24"],
+     *   },
+     * });
+     * ```
+     */
+    waf?: WafDefinition;
     cdk?: {
         /**
          * Allows you to override default id for this construct.
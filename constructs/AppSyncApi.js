@@ -15,6 +15,7 @@ import { Stack } from "./Stack.js";
 import * as appSyncApiDomain from "./util/appSyncApiDomain.js";
 import { getFunctionRef, isCDKConstruct } from "./Construct.js";
 import { Function as Fn, } from "./Function.js";
+import { attachWafProp } from "./Waf.js";
 import { useProject } from "../project.js";
 import { GraphqlApi, MappingTemplate as CDKMappingTemplate, Resolver, SchemaFile, Definition, LambdaDataSource, DynamoDbDataSource, RdsDataSource, OpenSearchDataSource, HttpDataSource, NoneDataSource, } from "aws-cdk-lib/aws-appsync";
 /////////////////////
@@ -73,6 +74,7 @@ export class AppSyncApi extends Construct {
                 this.addResolver(this, key, props.resolvers[key]);
             }
         }
+        attachWafProp(this, props?.waf, "regional");
         const app = this.node.root;
         app.registerTypes(this);
     }
@@ -253,6 +253,7 @@ export declare class Bucket extends Construct implements SSTConstruct {
         bucket: IBucket;
     };
     readonly notifications: Record<string, Fn | Queue | Topic>;
+    private readonly notificationsData;
     readonly bindingForAllNotifications: BindingResource[];
     readonly permissionsAttachedForAllNotifications: Permissions[];
     readonly props: BucketProps;
@@ -349,6 +350,19 @@ export declare class Bucket extends Construct implements SSTConstruct {
             } | undefined)[];
             notificationNames: string[];
         };
+        local: {
+            notifications: {
+                events: Lowercase<keyof typeof EventType>[];
+                filters: BucketFilter[];
+                name: string;
+                fn: {
+                    node: string;
+                    stack: string;
+                } | undefined;
+                queue: string | undefined;
+                topic: string | undefined;
+            }[];
+        };
     };
     /** @internal */
     getBindings(): BindingProps;
@@ -24,6 +24,7 @@ export class Bucket extends Construct {
     id;
     cdk;
     notifications = {};
+    notificationsData = {};
     bindingForAllNotifications = [];
     permissionsAttachedForAllNotifications = [];
     props;
@@ -155,6 +156,15 @@ export class Bucket extends Construct {
                 notifications: Object.values(this.notifications).map(getFunctionRef),
                 notificationNames: Object.keys(this.notifications),
             },
+            local: {
+                notifications: Object.entries(this.notifications).map(([name, notification]) => ({
+                    name,
+                    fn: getFunctionRef(notification),
+                    queue: notification instanceof Queue ? notification.node.id : undefined,
+                    topic: notification instanceof Topic ? notification.node.id : undefined,
+                    ...this.notificationsData[name],
+                })),
+            },
         };
     }
     /** @internal */
@@ -230,6 +240,7 @@ export class Bucket extends Construct {
             "object_removed",
         ];
         const filters = notificationProps?.filters || [];
+        this.notificationsData[notificationName] = { events, filters };
         events.forEach((event) => this.cdk.bucket.addEventNotification(EventType[event.toUpperCase()], new SqsDestination(queue.cdk.queue), ...filters));
     }
     addTopicNotification(_scope, notificationName, notification) {
@@ -255,6 +266,7 @@ export class Bucket extends Construct {
             "object_removed",
         ];
         const filters = notificationProps?.filters || [];
+        this.notificationsData[notificationName] = { events, filters };
         events.forEach((event) => this.cdk.bucket.addEventNotification(EventType[event.toUpperCase()], new SnsDestination(topic.cdk.topic), ...filters));
     }
     addFunctionNotification(scope, notificationName, notification) {
@@ -280,6 +292,7 @@ export class Bucket extends Construct {
             "object_removed",
         ];
         const filters = notificationProps?.filters || [];
+        this.notificationsData[notificationName] = { events, filters };
         events.forEach((event) => this.cdk.bucket.addEventNotification(EventType[event.toUpperCase()], new LambdaDestination(fn), ...filters));
         // attached permissions
         this.permissionsAttachedForAllNotifications.forEach((permissions) => fn.attachPermissions(permissions));
@@ -298,6 +298,7 @@ export declare class EventBus extends Construct implements SSTConstruct {
     };
     private readonly rulesData;
     private readonly targetsData;
+    private readonly patternsData;
     private readonly bindingForAllTargets;
     private readonly permissionsAttachedForAllTargets;
     private readonly props;
@@ -421,6 +422,20 @@ export declare class EventBus extends Construct implements SSTConstruct {
                 targetNames: string[];
             }[];
         };
+        local: {
+            rules: {
+                key: string;
+                pattern: any;
+                targets: {
+                    name: string;
+                    fn: {
+                        node: string;
+                        stack: string;
+                    } | undefined;
+                    queue: string | undefined;
+                }[];
+            }[];
+        };
     };
     /** @internal */
     getBindings(): BindingProps;
@@ -43,6 +43,7 @@ export class EventBus extends Construct {
     cdk;
     rulesData = {};
     targetsData = {};
+    patternsData = {};
     bindingForAllTargets = [];
     permissionsAttachedForAllTargets = [];
     props;
@@ -219,6 +220,17 @@ export class EventBus extends Construct {
                     targetNames: Object.keys(rule),
                 })),
             },
+            local: {
+                rules: Object.entries(this.targetsData).map(([ruleName, rule]) => ({
+                    key: ruleName,
+                    pattern: this.patternsData[ruleName],
+                    targets: Object.entries(rule).map(([name, target]) => ({
+                        name,
+                        fn: getFunctionRef(target),
+                        queue: target instanceof Queue ? target.node.id : undefined,
+                    })),
+                })),
+            },
         };
     }
     /** @internal */
@@ -314,6 +326,7 @@ export class EventBus extends Construct {
             targets: [],
         });
         this.rulesData[ruleKey] = eventsRule;
+        this.patternsData[ruleKey] = rule.pattern ?? rule.cdk?.rule?.eventPattern;
         // Create Targets
         this.addTargets(scope, ruleKey, rule.targets || {});
     }
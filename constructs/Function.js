@@ -189,7 +189,7 @@ export class Function extends CDKFunction {
             });
             this.addEnvironment("SST_FUNCTION_ID", this.node.addr);
             useDeferredTasks().add(async () => {
-                if (app.isRunningSSTTest())
+                if (app.isRunningSSTTest() || app.offline)
                     return;
                 const bootstrap = await useBootstrap();
                 const bootstrapBucketArn = `arn:${Stack.of(this).partition}:s3:::${bootstrap.bucket}`;
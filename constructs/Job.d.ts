@@ -3,6 +3,7 @@ import { DockerCacheOption } from "aws-cdk-lib/core";
 import { Function as CdkFunction } from "aws-cdk-lib/aws-lambda";
 import { Project } from "aws-cdk-lib/aws-codebuild";
 import { RetentionDays } from "aws-cdk-lib/aws-logs";
+import { Table } from "aws-cdk-lib/aws-dynamodb";
 import { SSTConstruct } from "./Construct.js";
 import { NodeJSProps, FunctionCopyFilesProps } from "./Function.js";
 import { Duration } from "./util/duration.js";
@@ -85,6 +86,33 @@ export interface JobContainerProps {
      */
     cacheTo?: JobContainerCacheProps;
 }
+export interface JobScheduleProps {
+    /**
+     * The schedule expression, in the format `rate(...)` or `cron(...)`.
+     *
+     * @example
+     * ```js
+     * schedule: "cron(0 3 * * ? *)"
+     * ```
+     */
+    schedule: `rate(${string})` | `cron(${string})`;
+    /**
+     * The payload the job is run with.
+     */
+    payload?: any;
+    /**
+     * The timezone the cron expression is evaluated in.
+     *
+     * @default "UTC"
+     */
+    timezone?: string;
+    /**
+     * Whether the schedule is enabled.
+     *
+     * @default true
+     */
+    enabled?: boolean;
+}
 export interface JobProps {
     /**
      * The CPU architecture of the job.
@@ -194,6 +222,28 @@ export interface JobProps {
      *```
      */
     enableLiveDev?: boolean;
+    dev?: {
+        /**
+         * Run the job locally in Docker when using `sst dev`, with the same
+         * image it runs in on CodeBuild. Logs are streamed to the terminal and
+         * the job is not limited by the Lambda timeout.
+         *
+         * Jobs with the "container" runtime always run in Docker.
+         *
+         * @default false
+         *
+         * @example
+         * ```js
+         * new Job(stack, "MyJob", {
+         *   handler: "src/job.handler",
+         *   dev: {
+         *     docker: true,
+         *   },
+         * })
+         * ```
+         */
+        docker?: boolean;
+    };
     /**
      * Configure environment variables for the job
      *
@@ -244,6 +294,23 @@ export interface JobProps {
      * ```
      */
     logRetention?: Lowercase<keyof typeof RetentionDays>;
+    /**
+     * Runs the job on a recurring schedule using EventBridge Scheduler.
+     *
+     * @example
+     * ```js
+     * new Job(stack, "MyJob", {
+     *   handler: "src/job.handler",
+     *   schedules: {
+     *     nightly: {
+     *       schedule: "cron(0 3 * * ? *)",
+     *       payload: { full: true },
+     *     },
+     *   },
+     * })
+     * ```
+     */
+    schedules?: Record<string, JobScheduleProps>;
     cdk?: {
         /**
          * Allows you to override default id for this construct.
@@ -322,6 +389,9 @@ export declare class Job extends Construct implements SSTConstruct {
     private readonly props;
     private readonly job;
     private readonly liveDevJob?;
+    private readonly table;
+    private readonly scheduleGroup;
+    private readonly scheduleRole;
     readonly _jobManager: CdkFunction;
     constructor(scope: Construct, id: string, props: JobProps);
     getConstructMetadata(): {
@@ -363,9 +433,16 @@ export declare class Job extends Construct implements SSTConstruct {
     addEnvironment(name: string, value: string): void;
     get cdk(): {
         codeBuildProject: Project;
+        /**
+         * Keeps track of the status, progress and result of each run
+         */
+        table: Table;
     };
     private createCodeBuildJob;
+    private createJobTable;
+    private createSchedules;
     private createLiveDevJob;
+    private nodeImage;
     private createLogRetention;
     private buildCodeBuildProjectCode;
     private createJobManager;
@@ -2,12 +2,14 @@ import url from "url";
 import path from "path";
 import fs from "fs/promises";
 import { Construct } from "constructs";
-import { Duration as CdkDuration, IgnoreMode, } from "aws-cdk-lib/core";
+import { Duration as CdkDuration, IgnoreMode, RemovalPolicy, } from "aws-cdk-lib/core";
 import { Platform } from "aws-cdk-lib/aws-ecr-assets";
-import { PolicyStatement, Effect } from "aws-cdk-lib/aws-iam";
+import { PolicyStatement, Effect, Role, ServicePrincipal, } from "aws-cdk-lib/aws-iam";
+import { CfnSchedule, CfnScheduleGroup } from "aws-cdk-lib/aws-scheduler";
 import { AssetCode, Code, Runtime, Function as CdkFunction, } from "aws-cdk-lib/aws-lambda";
 import { Project, LinuxBuildImage, BuildSpec, ComputeType, } from "aws-cdk-lib/aws-codebuild";
 import { RetentionDays, LogRetention } from "aws-cdk-lib/aws-logs";
+import { Table, AttributeType, BillingMode, } from "aws-cdk-lib/aws-dynamodb";
 import { Stack } from "./Stack.js";
 import { Function, useFunctions, } from "./Function.js";
 import { toCdkDuration } from "./util/duration.js";
@@ -16,8 +18,24 @@ import { getBindingEnvironments, getBindingPermissions, getBindingReferencedSecr
 import { useDeferredTasks } from "./deferred_task.js";
 import { useProject } from "../project.js";
 import { useRuntimeHandlers } from "../runtime/handlers.js";
+import { createJobWrapper } from "../runtime/handlers/docker.js";
 import { Colors } from "../cli/colors.js";
 const __dirname = url.fileURLToPath(new URL(".", import.meta.url));
+// ARM images can be found here https://hub.docker.com/r/amazon/aws-lambda-nodejs
+const DOCKER_IMAGE_MAP = {
+    arm_64: {
+        nodejs: "amazon/aws-lambda-nodejs:16.2023.07.13.14",
+        "nodejs16.x": "amazon/aws-lambda-nodejs:16.2023.07.13.14",
+        "nodejs18.x": "amazon/aws-lambda-nodejs:18.2023.12.14.13",
+        "nodejs20.x": "amazon/aws-lambda-nodejs:20.2023.12.14.13",
+    },
+    x86_64: {
+        nodejs: "amazon/aws-lambda-nodejs:16",
+        "nodejs16.x": "amazon/aws-lambda-nodejs:16",
+        "nodejs18.x": "amazon/aws-lambda-nodejs:18",
+        "nodejs20.x": "amazon/aws-lambda-nodejs:20",
+    },
+};
 /////////////////////
 // Construct
 /////////////////////
@@ -40,6 +58,9 @@ export class Job extends Construct {
     props;
     job;
     liveDevJob;
+    table;
+    scheduleGroup;
+    scheduleRole;
     _jobManager;
     constructor(scope, id, props) {
         super(scope, props.cdk?.id || id);
@@ -51,6 +72,7 @@ export class Job extends Construct {
         this.validateContainerProps();
         this.validateMemoryProps();
         this.job = this.createCodeBuildJob();
+        this.table = this.createJobTable();
         if (!stack.isActive) {
             this._jobManager = this.createJobManager();
         }
@@ -63,6 +85,15 @@ export class Job extends Construct {
             this.buildCodeBuildProjectCode();
         }
         this.createLogRetention();
+        this.createSchedules();
+        this.addEnvironment("SST_JOB_TABLE", this.table.tableName);
+        this.attachPermissions([
+            new PolicyStatement({
+                actions: ["dynamodb:GetItem", "dynamodb:UpdateItem"],
+                effect: Effect.ALLOW,
+                resources: [this.table.tableArn],
+            }),
+        ]);
         this.attachPermissions(props.permissions || []);
         this.bind(props.bind || []);
         Object.entries(props.environment || {}).forEach(([key, value]) => {
@@ -84,6 +115,7 @@ export class Job extends Construct {
     }
     /** @internal */
     getBindings() {
+        const stack = Stack.of(this);
         return {
             clientPackage: "job",
             variables: {
@@ -91,9 +123,30 @@ export class Job extends Construct {
                     type: "plain",
                     value: this._jobManager.functionName,
                 },
+                tableName: {
+                    type: "plain",
+                    value: this.table.tableName,
+                },
+                functionArn: {
+                    type: "plain",
+                    value: this._jobManager.functionArn,
+                },
+                scheduleGroup: {
+                    type: "plain",
+                    value: this.scheduleGroup.name,
+                },
+                scheduleRoleArn: {
+                    type: "plain",
+                    value: this.scheduleRole.roleArn,
+                },
             },
             permissions: {
                 "lambda:*": [this._jobManager.functionArn],
+                "dynamodb:*": [this.table.tableArn, `${this.table.tableArn}/index/*`],
+                "scheduler:CreateSchedule": [
+                    `arn:${stack.partition}:scheduler:${stack.region}:${stack.account}:schedule/${this.scheduleGroup.name}/*`,
+                ],
+                "iam:PassRole": [this.scheduleRole.roleArn],
             },
         };
     }
@@ -138,6 +191,7 @@ export class Job extends Construct {
     get cdk() {
         return {
             codeBuildProject: this.job,
+            table: this.table,
         };
     }
     createCodeBuildJob() {
@@ -169,6 +223,50 @@ export class Job extends Construct {
             subnetSelection: cdk?.vpcSubnets,
         });
     }
+    createJobTable() {
+        // Keeps track of the status, progress and result of each run
+        const table = new Table(this, "Table", {
+            partitionKey: { name: "jobId", type: AttributeType.STRING },
+            billingMode: BillingMode.PAY_PER_REQUEST,
+            timeToLiveAttribute: "expiresAt",
+            removalPolicy: RemovalPolicy.DESTROY,
+        });
+        // Lists the runs by creation time, every run has the same `kind`
+        table.addGlobalSecondaryIndex({
+            indexName: "CreatedAt",
+            partitionKey: { name: "kind", type: AttributeType.STRING },
+            sortKey: { name: "createdAt", type: AttributeType.STRING },
+        });
+        return table;
+    }
+    createSchedules() {
+        const { schedules } = this.props;
+        const app = this.node.root;
+        // One-time schedules created with `Job.x.schedule()` are added to the
+        // same group, so they are removed along with the job
+        this.scheduleGroup = new CfnScheduleGroup(this, "ScheduleGroup", {
+            name: app.logicalPrefixedName(this.node.id),
+        });
+        this.scheduleRole = new Role(this, "ScheduleRole", {
+            assumedBy: new ServicePrincipal("scheduler.amazonaws.com"),
+        });
+        this._jobManager.grantInvoke(this.scheduleRole);
+        Object.entries(schedules || {}).forEach(([name, schedule]) => {
+            const resource = new CfnSchedule(this, `Schedule_${name}`, {
+                groupName: this.scheduleGroup.name,
+                scheduleExpression: schedule.schedule,
+                scheduleExpressionTimezone: schedule.timezone,
+                state: schedule.enabled === false ? "DISABLED" : "ENABLED",
+                flexibleTimeWindow: { mode: "OFF" },
+                target: {
+                    arn: this._jobManager.functionArn,
+                    roleArn: this.scheduleRole.roleArn,
+                    input: JSON.stringify({ action: "run", payload: schedule.payload }),
+                },
+            });
+            resource.addDependency(this.scheduleGroup);
+        });
+    }
     createLiveDevJob() {
         // Note: make the invoker function the same ID as the Job
         //       construct so users can identify the invoker function
@@ -181,10 +279,17 @@ export class Job extends Construct {
             environment: {
                 ...this.props.environment,
                 SST_DEBUG_JOB: "true",
+                ...(this.props.dev?.docker && this.props.runtime !== "container"
+                    ? { SST_JOB_IMAGE: this.nodeImage() }
+                    : {}),
             },
             _doNotAllowOthersToBind: true,
         });
     }
+    nodeImage() {
+        const { architecture, runtime } = this.props;
+        return DOCKER_IMAGE_MAP[architecture ?? "x86_64"][runtime ?? "nodejs18.x"];
+    }
     createLogRetention() {
         const { logRetention } = this.props;
         if (!logRetention)
@@ -248,53 +353,12 @@ export class Job extends Construct {
                 return;
             }
             // Create wrapper that calls the handler
-            const parsed = path.parse(result.handler);
-            const importName = parsed.ext.substring(1);
-            const importPath = `./${path
-                .join(parsed.dir, parsed.name)
-                .split(path.sep)
-                .join(path.posix.sep)}.mjs`;
-            await fs.writeFile(path.join(result.out, "handler-wrapper.mjs"), [
-                `console.log("")`,
-                `console.log("//////////////////////")`,
-                `console.log("// Start of the job //")`,
-                `console.log("//////////////////////")`,
-                `console.log("")`,
-                `import { ${importName} } from "${importPath}";`,
-                `const event = JSON.parse(process.env.SST_PAYLOAD);`,
-                `const result = await ${importName}(event);`,
-                `console.log("")`,
-                `console.log("----------------------")`,
-                `console.log("")`,
-                `console.log("Result:", result);`,
-                `console.log("")`,
-                `console.log("//////////////////////")`,
-                `console.log("//  End of the job  //")`,
-                `console.log("//////////////////////")`,
-                `console.log("")`,
-                `process.exit(0)`,
-            ].join("\n"));
+            await fs.writeFile(path.join(result.out, "handler-wrapper.mjs"), createJobWrapper(result.handler));
             // Update job's commands
             const code = AssetCode.fromAsset(result.out);
             const codeConfig = code.bind(this);
             const project = this.job.node.defaultChild;
-            const dockerImageMap = {
-                arm_64: {
-                    nodejs: "amazon/aws-lambda-nodejs:16.2023.07.13.14",
-                    "nodejs16.x": "amazon/aws-lambda-nodejs:16.2023.07.13.14",
-                    "nodejs18.x": "amazon/aws-lambda-nodejs:18.2023.12.14.13",
-                    "nodejs20.x": "amazon/aws-lambda-nodejs:20.2023.12.14.13",
-                },
-                x86_64: {
-                    nodejs: "amazon/aws-lambda-nodejs:16",
-                    "nodejs16.x": "amazon/aws-lambda-nodejs:16",
-                    "nodejs18.x": "amazon/aws-lambda-nodejs:18",
-                    "nodejs20.x": "amazon/aws-lambda-nodejs:20",
-                },
-            };
-            const image = LinuxBuildImage.fromDockerRegistry(
-            // ARM images can be found here https://hub.docker.com/r/amazon/aws-lambda-nodejs
-            dockerImageMap[architecture ?? "x86_64"][runtime ?? "nodejs18.x"]);
+            const image = LinuxBuildImage.fromDockerRegistry(this.nodeImage());
             project.environment = {
                 ...project.environment,
                 type: architecture === "arm_64" ? "ARM_CONTAINER" : "LINUX_CONTAINER",
@@ -332,6 +396,11 @@ export class Job extends Construct {
             memorySize: 1024,
             environment: {
                 SST_JOB_PROVIDER: this.liveDevJob ? "lambda" : "codebuild",
+                // Lambda runs cannot be looked up, they are failed once
+                // they run past the timeout
+                SST_JOB_TIMEOUT: this.normalizeTimeout(this.props.timeout || "8 hours")
+                    .toSeconds()
+                    .toString(),
                 SST_JOB_RUNNER: this.liveDevJob
                     ? this.liveDevJob.functionArn
                     : this.job.projectName,
@@ -345,7 +414,11 @@ export class Job extends Construct {
                     })
                     : new PolicyStatement({
                         effect: Effect.ALLOW,
-                        actions: ["codebuild:StartBuild", "codebuild:StopBuild"],
+                        actions: [
+                            "codebuild:StartBuild",
+                            "codebuild:StopBuild",
+                            "codebuild:BatchGetBuilds",
+                        ],
                         resources: [this.job.projectArn],
                     }),
             ],
@@ -4,6 +4,7 @@ import { Function as CdkFunction, FunctionProps as CdkFunctionProps } from "aws-
 import { ICachePolicy, IResponseHeadersPolicy, ViewerProtocolPolicy, AllowedMethods, CachePolicyProps, ErrorResponse } from "aws-cdk-lib/aws-cloudfront";
 import { S3OriginProps } from "aws-cdk-lib/aws-cloudfront-origins";
 import { DistributionDomainProps } from "./Distribution.js";
+import { WafDefinition } from "./Waf.js";
 import { SSTConstruct } from "./Construct.js";
 import { NodeJSProps, FunctionProps } from "./Function.js";
 import { SsrFunction, SsrFunctionProps } from "./SsrFunction.js";
@@ -321,6 +322,19 @@ export interface SsrSiteProps {
      * @deprecated Use `invalidation.wait` instead.
      */
     waitForInvalidation?: boolean;
+    /**
+     * Attach an AWS WAF web ACL. Pass in `true` or the Waf props to create one, an existing `Waf`, or the ARN of an existing web ACL. Sites are served by CloudFront, so a new web ACL can only be created when the stack is in us-east-1.
+     *
+     * @example
+     * ```js
+     * new NextjsSite(stack, "site", {
+     *   waf: {
+     *     blockedIps: ["192.0.2.0/24"],
+     *   },
+     * });
+     * ```
+     */
+    waf?: WafDefinition;
     cdk?: {
         /**
          * Allows you to override default id for this construct.
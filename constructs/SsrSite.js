@@ -17,6 +17,7 @@ import { Rule, Schedule } from "aws-cdk-lib/aws-events";
 import { LambdaFunction } from "aws-cdk-lib/aws-events-targets";
 import { Stack } from "./Stack.js";
 import { Distribution } from "./Distribution.js";
+import { attachWafProp } from "./Waf.js";
 import { Logger } from "../logger.js";
 import { createAppContext } from "./context.js";
 import { isCDKConstruct } from "./Construct.js";
@@ -109,6 +110,7 @@ export class SsrSite extends Construct {
         this.distribution = distribution;
         this.serverFunction = ssrFunctions[0] ?? Object.values(edgeFunctions)[0];
         this.edge = plan.edge;
+        attachWafProp(this, props.waf, "cloudfront");
         app.registerTypes(this);
         function validateSiteExists() {
             if (!fs.existsSync(sitePath)) {
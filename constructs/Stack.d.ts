@@ -4,7 +4,19 @@ import * as lambda from "aws-cdk-lib/aws-lambda";
 import { FunctionProps, Function as Fn } from "./Function.js";
 import { Permissions } from "./util/permission.js";
 import { BindingResource } from "./util/binding.js";
-export type StackProps = CDKStackProps;
+export interface StackProps extends CDKStackProps {
+    /**
+     * When more stacks are ready to deploy than `deploy.concurrency` allows, stacks with a higher priority are deployed first.
+     *
+     * @default 0
+     *
+     * @example
+     * ```js
+     * app.stack(Database, { priority: 10 });
+     * ```
+     */
+    priority?: number;
+}
 /**
  * The Stack construct extends cdk.Stack. It automatically prefixes the stack names with the stage and app name to ensure that they can be deployed to multiple regions in the same AWS account. It also ensure that the stack uses the same AWS profile and region as the app. They're defined using functions that return resources that can be imported by other stacks.
  *
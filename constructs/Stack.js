@@ -46,8 +46,9 @@ export class Stack extends CDKStack {
         const stackId = app.logicalPrefixedName(id);
         Stack.checkForPropsIsConstruct(id, props);
         Stack.checkForEnvInProps(id, props);
+        const { priority: _priority, ...stackProps } = props || {};
         super(scope, stackId, {
-            ...props,
+            ...stackProps,
             env: {
                 account: app.account,
                 region: app.region,
@@ -55,6 +56,8 @@ export class Stack extends CDKStack {
             synthesizer: props?.synthesizer || Stack.buildSynthesizer(),
         });
         this.stage = app.stage;
+        if (props?.priority !== undefined)
+            this.node.addMetadata("sst:priority", props.priority);
         this.defaultFunctionProps = app.defaultFunctionProps.map((dfp) => typeof dfp === "function" ? dfp(this) : dfp);
         this.customResourceHandler = this.createCustomResourceHandler();
         this.isActive =
@@ -3,6 +3,7 @@ import { Bucket, BucketProps, IBucket } from "aws-cdk-lib/aws-s3";
 import { IDistribution } from "aws-cdk-lib/aws-cloudfront";
 import { DistributionDomainProps } from "./Distribution.js";
 import { BaseSiteFileOptions, BaseSiteReplaceProps, BaseSiteCdkDistributionProps } from "./BaseSite.js";
+import { WafDefinition } from "./Waf.js";
 import { SSTConstruct } from "./Construct.js";
 import { BindingProps } from "./util/binding.js";
 export interface StaticSiteProps {
@@ -239,6 +240,19 @@ export interface StaticSiteProps {
      * ```
      */
     waitForInvalidation?: boolean;
+    /**
+     * Attach an AWS WAF web ACL. Pass in `true` or the Waf props to create one, an existing `Waf`, or the ARN of an existing web ACL. Sites are served by CloudFront, so a new web ACL can only be created when the stack is in us-east-1.
+     *
+     * @example
+     * ```js
+     * new StaticSite(stack, "frontend", {
+     *   waf: {
+     *     blockedIps: ["192.0.2.0/24"],
+     *   },
+     * });
+     * ```
+     */
+    waf?: WafDefinition;
     cdk?: {
         /**
          * Allows you to override default id for this construct.
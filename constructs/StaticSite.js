@@ -18,6 +18,7 @@ import { getParameterPath } from "./util/binding.js";
 import { gray } from "colorette";
 import { useProject } from "../project.js";
 import { createAppContext } from "./context.js";
+import { attachWafProp } from "./Waf.js";
 import { Effect, Policy, PolicyStatement } from "aws-cdk-lib/aws-iam";
 import { VisibleError } from "../error.js";
 const __dirname = path.dirname(url.fileURLToPath(import.meta.url));
@@ -64,6 +65,7 @@ export class StaticSite extends Construct {
         }
         this.bucket = this.createS3Bucket();
         this.distribution = this.createCfDistribution();
+        attachWafProp(this, this.props.waf, "cloudfront");
         useDeferredTasks().add(async () => {
             // Build app
             this.buildApp();
@@ -397,6 +397,10 @@ export declare class Table extends Construct implements SSTConstruct {
                 } | undefined;
             }[];
         };
+        local: {
+            partitionKey: string | undefined;
+            sortKey: string | undefined;
+        };
     };
     /** @internal */
     getBindings(): BindingProps;
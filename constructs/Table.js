@@ -264,6 +264,10 @@ export class Table extends Construct {
                     fn: getFunctionRef(fun),
                 })),
             },
+            local: {
+                partitionKey: this.props.primaryIndex?.partitionKey,
+                sortKey: this.props.primaryIndex?.sortKey,
+            },
         };
     }
     /** @internal */
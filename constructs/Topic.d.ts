@@ -247,6 +247,16 @@ export declare class Topic extends Construct implements SSTConstruct {
             } | undefined)[];
             subscriberNames: string[];
         };
+        local: {
+            subscribers: {
+                name: string;
+                fn: {
+                    node: string;
+                    stack: string;
+                } | undefined;
+                queue: string | undefined;
+            }[];
+        };
     };
     /** @internal */
     getBindings(): BindingProps;
@@ -192,6 +192,13 @@ export class Topic extends Construct {
                 subscribers: Object.values(this.subscribers).map(getFunctionRef),
                 subscriberNames: Object.keys(this.subscribers),
             },
+            local: {
+                subscribers: Object.entries(this.subscribers).map(([name, subscriber]) => ({
+                    name,
+                    fn: getFunctionRef(subscriber),
+                    queue: subscriber instanceof Queue ? subscriber.node.id : undefined,
+                })),
+            },
         };
     }
     /** @internal */
@@ -0,0 +1,141 @@
+import { Construct } from "constructs";
+import { CfnWebACL, CfnWebACLProps } from "aws-cdk-lib/aws-wafv2";
+import { SSTConstruct } from "./Construct.js";
+import type { ApiGatewayV1Api } from "./ApiGatewayV1Api.js";
+import type { AppSyncApi } from "./AppSyncApi.js";
+import type { StaticSite } from "./StaticSite.js";
+import type { SsrSite } from "./SsrSite.js";
+export interface WafManagedRuleProps {
+    /**
+     * The name of the managed rule group
+     */
+    name: string;
+    /**
+     * The vendor of the managed rule group
+     * @default "AWS"
+     */
+    vendor?: string;
+    /**
+     * Rules in the group that only count matching requests instead of blocking them
+     */
+    excludedRules?: string[];
+}
+export interface WafProps {
+    /**
+     * Whether the web ACL protects regional resources, like APIs, or CloudFront distributions. CloudFront web ACLs have to be created in a us-east-1 stack.
+     * @default "regional"
+     */
+    scope?: "regional" | "cloudfront";
+    /**
+     * The [managed rule groups](https://docs.aws.amazon.com/waf/latest/developerguide/aws-managed-rule-groups-list.html) to evaluate requests against.
+     * @default ["AWSManagedRulesCommonRuleSet", "AWSManagedRulesKnownBadInputsRuleSet"]
+     *
+     * @example
+     * ```js
+     * new Waf(stack, "Waf", {
+     *   managedRules: [
+     *     "AWSManagedRulesCommonRuleSet",
+     *     { name: "AWSManagedRulesSQLiRuleSet", excludedRules: ["SQLi_BODY"] },
+     *   ],
+     * });
+     * ```
+     */
+    managedRules?: (string | WafManagedRuleProps)[];
+    /**
+     * IP addresses, in CIDR notation, that are allowed without checking the other rules. Requests from any other address are blocked.
+     *
+     * @example
+     * ```js
+     * new Waf(stack, "Waf", {
+     *   allowedIps: ["192.0.2.0/24"],
+     * });
+     * ```
+     */
+    allowedIps?: string[];
+    /**
+     * IP addresses, in CIDR notation, that are always blocked
+     *
+     * @example
+     * ```js
+     * new Waf(stack, "Waf", {
+     *   blockedIps: ["198.51.100.0/24", "2001:db8::/32"],
+     * });
+     * ```
+     */
+    blockedIps?: string[];
+    /**
+     * The number of requests a single IP can make in 5 minutes before it is blocked
+     */
+    rateLimit?: number;
+    cdk?: {
+        /**
+         * Allows you to override default id for this construct.
+         */
+        id?: string;
+        /**
+         * Override the settings of the internally created web ACL
+         */
+        webAcl?: Partial<CfnWebACLProps>;
+    };
+}
+/**
+ * The `waf` prop of the constructs a web ACL can be attached to. Pass in `true`
+ * or the Waf props to create one, an existing Waf, or the ARN of an existing
+ * web ACL.
+ */
+export type WafDefinition = boolean | string | Waf | Omit<WafProps, "scope">;
+export type WafTarget = ApiGatewayV1Api<any> | AppSyncApi | StaticSite | SsrSite;
+/**
+ * The `Waf` construct is a higher level CDK construct that makes it easy to create an AWS WAF web ACL with managed rule groups and IP allow and deny lists, and attach it to your APIs and sites.
+ *
+ * @example
+ *
+ * ```js
+ * import { Waf } from "sst/constructs";
+ *
+ * const waf = new Waf(stack, "Waf", {
+ *   blockedIps: ["192.0.2.0/24"],
+ * });
+ * waf.attach(api);
+ * ```
+ */
+export declare class Waf extends Construct implements SSTConstruct {
+    readonly id: string;
+    readonly cdk: {
+        webAcl: CfnWebACL;
+    };
+    private props;
+    constructor(scope: Construct, id: string, props?: WafProps);
+    /**
+     * The ARN of the internally created web ACL.
+     */
+    get webAclArn(): string;
+    /**
+     * Attaches the web ACL to an ApiGatewayV1Api, AppSyncApi, StaticSite or SsrSite. Sites need a Waf with `scope` set to `"cloudfront"`.
+     *
+     * @example
+     *
+     * ```js
+     * waf.attach(site);
+     * ```
+     */
+    attach(target: WafTarget): void;
+    getConstructMetadata(): {
+        type: "Waf";
+        data: {
+            webAclArn: string;
+            scope: "regional" | "cloudfront" | undefined;
+        };
+    };
+    /** @internal */
+    getBindings(): undefined;
+    private validateRegion;
+    private createWebAcl;
+    private createIpSetStatement;
+}
+/**
+ * Attaches the `waf` prop of a construct. Creates a new Waf unless an existing
+ * Waf or the ARN of a web ACL is passed in.
+ * @internal
+ */
+export declare function attachWafProp(target: WafTarget, waf: WafDefinition | undefined, scope: "regional" | "cloudfront"): void;
@@ -0,0 +1,239 @@
+import { Construct } from "constructs";
+import { Stack } from "./Stack.js";
+import { Token } from "aws-cdk-lib/core";
+import { CfnIPSet, CfnWebACL, CfnWebACLAssociation } from "aws-cdk-lib/aws-wafv2";
+/////////////////////
+// Construct
+/////////////////////
+/**
+ * The `Waf` construct is a higher level CDK construct that makes it easy to create an AWS WAF web ACL with managed rule groups and IP allow and deny lists, and attach it to your APIs and sites.
+ *
+ * @example
+ *
+ * ```js
+ * import { Waf } from "sst/constructs";
+ *
+ * const waf = new Waf(stack, "Waf", {
+ *   blockedIps: ["192.0.2.0/24"],
+ * });
+ * waf.attach(api);
+ * ```
+ */
+export class Waf extends Construct {
+    id;
+    cdk;
+    props;
+    constructor(scope, id, props) {
+        super(scope, props?.cdk?.id || id);
+        this.id = id;
+        this.props = {
+            scope: "regional",
+            managedRules: [
+                "AWSManagedRulesCommonRuleSet",
+                "AWSManagedRulesKnownBadInputsRuleSet",
+            ],
+            ...props,
+        };
+        this.cdk = {};
+        this.validateRegion();
+        this.createWebAcl();
+        const app = this.node.root;
+        app.registerTypes(this);
+    }
+    /**
+     * The ARN of the internally created web ACL.
+     */
+    get webAclArn() {
+        return this.cdk.webAcl.attrArn;
+    }
+    /**
+     * Attaches the web ACL to an ApiGatewayV1Api, AppSyncApi, StaticSite or SsrSite. Sites need a Waf with `scope` set to `"cloudfront"`.
+     *
+     * @example
+     *
+     * ```js
+     * waf.attach(site);
+     * ```
+     */
+    attach(target) {
+        const isDistribution = !target.cdk || "distribution" in target.cdk;
+        if (isDistribution && this.props.scope !== "cloudfront") {
+            throw new Error(`Cannot attach the Waf "${this.id}" to "${target.id}". Sites need a Waf with "scope" set to "cloudfront".`);
+        }
+        if (!isDistribution && this.props.scope === "cloudfront") {
+            throw new Error(`Cannot attach the Waf "${this.id}" to "${target.id}". APIs need a Waf with "scope" set to "regional".`);
+        }
+        attachWebAcl(target, this.webAclArn);
+    }
+    getConstructMetadata() {
+        return {
+            type: "Waf",
+            data: {
+                webAclArn: this.webAclArn,
+                scope: this.props.scope,
+            },
+        };
+    }
+    /** @internal */
+    getBindings() {
+        return undefined;
+    }
+    validateRegion() {
+        const { region } = Stack.of(this);
+        if (this.props.scope === "cloudfront" &&
+            !Token.isUnresolved(region) &&
+            region !== "us-east-1") {
+            throw new Error(`Cannot create the Waf "${this.id}" in ${region}. Web ACLs for CloudFront must be created in us-east-1, pass in the ARN of an existing web ACL instead.`);
+        }
+    }
+    createWebAcl() {
+        const { scope, managedRules, allowedIps, blockedIps, rateLimit, cdk } = this.props;
+        const app = this.node.root;
+        const name = app.logicalPrefixedName(this.node.id);
+        const wafScope = scope === "cloudfront" ? "CLOUDFRONT" : "REGIONAL";
+        const visibilityConfig = (metricName) => ({
+            cloudWatchMetricsEnabled: true,
+            sampledRequestsEnabled: true,
+            metricName: `${name}-${metricName}`.replace(/[^\w-]/g, "_"),
+        });
+        const rules = [];
+        if (blockedIps?.length) {
+            rules.push({
+                name: "BlockedIps",
+                priority: rules.length,
+                action: { block: {} },
+                statement: this.createIpSetStatement("BlockedIps", blockedIps, wafScope),
+                visibilityConfig: visibilityConfig("BlockedIps"),
+            });
+        }
+        if (allowedIps?.length) {
+            rules.push({
+                name: "AllowedIps",
+                priority: rules.length,
+                action: { allow: {} },
+                statement: this.createIpSetStatement("AllowedIps", allowedIps, wafScope),
+                visibilityConfig: visibilityConfig("AllowedIps"),
+            });
+        }
+        if (rateLimit) {
+            rules.push({
+                name: "RateLimit",
+                priority: rules.length,
+                action: { block: {} },
+                statement: {
+                    rateBasedStatement: {
+                        limit: rateLimit,
+                        aggregateKeyType: "IP",
+                    },
+                },
+                visibilityConfig: visibilityConfig("RateLimit"),
+            });
+        }
+        for (const rule of managedRules || []) {
+            const { name: ruleName, vendor, excludedRules } = typeof rule === "string" ? { name: rule } : rule;
+            rules.push({
+                name: ruleName,
+                priority: rules.length,
+                overrideAction: { none: {} },
+                statement: {
+                    managedRuleGroupStatement: {
+                        name: ruleName,
+                        vendorName: vendor || "AWS",
+                        ruleActionOverrides: excludedRules?.map((excluded) => ({
+                            name: excluded,
+                            actionToUse: { count: {} },
+                        })),
+                    },
+                },
+                visibilityConfig: visibilityConfig(ruleName),
+            });
+        }
+        this.cdk.webAcl = new CfnWebACL(this, "WebAcl", {
+            name,
+            scope: wafScope,
+            // Only the allowed IPs get through when there are any
+            defaultAction: allowedIps?.length ? { block: {} } : { allow: {} },
+            visibilityConfig: visibilityConfig("WebAcl"),
+            rules,
+            ...cdk?.webAcl,
+        });
+    }
+    createIpSetStatement(id, addresses, scope) {
+        const app = this.node.root;
+        const ipSets = [
+            ["IPV4", addresses.filter((address) => !address.includes(":"))],
+            ["IPV6", addresses.filter((address) => address.includes(":"))],
+        ]
+            .filter(([, list]) => list.length)
+            .map(([version, list]) => new CfnIPSet(this, `${id}${version}`, {
+            name: app.logicalPrefixedName(`${this.node.id}-${id}-${version}`),
+            scope,
+            ipAddressVersion: version,
+            addresses: list,
+        }));
+        const statements = ipSets.map((ipSet) => ({
+            ipSetReferenceStatement: { arn: ipSet.attrArn },
+        }));
+        return statements.length === 1
+            ? statements[0]
+            : { orStatement: { statements } };
+    }
+}
+/**
+ * Attaches the `waf` prop of a construct. Creates a new Waf unless an existing
+ * Waf or the ARN of a web ACL is passed in.
+ * @internal
+ */
+export function attachWafProp(target, waf, scope) {
+    if (!waf)
+        return;
+    if (typeof waf === "string")
+        return attachWebAcl(target, waf);
+    const instance = waf instanceof Waf
+        ? waf
+        : // Named after the target so web ACL names do not clash
+            new Waf(target, `${target.node.id}Waf`, {
+                ...(waf === true ? {} : waf),
+                scope,
+            });
+    instance.attach(target);
+}
+function attachWebAcl(target, webAclArn) {
+    const cdk = target.cdk;
+    // Sites are not deployed in dev mode
+    if (!cdk)
+        return;
+    if ("httpApi" in cdk) {
+        throw new Error(`Cannot attach a web ACL to the Api "${target.id}". AWS WAF does not support HTTP APIs, use an ApiGatewayV1Api or serve the Api through a CloudFront distribution instead.`);
+    }
+    if ("graphqlApi" in cdk) {
+        new CfnWebACLAssociation(target, "WebAclAssociation", {
+            resourceArn: cdk.graphqlApi.arn,
+            webAclArn,
+        });
+        return;
+    }
+    if ("restApi" in cdk) {
+        let stage;
+        try {
+            stage = cdk.restApi.deploymentStage;
+        }
+        catch {
+            // Imported rest apis throw when accessing the stage
+        }
+        if (!stage) {
+            throw new Error(`Cannot attach a web ACL to the ApiGatewayV1Api "${target.id}" when the "restApi" is imported`);
+        }
+        const association = new CfnWebACLAssociation(target, "WebAclAssociation", {
+            resourceArn: stage.stageArn,
+            webAclArn,
+        });
+        association.node.addDependency(stage);
+        return;
+    }
+    const cfnDistribution = cdk.distribution.node.defaultChild;
+    if (!cfnDistribution) {
+        throw new Error(`Cannot attach a web ACL to "${target.id}" when the "distribution" is imported`);
+    }
+    cfnDistribution.addPropertyOverride("DistributionConfig.WebACLId", webAclArn);
+}
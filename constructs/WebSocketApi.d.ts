@@ -9,6 +9,7 @@ import { BindingResource, BindingProps } from "./util/binding.js";
 import { Permissions } from "./util/permission.js";
 import * as apigV2Domain from "./util/apiGatewayV2Domain.js";
 import * as apigV2AccessLog from "./util/apiGatewayV2AccessLog.js";
+import type { GeneratedClient } from "./util/client.js";
 export interface WebSocketApiDomainProps extends apigV2Domain.CustomDomainProps {
 }
 export interface WebSocketApiAccessLogProps extends apigV2AccessLog.AccessLogProps {
@@ -332,6 +333,8 @@ export declare class WebSocketApi extends Construct implements SSTConstruct {
      *
      */
     attachPermissionsToRoute(routeKey: string, permissions: Permissions): void;
+    /** @internal */
+    codegenClient(): GeneratedClient;
     getConstructMetadata(): {
         type: "WebSocketApi";
         data: {
@@ -10,6 +10,7 @@ import { getFunctionRef, isCDKConstruct } from "./Construct.js";
 import { Function as Fn, } from "./Function.js";
 import * as apigV2Domain from "./util/apiGatewayV2Domain.js";
 import * as apigV2AccessLog from "./util/apiGatewayV2AccessLog.js";
+import { generateWebSocketClient } from "./util/client.js";
 /////////////////////
 // Construct
 /////////////////////
@@ -181,6 +182,13 @@ export class WebSocketApi extends Construct {
         }
         fn.attachPermissions(permissions);
     }
+    /** @internal */
+    codegenClient() {
+        return generateWebSocketClient({
+            id: this.id,
+            routes: this.routes,
+        });
+    }
     getConstructMetadata() {
         return {
             type: "WebSocketApi",
@@ -24,6 +24,7 @@ export * from "./RemixSite.js";
 export * from "./SolidStartSite.js";
 export * from "./StaticSite.js";
 export * from "./SvelteKitSite.js";
+export * from "./Waf.js";
 export * from "./util/size.js";
 export * from "./util/duration.js";
 export * from "./util/permission.js";
@@ -0,0 +1,33 @@
+import type { OpenApiRoute } from "./openapi.js";
+export interface GeneratedClient {
+    /**
+     * The source of the client, without imports so it can be bundled for the browser
+     */
+    client: string;
+    /**
+     * The source of the server-only helper creating the client with the url of the bound construct and the session token
+     */
+    server: string;
+}
+/**
+ * Generates the source of a typed fetch client for the routes of an Api or
+ * ApiGatewayV1Api. The client has no imports so it can be bundled for the
+ * browser, the server helper fills in the url and the session token.
+ */
+export declare function generateApiClient(input: {
+    className: string;
+    id: string;
+    routes: OpenApiRoute[];
+}): GeneratedClient;
+/**
+ * Generates the source of a typed client for the routes of a WebSocketApi.
+ * Like the Api client, it has no imports and comes with a server helper.
+ */
+export declare function generateWebSocketClient(input: {
+    id: string;
+    routes: string[];
+}): GeneratedClient;
+/**
+ * Converts a JSON Schema to a TypeScript type
+ */
+export declare function toTsType(schema: Record<string, any> | undefined): string;
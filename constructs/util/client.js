@@ -0,0 +1,264 @@
+/**
+ * Generates the source of a typed fetch client for the routes of an Api or
+ * ApiGatewayV1Api. The client has no imports so it can be bundled for the
+ * browser, the server helper fills in the url and the session token.
+ */
+export function generateApiClient(input) {
+    const { className, id } = input;
+    const names = new Set();
+    const methods = input.routes
+        // The $default route catches every request, it has no path to call
+        .filter((route) => route.routeKey !== "$default")
+        .map((route) => {
+        const [method, path] = route.routeKey.split(" ");
+        const params = [...path.matchAll(/\{([^}]+?)\+?\}/g)].map((m) => m[1]);
+        const name = uniqueName(names, route.openapi?.operationId ||
+            toMethodName(method, path));
+        const query = route.schemas?.query
+            ? toTsType(route.schemas.query)
+            : "Record<string, string>";
+        const body = route.schemas?.body ? toTsType(route.schemas.body) : "any";
+        const response = route.schemas?.responses?.["200"] ||
+            route.schemas?.responses?.["201"];
+        // ANY routes take the method with the request options
+        const fields = [
+            ...(method === "ANY" ? ["method?: string"] : []),
+            `query?: ${query}`,
+            route.schemas?.body ? `body: ${body}` : `body?: ${body}`,
+            "headers?: Record<string, string>",
+        ].join("; ");
+        const options = route.schemas?.body
+            ? `options: { ${fields} }`
+            : `options?: { ${fields} }`;
+        const urlPath = path.replace(/\{([^}]+?)(\+?)\}/g, (_, param, greedy) => greedy
+            ? // Greedy path params span several segments
+                `\${${safeIdentifier(param)}.split("/").map(encodeURIComponent).join("/")}`
+            : `\${encodeURIComponent(String(${safeIdentifier(param)}))}`);
+        return [
+            `    /** ${route.routeKey} */`,
+            `    ${name}(${[
+                ...params.map((p) => `${safeIdentifier(p)}: string`),
+                options,
+            ].join(", ")}): Promise<${response ? toTsType(response) : "any"}> {`,
+            `      return request(${method === "ANY"
+                ? `options?.method || "GET"`
+                : JSON.stringify(method)}, \`${urlPath}\`, options);`,
+            `    },`,
+        ].join("\n");
+    });
+    const client = [
+        `// Generated by "sst types", do not edit`,
+        ``,
+        CLIENT_OPTIONS,
+        ``,
+        `export class ${pascalCase(id)}ClientError extends Error {`,
+        `  constructor(public readonly status: number, public readonly body: any) {`,
+        `    super(\`Request failed with status \${status}\`);`,
+        `  }`,
+        `}`,
+        ``,
+        `export function create${pascalCase(id)}Client(client: ClientOptions) {`,
+        `  async function request(method: string, path: string, options: { query?: Record<string, any>; body?: any; headers?: Record<string, string> } = {}) {`,
+        `    const url = new URL(client.baseUrl.replace(/\\/$/, "") + path);`,
+        `    for (const [key, value] of Object.entries(options.query || {})) {`,
+        `      if (value !== undefined) url.searchParams.set(key, String(value));`,
+        `    }`,
+        `    const token = await resolveToken(client.token);`,
+        `    const response = await (client.fetch || fetch)(url, {`,
+        `      method,`,
+        `      headers: {`,
+        `        ...(options.body !== undefined ? { "Content-Type": "application/json" } : {}),`,
+        `        ...(token ? { Authorization: \`Bearer \${token}\` } : {}),`,
+        `        ...client.headers,`,
+        `        ...options.headers,`,
+        `      },`,
+        `      body: options.body !== undefined ? JSON.stringify(options.body) : undefined,`,
+        `    });`,
+        `    const text = await response.text();`,
+        `    const result = (response.headers.get("content-type") || "").includes("json") && text ? JSON.parse(text) : text;`,
+        `    if (!response.ok) throw new ${pascalCase(id)}ClientError(response.status, result);`,
+        `    return result;`,
+        `  }`,
+        `  return {`,
+        ...methods,
+        `  };`,
+        `}`,
+        ``,
+    ].join("\n");
+    return {
+        client,
+        server: generateServerHelper({
+            id,
+            className,
+            module: "sst/node/api",
+        }),
+    };
+}
+/**
+ * Generates the source of a typed client for the routes of a WebSocketApi.
+ * Like the Api client, it has no imports and comes with a server helper.
+ */
+export function generateWebSocketClient(input) {
+    const { id } = input;
+    const names = new Set();
+    const methods = input.routes
+        // $connect, $disconnect and $default are not actions that can be sent
+        .filter((routeKey) => !routeKey.startsWith("$"))
+        .map((routeKey) => [
+        `    /** ${routeKey} */`,
+        `    ${uniqueName(names, toMethodName("send", routeKey))}(data: Record<string, any> = {}) {`,
+        `      socket.send(JSON.stringify({ ...data, action: ${JSON.stringify(routeKey)} }));`,
+        `    },`,
+    ].join("\n"));
+    const client = [
+        `// Generated by "sst types", do not edit`,
+        ``,
+        CLIENT_OPTIONS,
+        ``,
+        `export async function create${pascalCase(id)}Client(client: Omit<ClientOptions, "fetch" | "headers">) {`,
+        `  const token = await resolveToken(client.token);`,
+        `  // The token is passed in the protocol header, browsers cannot set other headers`,
+        `  const socket = new WebSocket(client.baseUrl, token ? [token] : undefined);`,
+        `  await new Promise((resolve, reject) => {`,
+        `    socket.addEventListener("open", resolve, { once: true });`,
+        `    socket.addEventListener("error", reject, { once: true });`,
+        `  });`,
+        `  return {`,
+        `    socket,`,
+        ...methods,
+        `    close() {`,
+        `      socket.close();`,
+        `    },`,
+        `  };`,
+        `}`,
+        ``,
+    ].join("\n");
+    return {
+        client,
+        server: generateServerHelper({
+            id,
+            className: "WebSocketApi",
+            module: "sst/node/websocket-api",
+        }),
+    };
+}
+const CLIENT_OPTIONS = [
+    `export interface ClientOptions {`,
+    `  baseUrl: string;`,
+    `  /** Sent as a bearer token */`,
+    `  token?: string | (() => string | undefined | Promise<string | undefined>);`,
+    `  headers?: Record<string, string>;`,
+    `  fetch?: typeof fetch;`,
+    `}`,
+    ``,
+    `async function resolveToken(token: ClientOptions["token"]) {`,
+    `  return typeof token === "function" ? token() : token;`,
+    `}`,
+].join("\n");
+/**
+ * The server helper imports the bound construct and the session, which only
+ * work in functions and the SST commands
+ */
+function generateServerHelper(input) {
+    const { id, className } = input;
+    const name = pascalCase(id);
+    return [
+        `// Generated by "sst types", do not edit`,
+        `import { ${className} } from "${input.module}";`,
+        `import { useSessionToken } from "sst/node/future/auth";`,
+        `import { create${name}Client, type ClientOptions } from "./${id}.js";`,
+        ``,
+        `/**`,
+        ` * Creates the client with the url of the bound ${className} and the`,
+        ` * session token of the current request. Only works on the server.`,
+        ` */`,
+        `export function create${name}ServerClient(client: Partial<ClientOptions> = {}) {`,
+        `  return create${name}Client({`,
+        `    baseUrl: ${className}[${JSON.stringify(id)}].url,`,
+        `    token: () => {`,
+        `      try {`,
+        `        return useSessionToken();`,
+        `      } catch {`,
+        `        // Not called while handling a request`,
+        `        return;`,
+        `      }`,
+        `    },`,
+        `    ...client,`,
+        `  });`,
+        `}`,
+        ``,
+    ].join("\n");
+}
+/**
+ * Converts a JSON Schema to a TypeScript type
+ */
+export function toTsType(schema) {
+    if (!schema || typeof schema !== "object")
+        return "any";
+    if ("const" in schema)
+        return JSON.stringify(schema.const);
+    if (schema.enum)
+        return schema.enum.map((value) => JSON.stringify(value)).join(" | ");
+    if (schema.anyOf)
+        return schema.anyOf.map((option) => toTsType(option)).join(" | ");
+    if (Array.isArray(schema.type))
+        return schema.type
+            .map((type) => toTsType({ ...schema, type }))
+            .join(" | ");
+    switch (schema.type) {
+        case "string":
+            return "string";
+        case "number":
+        case "integer":
+            return "number";
+        case "boolean":
+            return "boolean";
+        case "null":
+            return "null";
+        case "array":
+            return `Array<${toTsType(schema.items)}>`;
+        case "object": {
+            const required = schema.required || [];
+            const properties = Object.entries(schema.properties || {}).map(([key, value]) => `${JSON.stringify(key)}${required.includes(key) ? "" : "?"}: ${toTsType(value)}`);
+            if (typeof schema.additionalProperties === "object")
+                properties.push(`[key: string]: ${toTsType(schema.additionalProperties)}`);
+            if (!properties.length)
+                return "Record<string, any>";
+            return `{ ${properties.join("; ")} }`;
+        }
+        default:
+            return "any";
+    }
+}
+function toMethodName(method, path) {
+    const words = [
+        method.toLowerCase(),
+        ...path
+            .split("/")
+            .filter(Boolean)
+            .map((part) => part.startsWith("{")
+            ? `by_${part.replace(/[{}+]/g, "")}`
+            : part),
+    ];
+    return safeIdentifier(words
+        .join("_")
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1))
+        .join(""));
+}
+function uniqueName(names, name) {
+    let result = name;
+    for (let i = 2; names.has(result); i++)
+        result = `${name}${i}`;
+    names.add(result);
+    return result;
+}
+function pascalCase(id) {
+    const name = toMethodName("", id);
+    return name[0].toUpperCase() + name.slice(1);
+}
+function safeIdentifier(name) {
+    const result = name.replace(/[^A-Za-z0-9_$]/g, "_");
+    return /^[0-9]/.test(result) ? `_${result}` : result;
+}
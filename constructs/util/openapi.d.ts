@@ -0,0 +1,105 @@
+import type { ZodTypeAny } from "zod";
+import type { Function } from "../Function.js";
+export type JsonSchema = Record<string, any>;
+export interface OpenApiProps {
+    /**
+     * The title of the API in the document
+     * @default The id of the construct
+     */
+    title?: string;
+    /**
+     * The version of the API in the document
+     * @default "1.0.0"
+     */
+    version?: string;
+    description?: string;
+    /**
+     * The URLs the API is served from
+     *
+     * @example
+     * ```js
+     * servers: ["https://api.example.com"]
+     * ```
+     */
+    servers?: string[];
+    /**
+     * The path, relative to the project root, the document is written to when the app is built
+     * @default ".sst/openapi/<id>.json"
+     */
+    output?: string;
+}
+export interface OpenApiRouteProps {
+    operationId?: string;
+    summary?: string;
+    description?: string;
+    tags?: string[];
+    deprecated?: boolean;
+}
+export interface RouteSchemas {
+    /**
+     * Zod schema or JSON Schema of the request body
+     */
+    body?: ZodTypeAny | JsonSchema;
+    /**
+     * Zod schema or JSON Schema of an object with the query string parameters
+     */
+    query?: ZodTypeAny | JsonSchema;
+    /**
+     * Zod schema or JSON Schema of an object with the path parameters
+     */
+    params?: ZodTypeAny | JsonSchema;
+    /**
+     * Zod schemas or JSON Schemas of the response bodies, keyed by status code
+     *
+     * @example
+     * ```js
+     * responses: {
+     *   200: { type: "object", properties: { id: { type: "string" } } },
+     * }
+     * ```
+     */
+    responses?: Record<string, ZodTypeAny | JsonSchema>;
+}
+export interface OpenApiRoute {
+    routeKey: string;
+    auth?: {
+        name: string;
+        type: "iam" | "jwt" | "lambda";
+        identitySource?: string;
+        scopes?: string[];
+    };
+    schemas?: RouteSchemas;
+    openapi?: OpenApiRouteProps;
+}
+/**
+ * Builds an OpenAPI 3.1 document from the routes of an Api or ApiGatewayV1Api
+ */
+export declare function buildOpenApiDocument(input: {
+    id: string;
+    props: OpenApiProps;
+    routes: OpenApiRoute[];
+}): Record<string, any>;
+/**
+ * Converts the Zod schemas declared on a route to JSON Schema
+ */
+export declare function toRouteJsonSchemas(schemas?: RouteSchemas): RouteSchemas | undefined;
+/**
+ * Passes the request schemas of a route to its function, so `ApiHandler`
+ * validates the requests. The schemas are keyed by route key since a function
+ * can serve several routes, and are added to the bundle as they can outgrow
+ * the 4KB limit of the function environment.
+ */
+export declare function bindRouteSchemas(fn: Function, routeKey: string, schemas?: RouteSchemas): void;
+/**
+ * Converts a Zod schema to JSON Schema. JSON Schemas are returned as is.
+ * Refinements and transforms have no JSON Schema equivalent and are dropped.
+ */
+export declare function toJsonSchema(schema: ZodTypeAny | JsonSchema): JsonSchema;
+/**
+ * The file the OpenAPI document of an API is written to when the app is built
+ */
+export declare function openApiDocumentPath(id: string, props?: boolean | OpenApiProps): string;
+/**
+ * Writes the OpenAPI document to a file, creating the directory if needed
+ */
+export declare function writeOpenApiDocument(file: string, document: Record<string, any>): void;
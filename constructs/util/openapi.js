@@ -0,0 +1,284 @@
+import fs from "fs";
+import path from "path";
+import { useProject } from "../../project.js";
+const METHODS = ["get", "put", "post", "delete", "options", "head", "patch"];
+/**
+ * Builds an OpenAPI 3.1 document from the routes of an Api or ApiGatewayV1Api
+ */
+export function buildOpenApiDocument(input) {
+    const { props } = input;
+    const document = {
+        openapi: "3.1.0",
+        info: {
+            title: props.title || input.id,
+            version: props.version || "1.0.0",
+            ...(props.description ? { description: props.description } : {}),
+        },
+        ...(props.servers?.length
+            ? { servers: props.servers.map((url) => ({ url })) }
+            : {}),
+        paths: {},
+    };
+    const securitySchemes = {};
+    for (const route of input.routes) {
+        // The $default route catches every request, it has no path to document
+        if (route.routeKey === "$default")
+            continue;
+        const [method, routePath] = route.routeKey.split(" ");
+        const { path: openapiPath, params } = buildPath(routePath);
+        const operation = buildOperation(route, params);
+        if (route.auth) {
+            securitySchemes[route.auth.name] = buildSecurityScheme(route.auth);
+            operation.security = [{ [route.auth.name]: route.auth.scopes || [] }];
+        }
+        const methods = method === "ANY" ? METHODS : [method.toLowerCase()];
+        const item = (document.paths[openapiPath] = document.paths[openapiPath] || {});
+        for (const m of methods) {
+            // Routes with a method take precedence over ANY routes on the same path
+            if (method === "ANY" && item[m])
+                continue;
+            item[m] = {
+                ...operation,
+                // operationIds need to be unique across the document
+                ...(operation.operationId && methods.length > 1
+                    ? { operationId: `${operation.operationId}_${m}` }
+                    : {}),
+            };
+        }
+    }
+    if (Object.keys(securitySchemes).length)
+        document.components = { securitySchemes };
+    return document;
+}
+/**
+ * Converts the Zod schemas declared on a route to JSON Schema
+ */
+export function toRouteJsonSchemas(schemas) {
+    if (!schemas)
+        return;
+    const result = {};
+    for (const key of ["body", "query", "params"]) {
+        if (schemas[key])
+            result[key] = toJsonSchema(schemas[key]);
+    }
+    if (schemas.responses)
+        result.responses = Object.fromEntries(Object.entries(schemas.responses).map(([status, schema]) => [
+            status,
+            toJsonSchema(schema),
+        ]));
+    return result;
+}
+const boundSchemas = new WeakMap();
+/**
+ * Passes the request schemas of a route to its function, so `ApiHandler`
+ * validates the requests. The schemas are keyed by route key since a function
+ * can serve several routes, and are added to the bundle as they can outgrow
+ * the 4KB limit of the function environment.
+ */
+export function bindRouteSchemas(fn, routeKey, schemas) {
+    if (!schemas?.body && !schemas?.query && !schemas?.params)
+        return;
+    // ApiHandler only runs in Node.js
+    if (!fn.isNodeRuntime())
+        return;
+    if (!boundSchemas.has(fn))
+        boundSchemas.set(fn, { banner: fn.props.nodejs?.banner, routes: {} });
+    const bound = boundSchemas.get(fn);
+    bound.routes[routeKey] = {
+        body: schemas.body,
+        query: schemas.query,
+        params: schemas.params,
+    };
+    // Copied since the nodejs props can be shared with other functions
+    fn.props.nodejs = {
+        ...fn.props.nodejs,
+        banner: [
+            bound.banner || "",
+            `globalThis.SST_API_SCHEMAS = ${JSON.stringify(bound.routes)};`,
+        ].join("\n"),
+    };
+}
+/**
+ * Converts a Zod schema to JSON Schema. JSON Schemas are returned as is.
+ * Refinements and transforms have no JSON Schema equivalent and are dropped.
+ */
+export function toJsonSchema(schema) {
+    const def = schema?._def;
+    if (!def?.typeName)
+        return schema;
+    switch (def.typeName) {
+        case "ZodString": {
+            const result = { type: "string" };
+            for (const check of def.checks || []) {
+                if (check.kind === "min")
+                    result.minLength = check.value;
+                if (check.kind === "max")
+                    result.maxLength = check.value;
+                if (check.kind === "length")
+                    result.minLength = result.maxLength = check.value;
+                if (check.kind === "regex")
+                    result.pattern = check.regex.source;
+                if (["email", "url", "uuid", "datetime"].includes(check.kind))
+                    result.format = check.kind === "url"
+                        ? "uri"
+                        : check.kind === "datetime"
+                            ? "date-time"
+                            : check.kind;
+            }
+            return result;
+        }
+        case "ZodNumber": {
+            const result = { type: "number" };
+            for (const check of def.checks || []) {
+                if (check.kind === "int")
+                    result.type = "integer";
+                if (check.kind === "min")
+                    result[check.inclusive ? "minimum" : "exclusiveMinimum"] =
+                        check.value;
+                if (check.kind === "max")
+                    result[check.inclusive ? "maximum" : "exclusiveMaximum"] =
+                        check.value;
+            }
+            return result;
+        }
+        case "ZodBoolean":
+            return { type: "boolean" };
+        case "ZodNull":
+            return { type: "null" };
+        case "ZodDate":
+            return { type: "string", format: "date-time" };
+        case "ZodLiteral":
+            return { const: def.value };
+        case "ZodEnum":
+            return { type: "string", enum: def.values };
+        case "ZodNativeEnum":
+            return { enum: Object.values(def.values) };
+        case "ZodArray": {
+            const result = { type: "array", items: toJsonSchema(def.type) };
+            if (def.minLength)
+                result.minItems = def.minLength.value;
+            if (def.maxLength)
+                result.maxItems = def.maxLength.value;
+            return result;
+        }
+        case "ZodObject": {
+            const shape = def.shape();
+            const required = Object.keys(shape).filter((key) => !shape[key].isOptional());
+            return {
+                type: "object",
+                properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [
+                    key,
+                    toJsonSchema(value),
+                ])),
+                ...(required.length ? { required } : {}),
+                ...(def.unknownKeys === "strict"
+                    ? { additionalProperties: false }
+                    : {}),
+            };
+        }
+        case "ZodRecord":
+            return {
+                type: "object",
+                additionalProperties: toJsonSchema(def.valueType),
+            };
+        case "ZodUnion":
+        case "ZodDiscriminatedUnion":
+            return { anyOf: [...def.options].map(toJsonSchema) };
+        case "ZodOptional":
+            return toJsonSchema(def.innerType);
+        case "ZodNullable":
+            return { anyOf: [toJsonSchema(def.innerType), { type: "null" }] };
+        case "ZodDefault":
+            return { ...toJsonSchema(def.innerType), default: def.defaultValue() };
+        case "ZodEffects":
+            return toJsonSchema(def.schema);
+        default:
+            return {};
+    }
+}
+/**
+ * The file the OpenAPI document of an API is written to when the app is built
+ */
+export function openApiDocumentPath(id, props) {
+    const { paths } = useProject();
+    return typeof props === "object" && props.output
+        ? path.resolve(paths.root, props.output)
+        : path.join(paths.out, "openapi", `${id}.json`);
+}
+/**
+ * Writes the OpenAPI document to a file, creating the directory if needed
+ */
+export function writeOpenApiDocument(file, document) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(document, null, 2));
+}
+function buildPath(routePath) {
+    const params = [];
+    const result = routePath.replace(/\{([^}]+?)(\+)?\}/g, (_, name) => {
+        params.push(name);
+        return `{${name}}`;
+    });
+    return { path: result, params };
+}
+function buildOperation(route, pathParams) {
+    const { schemas, openapi } = route;
+    const parameters = [
+        ...pathParams.map((name) => ({
+            name,
+            in: "path",
+            required: true,
+            schema: schemas?.params?.properties?.[name] || { type: "string" },
+        })),
+        ...Object.entries(schemas?.query?.properties || {}).map(([name, schema]) => ({
+            name,
+            in: "query",
+            required: (schemas?.query?.required || []).includes(name),
+            schema,
+        })),
+    ];
+    return {
+        ...(openapi?.operationId ? { operationId: openapi.operationId } : {}),
+        ...(openapi?.summary ? { summary: openapi.summary } : {}),
+        ...(openapi?.description ? { description: openapi.description } : {}),
+        ...(openapi?.tags ? { tags: openapi.tags } : {}),
+        ...(openapi?.deprecated ? { deprecated: true } : {}),
+        ...(parameters.length ? { parameters } : {}),
+        ...(schemas?.body
+            ? {
+                requestBody: {
+                    required: true,
+                    content: { "application/json": { schema: schemas.body } },
+                },
+            }
+            : {}),
+        responses: schemas?.responses
+            ? Object.fromEntries(Object.entries(schemas.responses).map(([status, schema]) => [
+                status,
+                {
+                    description: `${status} response`,
+                    content: { "application/json": { schema } },
+                },
+            ]))
+            : { default: { description: "Default response" } },
+    };
+}
+function buildSecurityScheme(auth) {
+    if (auth.type === "iam")
+        return {
+            type: "apiKey",
+            name: "Authorization",
+            in: "header",
+            "x-amazon-apigateway-authtype": "awsSigv4",
+        };
+    if (auth.type === "jwt")
+        return {
+            type: "http",
+            scheme: "bearer",
+            bearerFormat: "JWT",
+        };
+    return {
+        type: "apiKey",
+        name: auth.identitySource?.match(/header\.(.+)$/)?.[1] || "Authorization",
+        in: "header",
+    };
+}
@@ -1,4 +1,4 @@
-import { APIGatewayProxyEventHeaders, APIGatewayProxyEventMultiValueHeaders, APIGatewayProxyEventMultiValueQueryStringParameters, APIGatewayProxyEventQueryStringParameters, APIGatewayProxyEventV2, APIGatewayProxyResultV2, APIGatewayProxyStructuredResultV2, APIGatewayProxyWebsocketEventV2, Context as LambdaContext, SQSBatchResponse, SQSEvent } from "aws-lambda";
+import { APIGatewayProxyEventHeaders, APIGatewayProxyEventMultiValueHeaders, APIGatewayProxyEventMultiValueQueryStringParameters, APIGatewayProxyEventQueryStringParameters, APIGatewayProxyEventV2, APIGatewayProxyResultV2, APIGatewayProxyStructuredResultV2, APIGatewayProxyWebsocketEventV2, Context as LambdaContext, DynamoDBBatchResponse, DynamoDBStreamEvent, KinesisStreamBatchResponse, KinesisStreamEvent, S3Event, SNSEvent, SQSBatchResponse, SQSEvent } from "aws-lambda";
 export interface Handlers {
     api: {
         event: APIGatewayProxyEventV2;
@@ -17,6 +17,22 @@ export interface Handlers {
         event: SQSEvent;
         response: SQSBatchResponse;
     };
+    sns: {
+        event: SNSEvent;
+        response: void;
+    };
+    dynamodb: {
+        event: DynamoDBStreamEvent;
+        response: DynamoDBBatchResponse;
+    };
+    kinesis: {
+        event: KinesisStreamEvent;
+        response: KinesisStreamBatchResponse;
+    };
+    s3: {
+        event: S3Event;
+        response: void;
+    };
 }
 export type HandlerTypes = keyof Handlers;
 export declare function useContextType(): HandlerTypes;
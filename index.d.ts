@@ -1 +1 @@
-export type { SSTConfig } from "./project.js";
+export type { SSTConfig, SSTHooks } from "./project.js";
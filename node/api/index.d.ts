@@ -1,5 +1,6 @@
 import { Handler, HandlerTypes } from "../../context/handler.js";
 import { APIGatewayProxyStructuredResultV2 } from "aws-lambda";
+import type { ZodTypeAny, infer as ZodInfer } from "zod";
 export interface ApiResources {
 }
 export interface AppSyncApiResources {
@@ -14,16 +15,68 @@ export declare class Response {
     readonly result: APIGatewayProxyStructuredResultV2;
     constructor(result: APIGatewayProxyStructuredResultV2);
 }
+type ApiResult = APIGatewayProxyStructuredResultV2;
 /**
- * Create a new api handler that can be used to create an authenticated session.
+ * Runs before the handler in the same request context. Returning a response
+ * or throwing a `Response` short-circuits the request, returning nothing lets
+ * it through. Call `next` to run the rest of the chain and get its response.
+ */
+export type ApiMiddleware = (next: () => Promise<ApiResult | undefined>) => ApiResult | void | undefined | Promise<ApiResult | void | undefined>;
+export interface ApiHandlerFactory {
+    /**
+     * Create a new api handler that can be used to create an authenticated session.
+     *
+     * @example
+     * ```ts
+     * export const handler = ApiHandler({
+     * })
+     * ```
+     */
+    (cb: Parameters<typeof Handler<"api">>[1]): (event: import("aws-lambda").APIGatewayProxyEventV2, context: import("aws-lambda").Context) => Promise<APIGatewayProxyStructuredResultV2>;
+    /**
+     * Returns a new ApiHandler that runs the given middleware, in order, before
+     * the handler. Middleware run in the same request context as the handler.
+     *
+     * @example
+     * ```ts
+     * const AuthedHandler = ApiHandler.use(cors(), requireSession("user"));
+     * export const handler = AuthedHandler(async () => {
+     *   return { statusCode: 200 };
+     * });
+     * ```
+     */
+    use(...middleware: ApiMiddleware[]): ApiHandlerFactory;
+}
+export declare const ApiHandler: ApiHandlerFactory;
+/**
+ * Returns the JSON body validated against the given Zod schema, or the body
+ * schema of the route if none is passed in. Responds with a 400 and the field
+ * errors if the body is invalid.
+ *
+ * The schema of the route is only checked as JSON Schema, so refinements and
+ * transforms only run when the Zod schema is passed in. Without a schema, pass
+ * in the type of the body.
+ *
+ * @example
+ * ```ts
+ * const note = useValidatedBody(z.object({ content: z.string() }));
+ * const other = useValidatedBody<{ content: string }>();
+ * ```
+ */
+export declare function useValidatedBody<T extends ZodTypeAny>(schema: T): ZodInfer<T>;
+export declare function useValidatedBody<T = unknown>(): T;
+/**
+ * Returns the query string parameters validated against the given Zod
+ * schema, or the query schema of the route if none is passed in. Responds with
+ * a 400 and the field errors if they are invalid.
  *
  * @example
  * ```ts
- * export const handler = ApiHandler({
- * })
+ * const { limit } = useValidatedQuery(z.object({ limit: z.coerce.number() }));
  * ```
  */
-export declare function ApiHandler(cb: Parameters<typeof Handler<"api">>[1]): (event: import("aws-lambda").APIGatewayProxyEventV2, context: import("aws-lambda").Context) => Promise<APIGatewayProxyStructuredResultV2>;
+export declare function useValidatedQuery<T extends ZodTypeAny>(schema: T): ZodInfer<T>;
+export declare function useValidatedQuery<T = Record<string, unknown>>(): T;
 export declare const useCookies: () => {
     [k: string]: string;
 };
@@ -61,4 +114,4 @@ export declare function useQueryParams(): import("aws-lambda").APIGatewayProxyEv
 export declare function useQueryParam<T = string>(name: string): T | undefined;
 export declare function usePathParams(): import("aws-lambda").APIGatewayProxyEventPathParameters;
 export declare function usePathParam(name: string): string | undefined;
-export {};
+export * from "./middleware.js";
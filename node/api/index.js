@@ -1,6 +1,7 @@
 import { createProxy } from "../util/index.js";
 import { useEvent, Handler, useContextType, } from "../../context/handler.js";
 import { memo } from "../../context/context2.js";
+import { validateJsonSchema, coerceParams } from "./validation.js";
 export const Api = /* @__PURE__ */ createProxy("Api");
 export const AppSyncApi = 
 /* @__PURE__ */ createProxy("AppSyncApi");
@@ -12,31 +13,176 @@ export class Response {
         this.result = result;
     }
 }
+function createApiHandler(middleware) {
+    /**
+     * Create a new api handler that can be used to create an authenticated session.
+     *
+     * @example
+     * ```ts
+     * export const handler = ApiHandler({
+     * })
+     * ```
+     */
+    function ApiHandler(cb) {
+        return Handler("api", async (evt, ctx) => {
+            const result = await runMiddleware(middleware, async () => {
+                validateRoute();
+                return cb(evt, ctx);
+            });
+            const serialized = useResponse().serialize(result || {});
+            return serialized;
+        });
+    }
+    /**
+     * Returns a new ApiHandler that runs the given middleware, in order, before
+     * the handler. Middleware run in the same request context as the handler.
+     *
+     * @example
+     * ```ts
+     * const AuthedHandler = ApiHandler.use(cors(), requireSession("user"));
+     * export const handler = AuthedHandler(async () => {
+     *   return { statusCode: 200 };
+     * });
+     * ```
+     */
+    ApiHandler.use = (...more) => createApiHandler([...middleware, ...more]);
+    return ApiHandler;
+}
+export const ApiHandler = /* @__PURE__ */ createApiHandler([]);
+/**
+ * Runs the middleware chain. Responses thrown by the handler or a middleware
+ * are returned as the result, so outer middleware see them like any other.
+ */
+async function runMiddleware(middleware, cb) {
+    try {
+        const [first, ...rest] = middleware;
+        if (!first)
+            return await cb();
+        let next;
+        const result = await first(() => {
+            next = next || runMiddleware(rest, cb);
+            return next;
+        });
+        // Middleware that return nothing let the request through
+        if (result)
+            return result;
+        return next ? await next : await runMiddleware(rest, cb);
+    }
+    catch (e) {
+        if (e instanceof Response) {
+            return e.result;
+        }
+        throw e;
+    }
+}
 /**
- * Create a new api handler that can be used to create an authenticated session.
+ * The JSON Schemas declared on the route in the Api construct. They are added
+ * to the bundle keyed by route key, as a function can serve several routes.
+ */
+function useRouteSchemas() {
+    const schemas = globalThis.SST_API_SCHEMAS;
+    if (!schemas)
+        return {};
+    const evt = useEvent("api");
+    // HTTP APIs pass the route key, REST APIs the resource and the method
+    if (evt.routeKey)
+        return schemas[evt.routeKey] || {};
+    const resource = evt.requestContext?.resourcePath || evt.resource;
+    return (schemas[`${evt.httpMethod} ${resource}`] ||
+        schemas[`ANY ${resource}`] ||
+        {});
+}
+function validationError(errors) {
+    return new Response({
+        statusCode: 400,
+        headers: {
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+            error: "ValidationError",
+            errors,
+        }),
+    });
+}
+/**
+ * Validates a value with either a Zod schema or a JSON Schema
+ */
+function validate(schema, value, prefix) {
+    if (typeof schema.safeParse === "function") {
+        const result = schema.safeParse(value);
+        if (result.success)
+            return { value: result.data, errors: [] };
+        return {
+            value,
+            errors: result.error.issues.map((issue) => ({
+                path: [prefix, ...issue.path].join("."),
+                message: issue.message,
+            })),
+        };
+    }
+    return { value, errors: validateJsonSchema(schema, value, [prefix]) };
+}
+function validateRoute() {
+    const schemas = useRouteSchemas();
+    const errors = [];
+    if (schemas.body)
+        errors.push(...parseBody(schemas.body).errors);
+    if (schemas.query)
+        errors.push(...validate(schemas.query, coerceParams(schemas.query, useQueryParams()), "query").errors);
+    if (schemas.params)
+        errors.push(...validate(schemas.params, coerceParams(schemas.params, usePathParams()), "params").errors);
+    if (errors.length)
+        throw validationError(errors);
+}
+function parseBody(schema) {
+    let body;
+    try {
+        body = useJsonBody();
+    }
+    catch {
+        return { value: undefined, errors: [{ path: "body", message: "Invalid JSON" }] };
+    }
+    return validate(schema, body, "body");
+}
+/**
+ * Returns the JSON body validated against the given Zod schema, or the body
+ * schema of the route if none is passed in. Responds with a 400 and the field
+ * errors if the body is invalid.
  *
  * @example
  * ```ts
- * export const handler = ApiHandler({
- * })
+ * const note = useValidatedBody(z.object({ content: z.string() }));
  * ```
  */
-export function ApiHandler(cb) {
-    return Handler("api", async (evt, ctx) => {
-        let result;
-        try {
-            result = await cb(evt, ctx);
-        }
-        catch (e) {
-            if (e instanceof Response) {
-                result = e.result;
-            }
-            else
-                throw e;
-        }
-        const serialized = useResponse().serialize(result || {});
-        return serialized;
-    });
+export function useValidatedBody(schema) {
+    const target = schema || useRouteSchemas().body;
+    if (!target)
+        return useJsonBody();
+    const result = parseBody(target);
+    if (result.errors.length)
+        throw validationError(result.errors);
+    return result.value;
+}
+/**
+ * Returns the query string parameters validated against the given Zod
+ * schema, or the query schema of the route if none is passed in. Responds with
+ * a 400 and the field errors if they are invalid.
+ *
+ * @example
+ * ```ts
+ * const { limit } = useValidatedQuery(z.object({ limit: z.coerce.number() }));
+ * ```
+ */
+export function useValidatedQuery(schema) {
+    const target = schema || useRouteSchemas().query;
+    if (!target)
+        return useQueryParams();
+    const result = schema
+        ? validate(schema, useQueryParams(), "query")
+        : validate(target, coerceParams(target, useQueryParams()), "query");
+    if (result.errors.length)
+        throw validationError(result.errors);
+    return result.value;
 }
 export const useCookies = /* @__PURE__ */ memo(() => {
     const evt = useEvent("api");
@@ -178,3 +324,4 @@ export function usePathParams() {
 export function usePathParam(name) {
     return usePathParams()[name];
 }
+export * from "./middleware.js";
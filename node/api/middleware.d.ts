@@ -0,0 +1,89 @@
+import { APIGatewayProxyStructuredResultV2 } from "aws-lambda";
+import type { ApiMiddleware } from "./index.js";
+export interface CorsOptions {
+    /**
+     * The origins allowed to make requests. Has to be set when `credentials`
+     * is enabled.
+     * @default ["*"]
+     */
+    origins?: string[];
+    /**
+     * The methods allowed in preflight requests
+     * @default ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"]
+     */
+    methods?: string[];
+    /**
+     * The headers allowed in preflight requests. Defaults to the headers the
+     * browser asks for.
+     */
+    headers?: string[];
+    /**
+     * The headers the browser is allowed to read from the response
+     */
+    exposeHeaders?: string[];
+    /**
+     * Whether requests can include cookies and authorization headers. The
+     * `origins` have to be listed, `"*"` is not allowed.
+     * @default false
+     */
+    credentials?: boolean;
+    /**
+     * How long, in seconds, browsers can cache preflight responses
+     */
+    maxAge?: number;
+}
+/**
+ * Adds the CORS headers to the response and answers preflight requests.
+ *
+ * @example
+ * ```ts
+ * export const handler = ApiHandler.use(cors({ origins: ["https://sst.dev"] }))(
+ *   async () => ({ statusCode: 200 })
+ * );
+ * ```
+ */
+export declare function cors(options?: CorsOptions): ApiMiddleware;
+export interface RateLimitOptions {
+    /**
+     * The number of requests allowed per window
+     */
+    limit: number;
+    /**
+     * The length of the window in seconds
+     * @default 60
+     */
+    window?: number;
+    /**
+     * Identifies the client. Defaults to the source IP reported by API Gateway.
+     */
+    key?: () => string | Promise<string>;
+}
+/**
+ * Limits the number of requests a client can make in a time window. Clients
+ * are identified by their source IP unless a `key` function is passed in.
+ *
+ * Counts are kept in memory, so the limit applies to each warm Lambda
+ * instance separately.
+ *
+ * @example
+ * ```ts
+ * rateLimit({ limit: 100, window: 60 })
+ * ```
+ */
+export declare function rateLimit(options: RateLimitOptions): ApiMiddleware;
+/**
+ * Turns errors thrown by the handler or later middleware into JSON responses.
+ * The `map` callback can return a response for an error, otherwise errors
+ * with a numeric `statusCode` or `status` use it and the rest become a 500.
+ * Errors are not logged, log them in `map` if needed.
+ *
+ * @example
+ * ```ts
+ * errorMapper((error) => {
+ *   if (error instanceof NotFoundError)
+ *     return { statusCode: 404, body: error.message };
+ *   console.error(error);
+ * })
+ * ```
+ */
+export declare function errorMapper(map?: (error: any) => APIGatewayProxyStructuredResultV2 | undefined | Promise<APIGatewayProxyStructuredResultV2 | undefined>): ApiMiddleware;
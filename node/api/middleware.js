@@ -0,0 +1,137 @@
+import { useEvent } from "../../context/handler.js";
+import { Response, useHeader, useMethod, useResponse } from "./index.js";
+/**
+ * Adds the CORS headers to the response and answers preflight requests.
+ *
+ * @example
+ * ```ts
+ * export const handler = ApiHandler.use(cors({ origins: ["https://sst.dev"] }))(
+ *   async () => ({ statusCode: 200 })
+ * );
+ * ```
+ */
+export function cors(options = {}) {
+    const origins = options.origins || ["*"];
+    // Reflecting any origin with credentials lets every site make
+    // authenticated requests
+    if (options.credentials && origins.includes("*"))
+        throw new Error(`The "origins" of cors() have to be listed when "credentials" is enabled, "*" is not allowed`);
+    return async (next) => {
+        const origin = useHeader("origin");
+        const allowed = origins.includes("*")
+            ? "*"
+            : origin && origins.includes(origin)
+                ? origin
+                : undefined;
+        const response = useResponse();
+        if (allowed) {
+            response.header("Access-Control-Allow-Origin", allowed);
+            if (allowed !== "*")
+                response.header("Vary", "Origin");
+            if (options.credentials)
+                response.header("Access-Control-Allow-Credentials", "true");
+            if (options.exposeHeaders)
+                response.header("Access-Control-Expose-Headers", options.exposeHeaders.join(", "));
+        }
+        if (useMethod() !== "OPTIONS")
+            return next();
+        if (allowed) {
+            response.header("Access-Control-Allow-Methods", (options.methods || ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"]).join(", "));
+            response.header("Access-Control-Allow-Headers", options.headers?.join(", ") ||
+                useHeader("access-control-request-headers") ||
+                "*");
+            if (options.maxAge !== undefined)
+                response.header("Access-Control-Max-Age", String(options.maxAge));
+        }
+        return { statusCode: 204 };
+    };
+}
+/**
+ * Limits the number of requests a client can make in a time window. Clients
+ * are identified by their source IP unless a `key` function is passed in.
+ *
+ * Counts are kept in memory, so the limit applies to each warm Lambda
+ * instance separately.
+ *
+ * @example
+ * ```ts
+ * rateLimit({ limit: 100, window: 60 })
+ * ```
+ */
+export function rateLimit(options) {
+    const windowMs = (options.window || 60) * 1000;
+    const counts = new Map();
+    return async () => {
+        const now = Date.now();
+        const key = options.key ? await options.key() : useSourceIp();
+        let entry = counts.get(key);
+        if (!entry || entry.resetAt <= now) {
+            // Drop expired windows so the map does not grow forever
+            for (const [k, v] of counts)
+                if (v.resetAt <= now)
+                    counts.delete(k);
+            entry = { count: 0, resetAt: now + windowMs };
+            counts.set(key, entry);
+        }
+        entry.count++;
+        const remaining = Math.max(0, options.limit - entry.count);
+        useResponse()
+            .header("X-RateLimit-Limit", String(options.limit))
+            .header("X-RateLimit-Remaining", String(remaining));
+        if (entry.count <= options.limit)
+            return;
+        throw new Response({
+            statusCode: 429,
+            headers: {
+                "Content-Type": "application/json",
+                "Retry-After": String(Math.ceil((entry.resetAt - now) / 1000)),
+            },
+            body: JSON.stringify({ error: "TooManyRequests" }),
+        });
+    };
+}
+// The IP API Gateway saw the request come from. Unlike X-Forwarded-For, it
+// cannot be set by the client.
+function useSourceIp() {
+    const evt = useEvent("api");
+    return (evt.requestContext?.http?.sourceIp ||
+        evt.requestContext?.identity?.sourceIp ||
+        "unknown");
+}
+/**
+ * Turns errors thrown by the handler or later middleware into JSON responses.
+ * The `map` callback can return a response for an error, otherwise errors
+ * with a numeric `statusCode` or `status` use it and the rest become a 500.
+ * Errors are not logged, log them in `map` if needed.
+ *
+ * @example
+ * ```ts
+ * errorMapper((error) => {
+ *   if (error instanceof NotFoundError)
+ *     return { statusCode: 404, body: error.message };
+ *   console.error(error);
+ * })
+ * ```
+ */
+export function errorMapper(map) {
+    return async (next) => {
+        try {
+            return await next();
+        }
+        catch (error) {
+            const mapped = await map?.(error);
+            if (mapped)
+                return mapped;
+            const statusCode = Number(error?.statusCode || error?.status) || 500;
+            return {
+                statusCode,
+                headers: {
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify(statusCode >= 500
+                    ? { error: "InternalServerError" }
+                    : { error: error.name, message: error.message }),
+            };
+        }
+    };
+}
@@ -0,0 +1,14 @@
+export interface FieldError {
+    path: string;
+    message: string;
+}
+/**
+ * Validates a value against the subset of JSON Schema generated for route
+ * schemas. Returns a list of field errors, empty if the value is valid.
+ */
+export declare function validateJsonSchema(schema: Record<string, any>, value: any, path?: (string | number)[]): FieldError[];
+/**
+ * Converts the string values of query string and path parameters to the
+ * number and boolean types in the schema
+ */
+export declare function coerceParams(schema: Record<string, any> | undefined, params: Record<string, string | undefined>): Record<string, any>;
@@ -0,0 +1,118 @@
+// The string formats toJsonSchema generates for the Zod string checks
+const FORMATS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uri: /^[a-z][a-z\d+.-]*:\S+$/i,
+    uuid: /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i,
+    "date-time": /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+};
+/**
+ * Validates a value against the subset of JSON Schema generated for route
+ * schemas. Returns a list of field errors, empty if the value is valid.
+ */
+export function validateJsonSchema(schema, value, path = []) {
+    const errors = [];
+    check(schema, value, path, errors);
+    return errors;
+}
+/**
+ * Converts the string values of query string and path parameters to the
+ * number and boolean types in the schema
+ */
+export function coerceParams(schema, params) {
+    const result = { ...params };
+    for (const [key, value] of Object.entries(params)) {
+        const type = schema?.properties?.[key]?.type;
+        if ((type === "number" || type === "integer") &&
+            value !== "" &&
+            !isNaN(Number(value)))
+            result[key] = Number(value);
+        if (type === "boolean" && (value === "true" || value === "false"))
+            result[key] = value === "true";
+    }
+    return result;
+}
+function check(schema, value, path, errors) {
+    if (!schema || typeof schema !== "object")
+        return;
+    const error = (message) => errors.push({ path: path.join("."), message });
+    if (schema.anyOf) {
+        if (!schema.anyOf.some((option) => validateJsonSchema(option, value, path).length === 0))
+            error("Does not match any of the allowed types");
+        return;
+    }
+    if ("const" in schema && value !== schema.const)
+        return error(`Expected ${JSON.stringify(schema.const)}`);
+    if (schema.enum && !schema.enum.includes(value))
+        return error(`Expected one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => isType(type, value)))
+            return error(`Expected ${types.join(" or ")}`);
+    }
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength)
+            error(`Must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength)
+            error(`Must be at most ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value))
+            error(`Must match ${schema.pattern}`);
+        if (FORMATS[schema.format] && !FORMATS[schema.format].test(value))
+            error(`Must be a valid ${schema.format}`);
+    }
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum)
+            error(`Must be greater than or equal to ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum)
+            error(`Must be less than or equal to ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum)
+            error(`Must be greater than ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum)
+            error(`Must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems)
+            error(`Must contain at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems)
+            error(`Must contain at most ${schema.maxItems} items`);
+        if (schema.items)
+            value.forEach((item, index) => check(schema.items, item, [...path, index], errors));
+    }
+    if (isType("object", value)) {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined)
+                errors.push({ path: [...path, key].join("."), message: "Required" });
+        }
+        for (const [key, item] of Object.entries(value)) {
+            const property = schema.properties?.[key];
+            if (property)
+                check(property, item, [...path, key], errors);
+            else if (schema.additionalProperties === false)
+                errors.push({
+                    path: [...path, key].join("."),
+                    message: "Unexpected property",
+                });
+            else if (typeof schema.additionalProperties === "object")
+                check(schema.additionalProperties, item, [...path, key], errors);
+        }
+    }
+}
+function isType(type, value) {
+    switch (type) {
+        case "string":
+            return typeof value === "string";
+        case "number":
+            return typeof value === "number" && !isNaN(value);
+        case "integer":
+            return Number.isInteger(value);
+        case "boolean":
+            return typeof value === "boolean";
+        case "null":
+            return value === null;
+        case "array":
+            return Array.isArray(value);
+        case "object":
+            return (typeof value === "object" && value !== null && !Array.isArray(value));
+        default:
+            return true;
+    }
+}
@@ -1,3 +1,58 @@
+import { S3EventRecord, S3Event, Context as LambdaContext } from "aws-lambda";
+/// <reference types="node" resolution-mode="require"/>
 export interface BucketResources {
 }
-export declare const Bucket: BucketResources;
+export interface BucketObject {
+    key: string;
+    size: number;
+    lastModified: Date;
+}
+export interface BucketPresignOptions {
+    /**
+     * Whether the url is used to download or upload the object.
+     *
+     * @default "GET"
+     */
+    method?: "GET" | "PUT";
+    /**
+     * The number of seconds the url is valid for.
+     *
+     * @default 3600
+     */
+    expiresIn?: number;
+}
+export type BucketType = {
+    [T in keyof BucketResources]: BucketResources[T] & ReturnType<typeof BucketControl>;
+};
+export declare const Bucket: BucketType;
+declare function BucketControl(name: string, vars: Record<string, string>): {
+    put(key: string, body: string | Uint8Array, opts?: {
+        contentType?: string;
+    }): Promise<void>;
+    /**
+     * Returns `undefined` when the key does not exist.
+     */
+    get(key: string): Promise<Buffer | undefined>;
+    delete(key: string): Promise<void>;
+    list(opts?: {
+        prefix?: string;
+    }): Promise<BucketObject[]>;
+    /**
+     * Creates a url that can be used to download or upload the object
+     * without credentials.
+     */
+    presign(key: string, opts?: BucketPresignOptions): Promise<string>;
+};
+/**
+ * Create a new bucket notification handler that is called once for every
+ * object in the event.
+ *
+ * @example
+ * ```ts
+ * export const handler = BucketHandler(async (record) => {
+ *   console.log(record.eventName, record.s3.object.key);
+ * });
+ * ```
+ */
+export declare function BucketHandler(cb: (record: S3EventRecord, ctx: LambdaContext) => Promise<void>): (event: S3Event, context: LambdaContext) => Promise<void>;
+export {};
@@ -1,2 +1,140 @@
-import { createProxy } from "../util/index.js";
-export const Bucket = /* @__PURE__ */ createProxy("Bucket");
+import { Handler } from "../../context/handler.js";
+import { processRecords } from "../util/batch.js";
+import { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, ListObjectsV2Command, } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import { createProxy, getVariables2 } from "../util/index.js";
+import { callLocalBackend, isLocalBackend, LocalBackendError, } from "../util/local.js";
+const s3 = new S3Client({});
+export const Bucket = /* @__PURE__ */ (() => {
+    const result = createProxy("Bucket");
+    const vars = getVariables2("Bucket");
+    Object.keys(vars).forEach((name) => {
+        // @ts-expect-error
+        result[name] = {
+            ...vars[name],
+            ...(isLocalBackend()
+                ? LocalBucketControl(name)
+                : BucketControl(name, vars[name])),
+        };
+    });
+    return result;
+})();
+function BucketControl(name, vars) {
+    const bucketName = vars.bucketName;
+    return {
+        async put(key, body, opts) {
+            await s3.send(new PutObjectCommand({
+                Bucket: bucketName,
+                Key: key,
+                Body: body,
+                ContentType: opts?.contentType,
+            }));
+        },
+        async get(key) {
+            try {
+                const ret = await s3.send(new GetObjectCommand({
+                    Bucket: bucketName,
+                    Key: key,
+                }));
+                return Buffer.from(await ret.Body.transformToByteArray());
+            }
+            catch (e) {
+                if (e.name === "NoSuchKey")
+                    return;
+                throw e;
+            }
+        },
+        async delete(key) {
+            await s3.send(new DeleteObjectCommand({
+                Bucket: bucketName,
+                Key: key,
+            }));
+        },
+        async list(opts) {
+            const objects = [];
+            let token;
+            do {
+                const ret = await s3.send(new ListObjectsV2Command({
+                    Bucket: bucketName,
+                    Prefix: opts?.prefix,
+                    ContinuationToken: token,
+                }));
+                for (const object of ret.Contents || []) {
+                    objects.push({
+                        key: object.Key,
+                        size: object.Size,
+                        lastModified: object.LastModified,
+                    });
+                }
+                token = ret.NextContinuationToken;
+            } while (token);
+            return objects;
+        },
+        async presign(key, opts) {
+            const input = { Bucket: bucketName, Key: key };
+            return getSignedUrl(s3, opts?.method === "PUT"
+                ? new PutObjectCommand(input)
+                : new GetObjectCommand(input), {
+                expiresIn: opts?.expiresIn ?? 3600,
+            });
+        },
+    };
+}
+function LocalBucketControl(name) {
+    return {
+        async put(key, body, _opts) {
+            await callLocalBackend("Bucket", name, "put", {
+                key,
+                body: Buffer.from(body).toString("base64"),
+            });
+        },
+        async get(key) {
+            try {
+                const result = await callLocalBackend("Bucket", name, "get", { key });
+                return Buffer.from(result.body, "base64");
+            }
+            catch (e) {
+                // The emulator responds with a 404 for missing keys
+                if (e instanceof LocalBackendError && e.status === 404)
+                    return;
+                throw e;
+            }
+        },
+        async delete(key) {
+            await callLocalBackend("Bucket", name, "delete", { key });
+        },
+        async list(opts) {
+            const { objects } = await callLocalBackend("Bucket", name, "list", {
+                prefix: opts?.prefix,
+            });
+            return objects.map((object) => ({
+                ...object,
+                lastModified: new Date(object.lastModified),
+            }));
+        },
+        async presign(key, _opts) {
+            // The emulator serves objects directly and does not check signatures
+            return `${process.env.SST_LOCAL_BACKEND_URL}/Bucket/${name}/object/${key}`;
+        },
+    };
+}
+/**
+ * Create a new bucket notification handler that is called once for every
+ * object in the event.
+ *
+ * @example
+ * ```ts
+ * export const handler = BucketHandler(async (record) => {
+ *   console.log(record.eventName, record.s3.object.key);
+ * });
+ * ```
+ */
+export function BucketHandler(cb) {
+    return Handler("s3", async (evt, ctx) => {
+        const result = await processRecords(evt.Records, (record) => cb(record, ctx), {
+            ordered: false,
+        });
+        if (result.error)
+            throw result.error;
+    });
+}
@@ -4,6 +4,7 @@ export const EventBus =
 import { EventBridgeClient, PutEventsCommand, } from "@aws-sdk/client-eventbridge";
 import { useLoader } from "../util/loader.js";
 import { Config } from "../config/index.js";
+import { callLocalBackend, isLocalBackend } from "../util/local.js";
 export function createEventBuilder(input) {
     const client = new EventBridgeClient({});
     const validator = input.validator;
@@ -12,6 +13,19 @@ export function createEventBuilder(input) {
         const validate = validator(schema);
         async function publish(properties, metadata) {
             const result = await useLoader("sst.bus.publish", async (input) => {
+                if (isLocalBackend()) {
+                    // Like below, the loader rejects the entries that failed
+                    const settled = await Promise.allSettled(input.map((entry) => callLocalBackend("EventBus", entry.EventBusName, "publish", {
+                        entries: [
+                            {
+                                source: entry.Source,
+                                detailType: entry.DetailType,
+                                detail: entry.Detail,
+                            },
+                        ],
+                    })));
+                    return settled.map((item) => item.status === "rejected" ? item.reason : item.value);
+                }
                 const size = 10;
                 const promises = [];
                 for (let i = 0; i < input.length; i += size) {
@@ -1,4 +1,5 @@
 import { SignerOptions } from "fast-jwt";
+import type { ApiMiddleware } from "../../api/index.js";
 export interface SessionTypes {
     public: {};
 }
@@ -8,7 +9,28 @@ export type SessionValue = {
         properties: SessionTypes[type];
     };
 }[keyof SessionTypes];
+/**
+ * Returns the raw session token of the current request, if there is one
+ *
+ * @example
+ * ```js
+ * const token = useSessionToken();
+ * ```
+ */
+export declare function useSessionToken(): string | undefined;
 export declare function useSession<T = SessionValue>(): T;
+/**
+ * ApiHandler middleware that responds with a 401 unless the request has a
+ * valid session, of one of the given types if any are passed in
+ *
+ * @example
+ * ```js
+ * export const handler = ApiHandler.use(requireSession("user"))(async () => {
+ *   const session = useSession();
+ * });
+ * ```
+ */
+export declare function requireSession(...types: Exclude<keyof SessionTypes, "public">[]): ApiMiddleware;
 /**
  * Creates a new session token with provided information
  *
@@ -1,10 +1,10 @@
 import { createSigner, createVerifier } from "fast-jwt";
 import { Context } from "../../../context/context2.js";
-import { useCookie, useHeader } from "../../api/index.js";
+import { Response, useCookie, useHeader } from "../../api/index.js";
 import { Auth } from "../../auth/index.js";
 import { Config } from "../../config/index.js";
 import { useContextType } from "../../../context/handler.js";
-const SessionMemo = /* @__PURE__ */ Context.memo(() => {
+const TokenMemo = /* @__PURE__ */ Context.memo(() => {
     // Get the context type and hooks that match that type
     let token = "";
     // Websockets don't lowercase headers
@@ -24,6 +24,21 @@ const SessionMemo = /* @__PURE__ */ Context.memo(() => {
         : undefined;
     if (wsProtocol)
         token = wsProtocol.split(",")[0].trim();
+    return token || undefined;
+});
+/**
+ * Returns the raw session token of the current request, if there is one
+ *
+ * @example
+ * ```js
+ * const token = useSessionToken();
+ * ```
+ */
+export function useSessionToken() {
+    return TokenMemo();
+}
+const SessionMemo = /* @__PURE__ */ Context.memo(() => {
+    const token = TokenMemo();
     if (token) {
         return Session.verify(token);
     }
@@ -37,6 +52,32 @@ export function useSession() {
     const ctx = SessionMemo();
     return ctx;
 }
+/**
+ * ApiHandler middleware that responds with a 401 unless the request has a
+ * valid session, of one of the given types if any are passed in
+ *
+ * @example
+ * ```js
+ * export const handler = ApiHandler.use(requireSession("user"))(async () => {
+ *   const session = useSession();
+ * });
+ * ```
+ */
+export function requireSession(...types) {
+    return () => {
+        const session = useSession();
+        if (session.type !== "public" &&
+            (types.length === 0 || types.includes(session.type)))
+            return;
+        throw new Response({
+            statusCode: 401,
+            headers: {
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({ error: "Unauthorized" }),
+        });
+    };
+}
 function getPublicKey() {
     // This is the auth function accessing the public key
     if (process.env.AUTH_ID) {
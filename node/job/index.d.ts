@@ -1,8 +1,46 @@
+import type { Context as LambdaContext } from "aws-lambda";
 export interface JobTypes {
 }
+/**
+ * The values returned by job handlers, keyed by job name.
+ */
+export interface JobResultTypes {
+}
 export type JobRunProps<T extends keyof JobTypes> = {
     payload?: JobTypes[T];
 };
+export type JobScheduleProps<T extends keyof JobTypes> = {
+    /**
+     * When to run the job. Runs are accurate to the minute.
+     */
+    at: Date;
+    payload?: JobTypes[T];
+};
+export type JobStatus = "running" | "succeeded" | "failed" | "cancelled";
+export type JobRun<T extends keyof JobTypes> = {
+    jobId: string;
+    status: JobStatus;
+    createdAt: string;
+    updatedAt?: string;
+    finishedAt?: string;
+    /**
+     * When a run in Lambda, ie. in `sst dev`, is marked as failed if it has
+     * not reported back.
+     */
+    deadline?: string;
+    /**
+     * The last value passed to `progress` in the handler.
+     */
+    progress?: any;
+    /**
+     * The value returned by the handler once the job has succeeded.
+     */
+    result?: T extends keyof JobResultTypes ? JobResultTypes[T] : unknown;
+    /**
+     * The error message when the handler failed.
+     */
+    error?: string;
+};
 export type JobType = {
     [T in keyof JobTypes]: ReturnType<typeof JobControl<T>>;
 };
@@ -11,10 +49,65 @@ declare function JobControl<Name extends keyof JobTypes>(name: Name, vars: Recor
     run(props: JobRunProps<Name>): Promise<{
         jobId: string;
     }>;
+    /**
+     * Stops the run and marks it as cancelled. Throws for runs in Lambda, ie.
+     * in `sst dev`, since those cannot be stopped.
+     */
     cancel(jobId: string): Promise<void>;
+    /**
+     * Runs the job once at the given time using EventBridge Scheduler. The
+     * schedule is deleted after it runs.
+     *
+     * @example
+     * ```ts
+     * await Job.MyJob.schedule({
+     *   at: new Date("2024-01-01T00:00:00Z"),
+     *   payload: { title: "Happy new year" },
+     * });
+     * ```
+     */
+    schedule(props: JobScheduleProps<Name>): Promise<{
+        scheduleName: string;
+    }>;
+    /**
+     * Runs the job once after the given number of seconds.
+     */
+    runAfter(seconds: number, payload?: JobTypes[Name]): Promise<{
+        scheduleName: string;
+    }>;
+    /**
+     * Returns `undefined` when there is no run with the given id.
+     */
+    status(jobId: string): Promise<JobRun<Name> | undefined>;
+    /**
+     * Polls the run until it is no longer running.
+     */
+    wait(jobId: string, opts?: {
+        /**
+         * The number of seconds to wait for before throwing.
+         *
+         * @default 900
+         */
+        timeout?: number;
+        /**
+         * The number of seconds between checks.
+         *
+         * @default 5
+         */
+        interval?: number;
+    }): Promise<JobRun<Name>>;
+    /**
+     * Lists the runs of the last 30 days, most recent first.
+     */
+    list(opts?: {
+        status?: JobStatus;
+        limit?: number;
+    }): Promise<JobRun<Name>[]>;
 };
 /**
- * Create a new job handler.
+ * Create a new job handler. The value returned by the handler is stored as
+ * the result of the run, and `progress` can be called to report on a long
+ * running job. Both can be read back with `Job.MyJob.status(jobId)`.
  *
  * @example
  * ```ts
@@ -26,10 +119,19 @@ declare function JobControl<Name extends keyof JobTypes>(name: Name, vars: Recor
  *   }
  * }
  *
- * export const handler = JobHandler("MyJob", async (payload) => {
+ * export const handler = JobHandler("MyJob", async (payload, { progress }) => {
  *   console.log(payload.title);
+ *   await progress({ percent: 50 });
+ *   return { done: true };
  * })
  * ```
  */
-export declare function JobHandler<C extends keyof JobTypes>(name: C, cb: (payload: JobTypes[C]) => void): (event: any) => void;
+export declare function JobHandler<C extends keyof JobTypes>(name: C, cb: (payload: JobTypes[C], ctx: {
+    jobId: string;
+    /**
+     * Stores a progress update that can be read back with `status`. Results
+     * and progress updates are limited to 400 KB.
+     */
+    progress(progress: any): Promise<void>;
+}) => Promise<C extends keyof JobResultTypes ? JobResultTypes[C] : any> | (C extends keyof JobResultTypes ? JobResultTypes[C] : any)): (event: any, context?: LambdaContext) => Promise<any>;
 export {};
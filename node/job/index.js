@@ -1,6 +1,14 @@
+import crypto from "crypto";
 import { createProxy, getVariables2 } from "../util/index.js";
 import { InvokeCommand, LambdaClient } from "@aws-sdk/client-lambda";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { SchedulerClient, CreateScheduleCommand, } from "@aws-sdk/client-scheduler";
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, QueryCommand, } from "@aws-sdk/lib-dynamodb";
 const lambda = new LambdaClient({});
+const dynamo = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const scheduler = new SchedulerClient({});
+// Runs are kept around for 30 days
+const RETENTION = 30 * 24 * 60 * 60;
 export const Job = /* @__PURE__ */ (() => {
     const result = createProxy("Job");
     const vars = getVariables2("Job");
@@ -12,35 +20,196 @@ export const Job = /* @__PURE__ */ (() => {
 })();
 function JobControl(name, vars) {
     const functionName = vars.functionName;
+    const tableName = vars.tableName;
+    async function invoke(payload, action) {
+        const ret = await lambda.send(new InvokeCommand({
+            FunctionName: functionName,
+            Payload: Buffer.from(JSON.stringify(payload)),
+        }));
+        if (ret.FunctionError) {
+            throw new Error(`Failed to ${action} the "${name}" job. Error: ${ret.FunctionError}`);
+        }
+        return JSON.parse(Buffer.from(ret.Payload).toString() || "null");
+    }
+    // Jobs that crash, time out or run in a container cannot report back, so
+    // check the runs that still look like they are running with the manager.
+    // Lambda runs cannot be looked up, they fail once past their deadline.
+    async function reconcile(runs) {
+        const running = runs.filter((run) => run.status === "running");
+        if (!running.length)
+            return runs;
+        const now = new Date().toISOString();
+        const statuses = Object.fromEntries(running
+            .filter((run) => run.deadline && run.deadline < now)
+            .map((run) => [
+            run.jobId,
+            { status: "failed", finishedAt: run.deadline },
+        ]));
+        const unknown = running.filter((run) => !run.deadline);
+        for (let i = 0; i < unknown.length; i += 100) {
+            Object.assign(statuses, await invoke({
+                action: "status",
+                jobIds: unknown.slice(i, i + 100).map((run) => run.jobId),
+            }, "check"));
+        }
+        return Promise.all(runs.map(async (run) => {
+            const latest = statuses[run.jobId];
+            if (run.status !== "running" || !latest || latest.status === "running")
+                return run;
+            // Reread in case the handler reported back in the meantime
+            const item = await finish(run.jobId, {
+                status: latest.status,
+                finishedAt: latest.finishedAt,
+            });
+            return item || (await get(run.jobId)) || run;
+        }));
+    }
+    async function get(jobId) {
+        const ret = await dynamo.send(new GetCommand({
+            TableName: tableName,
+            Key: { jobId },
+        }));
+        return ret.Item;
+    }
+    async function finish(jobId, values) {
+        try {
+            const ret = await dynamo.send(new UpdateCommand({
+                TableName: tableName,
+                Key: { jobId },
+                UpdateExpression: "SET #status = :status, finishedAt = :finishedAt",
+                ConditionExpression: "#status = :running",
+                ExpressionAttributeNames: { "#status": "status" },
+                ExpressionAttributeValues: {
+                    ":status": values.status,
+                    ":finishedAt": values.finishedAt || new Date().toISOString(),
+                    ":running": "running",
+                },
+                ReturnValues: "ALL_NEW",
+            }));
+            return ret.Attributes;
+        }
+        catch (e) {
+            if (e.name === "ConditionalCheckFailedException")
+                return;
+            throw e;
+        }
+    }
+    async function schedule(props) {
+        const scheduleName = `${props.at.getTime()}-${crypto
+            .randomBytes(4)
+            .toString("hex")}`;
+        await scheduler.send(new CreateScheduleCommand({
+            Name: scheduleName,
+            GroupName: vars.scheduleGroup,
+            // Scheduler does not accept milliseconds or a timezone offset
+            ScheduleExpression: `at(${props.at.toISOString().substring(0, 19)})`,
+            ScheduleExpressionTimezone: "UTC",
+            FlexibleTimeWindow: { Mode: "OFF" },
+            ActionAfterCompletion: "DELETE",
+            Target: {
+                Arn: vars.functionArn,
+                RoleArn: vars.scheduleRoleArn,
+                Input: JSON.stringify({ action: "run", payload: props.payload }),
+            },
+        }));
+        return { scheduleName };
+    }
+    async function status(jobId) {
+        const item = await get(jobId);
+        if (!item)
+            return;
+        const [run] = await reconcile([item]);
+        return run;
+    }
     return {
         async run(props) {
             // Invoke the Lambda function
-            const ret = await lambda.send(new InvokeCommand({
-                FunctionName: functionName,
-                Payload: Buffer.from(JSON.stringify({ action: "run", payload: props?.payload })),
-            }));
-            if (ret.FunctionError) {
-                throw new Error(`Failed to invoke the "${name}" job. Error: ${ret.FunctionError}`);
+            const resp = await invoke({ action: "run", payload: props?.payload }, "invoke");
+            const now = new Date();
+            try {
+                await dynamo.send(new PutCommand({
+                    TableName: tableName,
+                    Item: {
+                        jobId: resp.jobId,
+                        kind: "run",
+                        status: "running",
+                        createdAt: now.toISOString(),
+                        expiresAt: Math.floor(now.getTime() / 1000) + RETENTION,
+                        ...(resp.deadline ? { deadline: resp.deadline } : {}),
+                    },
+                    // The job might have already reported back
+                    ConditionExpression: "attribute_not_exists(jobId)",
+                }));
+            }
+            catch (e) {
+                if (e.name !== "ConditionalCheckFailedException")
+                    throw e;
+                if (resp.deadline)
+                    await dynamo.send(new UpdateCommand({
+                        TableName: tableName,
+                        Key: { jobId: resp.jobId },
+                        UpdateExpression: "SET deadline = :deadline",
+                        ExpressionAttributeValues: { ":deadline": resp.deadline },
+                    }));
             }
-            const resp = JSON.parse(Buffer.from(ret.Payload).toString());
             return {
                 jobId: resp.jobId,
             };
         },
         async cancel(jobId) {
             // Invoke the Lambda function
-            const ret = await lambda.send(new InvokeCommand({
-                FunctionName: functionName,
-                Payload: Buffer.from(JSON.stringify({ action: "cancel", jobId })),
-            }));
-            if (ret.FunctionError) {
-                throw new Error(`Failed to cancel the "${name}" job id ${jobId}. Error: ${ret.FunctionError}`);
+            const ret = await invoke({ action: "cancel", jobId }, `cancel job id ${jobId} of`);
+            // Runs in Lambda, ie. in `sst dev`, cannot be stopped
+            if (!ret?.cancelled)
+                throw new Error(`Failed to cancel job id ${jobId} of the "${name}" job. Runs in Lambda cannot be stopped.`);
+            await finish(jobId, { status: "cancelled" });
+        },
+        schedule,
+        async runAfter(seconds, payload) {
+            return schedule({
+                at: new Date(Date.now() + seconds * 1000),
+                payload,
+            });
+        },
+        status,
+        async wait(jobId, opts) {
+            const timeout = opts?.timeout ?? 15 * 60;
+            const interval = opts?.interval ?? 5;
+            const deadline = Date.now() + timeout * 1000;
+            while (true) {
+                const run = await status(jobId);
+                if (run && run.status !== "running")
+                    return run;
+                if (Date.now() + interval * 1000 > deadline)
+                    throw new Error(`Timed out waiting for job id ${jobId} of the "${name}" job`);
+                await new Promise((resolve) => setTimeout(resolve, interval * 1000));
             }
         },
+        async list(opts) {
+            const runs = [];
+            let startKey;
+            do {
+                const ret = await dynamo.send(new QueryCommand({
+                    TableName: tableName,
+                    IndexName: "CreatedAt",
+                    KeyConditionExpression: "kind = :kind",
+                    ExpressionAttributeValues: { ":kind": "run" },
+                    ScanIndexForward: false,
+                    ExclusiveStartKey: startKey,
+                }));
+                // Reconcile before filtering, running runs might have failed
+                const page = await reconcile(ret.Items || []);
+                runs.push(...page.filter((run) => !opts?.status || run.status === opts.status));
+                startKey = ret.LastEvaluatedKey;
+            } while (startKey && (!opts?.limit || runs.length < opts.limit));
+            return runs.slice(0, opts?.limit);
+        },
     };
 }
 /**
- * Create a new job handler.
+ * Create a new job handler. The value returned by the handler is stored as
+ * the result of the run, and `progress` can be called to report on a long
+ * running job. Both can be read back with `Job.MyJob.status(jobId)`.
  *
  * @example
  * ```ts
@@ -52,13 +221,85 @@ function JobControl(name, vars) {
  *   }
  * }
  *
- * export const handler = JobHandler("MyJob", async (payload) => {
+ * export const handler = JobHandler("MyJob", async (payload, { progress }) => {
  *   console.log(payload.title);
+ *   await progress({ percent: 50 });
+ *   return { done: true };
  * })
  * ```
  */
 export function JobHandler(name, cb) {
-    return function handler(event) {
-        return cb(event);
+    return async function handler(event, context) {
+        const tableName = process.env.SST_JOB_TABLE;
+        // CodeBuild runs are identified by the build, Lambda runs by the
+        // request id the manager got back when it invoked the job, and runs in
+        // a Docker container in `sst dev` by the request id passed in
+        const jobId = process.env.CODEBUILD_BUILD_ID ||
+            process.env.SST_JOB_ID ||
+            context?.awsRequestId;
+        // Returns false when the run was already finished, ie. it was cancelled
+        // or timed out, so a late update does not overwrite its status
+        async function update(values) {
+            if (!tableName || !jobId)
+                return true;
+            const now = new Date();
+            const entries = Object.entries({
+                ...values,
+                updatedAt: now.toISOString(),
+                expiresAt: Math.floor(now.getTime() / 1000) + RETENTION,
+            });
+            try {
+                await dynamo.send(new UpdateCommand({
+                    TableName: tableName,
+                    Key: { jobId },
+                    UpdateExpression: `SET ${entries
+                        .map((_, index) => `#k${index} = :v${index}`)
+                        .join(", ")}, createdAt = if_not_exists(createdAt, :now), kind = :kind`,
+                    ConditionExpression: "attribute_not_exists(jobId) OR #status = :running",
+                    ExpressionAttributeNames: {
+                        ...Object.fromEntries(entries.map(([key], index) => [`#k${index}`, key])),
+                        "#status": "status",
+                    },
+                    ExpressionAttributeValues: {
+                        ...Object.fromEntries(entries.map(([_, value], index) => [`:v${index}`, value])),
+                        ":now": now.toISOString(),
+                        ":kind": "run",
+                        ":running": "running",
+                    },
+                }));
+                return true;
+            }
+            catch (e) {
+                if (e.name === "ConditionalCheckFailedException")
+                    return false;
+                throw e;
+            }
+        }
+        if (!(await update({ status: "running" }))) {
+            console.log(`Job id ${jobId} was already finished, skipping`);
+            return;
+        }
+        try {
+            const result = await cb(event, {
+                jobId: jobId,
+                progress: async (progress) => {
+                    await update({ progress });
+                },
+            });
+            await update({
+                status: "succeeded",
+                result: result ?? null,
+                finishedAt: new Date().toISOString(),
+            });
+            return result;
+        }
+        catch (e) {
+            await update({
+                status: "failed",
+                error: e instanceof Error ? e.message : String(e),
+                finishedAt: new Date().toISOString(),
+            });
+            throw e;
+        }
     };
 }
@@ -1,3 +1,40 @@
+import { KinesisStreamRecord, KinesisStreamEvent, KinesisStreamBatchResponse, Context as LambdaContext } from "aws-lambda";
 export interface KinesisStreamResources {
 }
-export declare const KinesisStream: KinesisStreamResources;
+export type KinesisStreamType = {
+    [T in keyof KinesisStreamResources]: KinesisStreamResources[T] & ReturnType<typeof KinesisStreamControl>;
+};
+export declare const KinesisStream: KinesisStreamType;
+declare function KinesisStreamControl(name: string, vars: Record<string, string>): {
+    /**
+     * Puts a record on the stream. Records put at the same time are batched
+     * together.
+     */
+    put(data: string | Uint8Array | object, opts?: {
+        /**
+         * Records with the same partition key go to the same shard.
+         *
+         * @default A random key
+         */
+        partitionKey?: string;
+    }): Promise<{
+        sequenceNumber: string;
+        shardId: string;
+    }>;
+};
+/**
+ * Create a new stream consumer that is called once for every record in order.
+ * Processing stops at the first record that throws and it is reported back in
+ * `batchItemFailures` so the stream is retried from there. Partial retries
+ * require `reportBatchItemFailures` to be enabled on the consumer's
+ * `eventSource`.
+ *
+ * @example
+ * ```ts
+ * export const handler = KinesisHandler(async (record) => {
+ *   const data = Buffer.from(record.kinesis.data, "base64").toString();
+ * });
+ * ```
+ */
+export declare function KinesisHandler(cb: (record: KinesisStreamRecord, ctx: LambdaContext) => Promise<void>): (event: KinesisStreamEvent, context: LambdaContext) => Promise<KinesisStreamBatchResponse>;
+export {};
@@ -1,3 +1,66 @@
-import { createProxy } from "../util/index.js";
-export const KinesisStream = 
-/* @__PURE__ */ createProxy("KinesisStream");
+import crypto from "crypto";
+import { Handler } from "../../context/handler.js";
+import { batchResponse, processRecords } from "../util/batch.js";
+import { KinesisClient, PutRecordsCommand } from "@aws-sdk/client-kinesis";
+import { createProxy, getVariables2 } from "../util/index.js";
+import { batchInChunks, useLoader } from "../util/loader.js";
+const kinesis = new KinesisClient({});
+export const KinesisStream = /* @__PURE__ */ (() => {
+    const result = createProxy("KinesisStream");
+    const vars = getVariables2("KinesisStream");
+    Object.keys(vars).forEach((name) => {
+        // @ts-expect-error
+        result[name] = {
+            ...vars[name],
+            ...KinesisStreamControl(name, vars[name]),
+        };
+    });
+    return result;
+})();
+function KinesisStreamControl(name, vars) {
+    const streamName = vars.streamName;
+    return {
+        async put(data, opts) {
+            const body = typeof data === "string" || data instanceof Uint8Array
+                ? data
+                : JSON.stringify(data);
+            return useLoader(`sst.kinesis.put.${name}`, (entries) => batchInChunks(entries, 500, async (chunk) => {
+                const ret = await kinesis.send(new PutRecordsCommand({
+                    StreamName: streamName,
+                    Records: chunk,
+                }));
+                return (ret.Records || []).map((record) => record.ErrorCode
+                    ? new Error(`Failed to put a record to the "${name}" stream. Error: ${record.ErrorMessage}`)
+                    : {
+                        sequenceNumber: record.SequenceNumber,
+                        shardId: record.ShardId,
+                    });
+            }))({
+                Data: Buffer.from(body),
+                PartitionKey: opts?.partitionKey ?? crypto.randomUUID(),
+            });
+        },
+    };
+}
+/**
+ * Create a new stream consumer that is called once for every record in order.
+ * Processing stops at the first record that throws and it is reported back in
+ * `batchItemFailures` so the stream is retried from there. Partial retries
+ * require `reportBatchItemFailures` to be enabled on the consumer's
+ * `eventSource`.
+ *
+ * @example
+ * ```ts
+ * export const handler = KinesisHandler(async (record) => {
+ *   const data = Buffer.from(record.kinesis.data, "base64").toString();
+ * });
+ * ```
+ */
+export function KinesisHandler(cb) {
+    return Handler("kinesis", async (evt, ctx) => {
+        const result = await processRecords(evt.Records, (record) => cb(record, ctx), {
+            ordered: true,
+        });
+        return batchResponse(evt.Records, result, (record) => record.kinesis.sequenceNumber);
+    });
+}
@@ -1,3 +1,86 @@
+import { SQSRecord, SQSEvent, SQSBatchResponse, Context as LambdaContext } from "aws-lambda";
 export interface QueueResources {
 }
-export declare const Queue: QueueResources;
+export interface QueueSendOptions {
+    /**
+     * The number of seconds to delay the message for.
+     */
+    delaySeconds?: number;
+    attributes?: Record<string, any>;
+    /**
+     * The message group of a FIFO queue.
+     */
+    groupId?: string;
+    /**
+     * The deduplication id of a FIFO queue. Required unless content based
+     * deduplication is enabled.
+     */
+    deduplicationId?: string;
+}
+export interface QueueMessage {
+    messageId: string;
+    /**
+     * Pass to `delete` once the message has been processed.
+     */
+    receiptHandle: string;
+    body: string;
+    attributes: Record<string, any>;
+}
+export type QueueType = {
+    [T in keyof QueueResources]: QueueResources[T] & ReturnType<typeof QueueControl>;
+};
+export declare const Queue: QueueType;
+declare function QueueControl(name: string, vars: Record<string, string>): {
+    /**
+     * Sends a message to the queue. Messages sent at the same time are
+     * batched together.
+     */
+    send(body: string | object, opts?: QueueSendOptions): Promise<{
+        messageId: string;
+    }>;
+    sendBatch(messages: (QueueSendOptions & {
+        body: string | object;
+    })[]): Promise<{
+        messageId: string;
+    }[]>;
+    /**
+     * Receives messages from a queue that has no consumer. The messages are
+     * hidden for the visibility timeout and delivered again unless they are
+     * deleted before then.
+     *
+     * @example
+     * ```ts
+     * for (const message of await Queue.myQueue.receive({ max: 10 })) {
+     *   await process(message);
+     *   await Queue.myQueue.delete(message.receiptHandle);
+     * }
+     * ```
+     */
+    receive(opts?: {
+        max?: number;
+        /**
+         * Seconds the messages are hidden for, defaults to the queue's visibility timeout.
+         */
+        visibilityTimeout?: number;
+    }): Promise<QueueMessage[]>;
+    /**
+     * Deletes a received message so it is not delivered again. Messages
+     * deleted at the same time are batched together.
+     */
+    delete(receiptHandle: string): Promise<void>;
+};
+/**
+ * Create a new queue consumer that is called once for every message in the batch.
+ * Messages that throw are reported back as `batchItemFailures` so only they are
+ * retried. Partial retries require `reportBatchItemFailures` to be enabled on
+ * the consumer's `eventSource`.
+ *
+ * @example
+ * ```ts
+ * export const handler = QueueHandler(async (message) => {
+ *   const body = JSON.parse(message.body);
+ * });
+ * ```
+ */
+export declare function QueueHandler(cb: (record: SQSRecord, ctx: LambdaContext) => Promise<void>): (event: SQSEvent, context: LambdaContext) => Promise<SQSBatchResponse>;
+export {};
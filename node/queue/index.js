@@ -1,2 +1,139 @@
-import { createProxy } from "../util/index.js";
-export const Queue = /* @__PURE__ */ createProxy("Queue");
+import { Handler } from "../../context/handler.js";
+import { batchResponse, processRecords } from "../util/batch.js";
+import { SQSClient, SendMessageBatchCommand, ReceiveMessageCommand, DeleteMessageBatchCommand, } from "@aws-sdk/client-sqs";
+import { createProxy, getVariables2 } from "../util/index.js";
+import { fromMessageAttributes, toMessageAttributes, } from "../util/attributes.js";
+import { batchInChunks, useLoader } from "../util/loader.js";
+import { callLocalBackend, isLocalBackend } from "../util/local.js";
+const sqs = new SQSClient({});
+export const Queue = /* @__PURE__ */ (() => {
+    const result = createProxy("Queue");
+    const vars = getVariables2("Queue");
+    Object.keys(vars).forEach((name) => {
+        // @ts-expect-error
+        result[name] = {
+            ...vars[name],
+            ...(isLocalBackend()
+                ? LocalQueueControl(name)
+                : QueueControl(name, vars[name])),
+        };
+    });
+    return result;
+})();
+function QueueControl(name, vars) {
+    const queueUrl = vars.queueUrl;
+    async function send(body, opts) {
+        return useLoader(`sst.queue.send.${name}`, (entries) => batchInChunks(entries, 10, async (chunk) => {
+            const ret = await sqs.send(new SendMessageBatchCommand({
+                QueueUrl: queueUrl,
+                Entries: chunk.map((entry, index) => ({
+                    ...entry,
+                    Id: index.toString(),
+                })),
+            }));
+            return chunk.map((_, index) => {
+                const id = index.toString();
+                const success = ret.Successful?.find((item) => item.Id === id);
+                if (success)
+                    return { messageId: success.MessageId };
+                const failure = ret.Failed?.find((item) => item.Id === id);
+                return new Error(`Failed to send a message to the "${name}" queue. Error: ${failure?.Message}`);
+            });
+        }))({
+            MessageBody: typeof body === "string" ? body : JSON.stringify(body),
+            DelaySeconds: opts?.delaySeconds,
+            MessageAttributes: toMessageAttributes(opts?.attributes),
+            MessageGroupId: opts?.groupId,
+            MessageDeduplicationId: opts?.deduplicationId,
+        });
+    }
+    return {
+        send,
+        async sendBatch(messages) {
+            return Promise.all(messages.map(({ body, ...opts }) => send(body, opts)));
+        },
+        async receive(opts) {
+            const ret = await sqs.send(new ReceiveMessageCommand({
+                QueueUrl: queueUrl,
+                MaxNumberOfMessages: opts?.max || 1,
+                VisibilityTimeout: opts?.visibilityTimeout,
+                MessageAttributeNames: ["All"],
+            }));
+            return (ret.Messages || []).map((message) => ({
+                messageId: message.MessageId,
+                receiptHandle: message.ReceiptHandle,
+                body: message.Body,
+                attributes: fromMessageAttributes(message.MessageAttributes),
+            }));
+        },
+        async delete(receiptHandle) {
+            await useLoader(`sst.queue.delete.${name}`, (handles) => batchInChunks(handles, 10, async (chunk) => {
+                const ret = await sqs.send(new DeleteMessageBatchCommand({
+                    QueueUrl: queueUrl,
+                    Entries: chunk.map((handle, index) => ({
+                        Id: index.toString(),
+                        ReceiptHandle: handle,
+                    })),
+                }));
+                return chunk.map((_, index) => {
+                    const failure = ret.Failed?.find((item) => item.Id === index.toString());
+                    return failure
+                        ? new Error(`Failed to delete a message from the "${name}" queue. Error: ${failure.Message}`)
+                        : undefined;
+                });
+            }))(receiptHandle);
+        },
+    };
+}
+function LocalQueueControl(name) {
+    async function send(messages) {
+        const { messageIds } = await callLocalBackend("Queue", name, "send", {
+            messages: messages.map(({ body, ...opts }) => ({
+                body: typeof body === "string" ? body : JSON.stringify(body),
+                delaySeconds: opts.delaySeconds,
+                attributes: opts.attributes,
+            })),
+        });
+        return messageIds.map((messageId) => ({ messageId }));
+    }
+    return {
+        async send(body, opts) {
+            const [result] = await send([{ ...opts, body }]);
+            return result;
+        },
+        sendBatch: send,
+        async receive(opts) {
+            const { messages } = await callLocalBackend("Queue", name, "receive", {
+                max: opts?.max,
+                visibilityTimeout: opts?.visibilityTimeout,
+            });
+            return messages;
+        },
+        async delete(receiptHandle) {
+            await callLocalBackend("Queue", name, "delete", { receiptHandle });
+        },
+    };
+}
+/**
+ * Create a new queue consumer that is called once for every message in the batch.
+ * Messages that throw are reported back as `batchItemFailures` so only they are
+ * retried. Partial retries require `reportBatchItemFailures` to be enabled on
+ * the consumer's `eventSource`.
+ *
+ * @example
+ * ```ts
+ * export const handler = QueueHandler(async (message) => {
+ *   const body = JSON.parse(message.body);
+ * });
+ * ```
+ */
+export function QueueHandler(cb) {
+    return Handler("sqs", async (evt, ctx) => {
+        // FIFO queues need the messages after a failure to be retried as well
+        // to keep them in order
+        const result = await processRecords(evt.Records, (record) => cb(record, ctx), {
+            ordered: evt.Records.some((record) => record.eventSourceARN.endsWith(".fifo")),
+        });
+        return batchResponse(evt.Records, result, (record) => record.messageId);
+    });
+}
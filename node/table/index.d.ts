@@ -1,3 +1,47 @@
+import { DynamoDBRecord, DynamoDBStreamEvent, DynamoDBBatchResponse, Context as LambdaContext } from "aws-lambda";
 export interface TableResources {
 }
-export declare const Table: TableResources;
+export interface TableQueryOptions {
+    /**
+     * Only return items whose sort key starts with this value.
+     */
+    beginsWith?: string;
+    limit?: number;
+    /**
+     * Return items in descending sort key order.
+     */
+    reverse?: boolean;
+}
+export type TableType = {
+    [T in keyof TableResources]: TableResources[T] & ReturnType<typeof TableControl>;
+};
+export declare const Table: TableType;
+declare function TableControl(name: string, vars: Record<string, string>): {
+    /**
+     * Gets an item by its primary key. Items fetched at the same time are
+     * batched together.
+     */
+    get<T = Record<string, any>>(key: Record<string, any>): Promise<T | undefined>;
+    put(item: Record<string, any>): Promise<void>;
+    delete(key: Record<string, any>): Promise<void>;
+    /**
+     * Returns the items matching the partition key, sorted by the sort key.
+     */
+    query<T = Record<string, any>>(key: Record<string, any>, opts?: TableQueryOptions): Promise<T[]>;
+};
+/**
+ * Create a new table stream consumer that is called once for every record in
+ * order. Processing stops at the first record that throws and it is reported
+ * back in `batchItemFailures` so the stream is retried from there. Partial
+ * retries require `reportBatchItemFailures` to be enabled on the consumer's
+ * `eventSource`.
+ *
+ * @example
+ * ```ts
+ * export const handler = TableStreamHandler(async (record) => {
+ *   console.log(record.eventName, record.dynamodb?.Keys);
+ * });
+ * ```
+ */
+export declare function TableStreamHandler(cb: (record: DynamoDBRecord, ctx: LambdaContext) => Promise<void>): (event: DynamoDBStreamEvent, context: LambdaContext) => Promise<DynamoDBBatchResponse>;
+export {};
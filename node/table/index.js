@@ -1,4 +1,156 @@
-import { createProxy } from "../util/index.js";
+import { Handler } from "../../context/handler.js";
+import { batchResponse, processRecords } from "../util/batch.js";
+import { DynamoDBClient, DescribeTableCommand } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, BatchGetCommand, PutCommand, DeleteCommand, QueryCommand, } from "@aws-sdk/lib-dynamodb";
+import { createProxy, getVariables2 } from "../util/index.js";
+import { batchInChunks, useLoader } from "../util/loader.js";
+import { callLocalBackend, isLocalBackend } from "../util/local.js";
+const client = new DynamoDBClient({});
+const dynamo = DynamoDBDocumentClient.from(client);
 export const Table = 
 /* @__PURE__ */
-createProxy("Table");
+(() => {
+    const result = createProxy("Table");
+    const vars = getVariables2("Table");
+    Object.keys(vars).forEach((name) => {
+        // @ts-expect-error
+        result[name] = {
+            ...vars[name],
+            ...(isLocalBackend()
+                ? LocalTableControl(name)
+                : TableControl(name, vars[name])),
+        };
+    });
+    return result;
+})();
+function TableControl(name, vars) {
+    const tableName = vars.tableName;
+    let schema;
+    // The key names are only needed for sort key conditions
+    async function useSchema() {
+        if (!schema)
+            schema = client
+                .send(new DescribeTableCommand({ TableName: tableName }))
+                .then((ret) => ({
+                sortKey: ret.Table?.KeySchema?.find((k) => k.KeyType === "RANGE")
+                    ?.AttributeName,
+            }))
+                .catch((e) => {
+                schema = undefined;
+                throw e;
+            });
+        return schema;
+    }
+    return {
+        async get(key) {
+            return useLoader(`sst.table.get.${name}`, (keys) => batchInChunks(keys, 100, async (chunk) => {
+                const items = [];
+                // DynamoDB rejects a batch with the same key twice
+                let requested = [
+                    ...new Map(chunk.map((key) => [
+                        JSON.stringify(Object.entries(key).sort(([a], [b]) => a.localeCompare(b))),
+                        key,
+                    ])).values(),
+                ];
+                // Retry the keys DynamoDB did not get to
+                for (let attempt = 0; requested.length && attempt < 5; attempt++) {
+                    const ret = await dynamo.send(new BatchGetCommand({
+                        RequestItems: {
+                            [tableName]: { Keys: requested },
+                        },
+                    }));
+                    items.push(...(ret.Responses?.[tableName] || []));
+                    requested = ret.UnprocessedKeys?.[tableName]?.Keys || [];
+                }
+                if (requested.length)
+                    throw new Error(`Failed to get ${requested.length} items from the "${name}" table`);
+                // Items come back in no particular order
+                return chunk.map((key) => items.find((item) => Object.entries(key).every(([k, v]) => item[k] === v)));
+            }))(key);
+        },
+        async put(item) {
+            await dynamo.send(new PutCommand({
+                TableName: tableName,
+                Item: item,
+            }));
+        },
+        async delete(key) {
+            await dynamo.send(new DeleteCommand({
+                TableName: tableName,
+                Key: key,
+            }));
+        },
+        async query(key, opts) {
+            const conditions = Object.keys(key).map((_, index) => `#k${index} = :k${index}`);
+            const names = Object.fromEntries(Object.keys(key).map((k, index) => [`#k${index}`, k]));
+            const values = Object.fromEntries(Object.values(key).map((v, index) => [`:k${index}`, v]));
+            if (opts?.beginsWith !== undefined) {
+                const { sortKey } = await useSchema();
+                if (!sortKey)
+                    throw new Error(`The "${name}" table has no sort key`);
+                conditions.push("begins_with(#sk, :sk)");
+                names["#sk"] = sortKey;
+                values[":sk"] = opts.beginsWith;
+            }
+            const items = [];
+            let startKey;
+            do {
+                const ret = await dynamo.send(new QueryCommand({
+                    TableName: tableName,
+                    KeyConditionExpression: conditions.join(" AND "),
+                    ExpressionAttributeNames: names,
+                    ExpressionAttributeValues: values,
+                    ScanIndexForward: !opts?.reverse,
+                    Limit: opts?.limit,
+                    ExclusiveStartKey: startKey,
+                }));
+                items.push(...(ret.Items || []));
+                startKey = ret.LastEvaluatedKey;
+            } while (startKey && (!opts?.limit || items.length < opts.limit));
+            return items.slice(0, opts?.limit);
+        },
+    };
+}
+function LocalTableControl(name) {
+    return {
+        async get(key) {
+            const { item } = await callLocalBackend("Table", name, "get", { key });
+            return item;
+        },
+        async put(item) {
+            await callLocalBackend("Table", name, "put", { item });
+        },
+        async delete(key) {
+            await callLocalBackend("Table", name, "delete", { key });
+        },
+        async query(key, opts) {
+            const { items } = await callLocalBackend("Table", name, "query", {
+                key,
+                ...opts,
+            });
+            return items;
+        },
+    };
+}
+/**
+ * Create a new table stream consumer that is called once for every record in
+ * order. Processing stops at the first record that throws and it is reported
+ * back in `batchItemFailures` so the stream is retried from there. Partial
+ * retries require `reportBatchItemFailures` to be enabled on the consumer's
+ * `eventSource`.
+ *
+ * @example
+ * ```ts
+ * export const handler = TableStreamHandler(async (record) => {
+ *   console.log(record.eventName, record.dynamodb?.Keys);
+ * });
+ * ```
+ */
+export function TableStreamHandler(cb) {
+    return Handler("dynamodb", async (evt, ctx) => {
+        const result = await processRecords(evt.Records, (record) => cb(record, ctx), {
+            ordered: true,
+        });
+        return batchResponse(evt.Records, result, (record) => record.dynamodb.SequenceNumber);
+    });
+}
@@ -1,3 +1,41 @@
+import { SNSEventRecord, SNSEvent, Context as LambdaContext } from "aws-lambda";
 export interface TopicResources {
 }
-export declare const Topic: TopicResources;
+export interface TopicPublishOptions {
+    subject?: string;
+    attributes?: Record<string, any>;
+    /**
+     * The message group of a FIFO topic.
+     */
+    groupId?: string;
+    /**
+     * The deduplication id of a FIFO topic. Required unless content based
+     * deduplication is enabled.
+     */
+    deduplicationId?: string;
+}
+export type TopicType = {
+    [T in keyof TopicResources]: TopicResources[T] & ReturnType<typeof TopicControl>;
+};
+export declare const Topic: TopicType;
+declare function TopicControl(name: string, vars: Record<string, string>): {
+    /**
+     * Publishes a message to the topic. Messages published at the same time
+     * are batched together.
+     */
+    publish(message: string | object, opts?: TopicPublishOptions): Promise<{
+        messageId: string;
+    }>;
+};
+/**
+ * Create a new topic subscriber that is called once for every notification.
+ *
+ * @example
+ * ```ts
+ * export const handler = TopicHandler(async (record) => {
+ *   const message = JSON.parse(record.Sns.Message);
+ * });
+ * ```
+ */
+export declare function TopicHandler(cb: (record: SNSEventRecord, ctx: LambdaContext) => Promise<void>): (event: SNSEvent, context: LambdaContext) => Promise<void>;
+export {};
@@ -1,4 +1,84 @@
-import { createProxy } from "../util/index.js";
+import { Handler } from "../../context/handler.js";
+import { processRecords } from "../util/batch.js";
+import { SNSClient, PublishBatchCommand } from "@aws-sdk/client-sns";
+import { createProxy, getVariables2 } from "../util/index.js";
+import { toMessageAttributes } from "../util/attributes.js";
+import { batchInChunks, useLoader } from "../util/loader.js";
+import { callLocalBackend, isLocalBackend } from "../util/local.js";
+const sns = new SNSClient({});
 export const Topic = 
 /* @__PURE__ */
-createProxy("Topic");
+(() => {
+    const result = createProxy("Topic");
+    const vars = getVariables2("Topic");
+    Object.keys(vars).forEach((name) => {
+        // @ts-expect-error
+        result[name] = {
+            ...vars[name],
+            ...(isLocalBackend()
+                ? LocalTopicControl(name)
+                : TopicControl(name, vars[name])),
+        };
+    });
+    return result;
+})();
+function TopicControl(name, vars) {
+    const topicArn = vars.topicArn;
+    return {
+        async publish(message, opts) {
+            return useLoader(`sst.topic.publish.${name}`, (entries) => batchInChunks(entries, 10, async (chunk) => {
+                const ret = await sns.send(new PublishBatchCommand({
+                    TopicArn: topicArn,
+                    PublishBatchRequestEntries: chunk.map((entry, index) => ({
+                        ...entry,
+                        Id: index.toString(),
+                    })),
+                }));
+                return chunk.map((_, index) => {
+                    const id = index.toString();
+                    const success = ret.Successful?.find((item) => item.Id === id);
+                    if (success)
+                        return { messageId: success.MessageId };
+                    const failure = ret.Failed?.find((item) => item.Id === id);
+                    return new Error(`Failed to publish to the "${name}" topic. Error: ${failure?.Message}`);
+                });
+            }))({
+                Message: typeof message === "string" ? message : JSON.stringify(message),
+                Subject: opts?.subject,
+                MessageAttributes: toMessageAttributes(opts?.attributes),
+                MessageGroupId: opts?.groupId,
+                MessageDeduplicationId: opts?.deduplicationId,
+            });
+        },
+    };
+}
+function LocalTopicControl(name) {
+    return {
+        async publish(message, opts) {
+            return callLocalBackend("Topic", name, "publish", {
+                message: typeof message === "string" ? message : JSON.stringify(message),
+                subject: opts?.subject,
+                attributes: opts?.attributes,
+            });
+        },
+    };
+}
+/**
+ * Create a new topic subscriber that is called once for every notification.
+ *
+ * @example
+ * ```ts
+ * export const handler = TopicHandler(async (record) => {
+ *   const message = JSON.parse(record.Sns.Message);
+ * });
+ * ```
+ */
+export function TopicHandler(cb) {
+    return Handler("sns", async (evt, ctx) => {
+        const result = await processRecords(evt.Records, (record) => cb(record, ctx), {
+            ordered: false,
+        });
+        if (result.error)
+            throw result.error;
+    });
+}
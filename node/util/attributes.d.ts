@@ -0,0 +1,11 @@
+type MessageAttribute = {
+    DataType: string;
+    StringValue?: string;
+};
+/**
+ * Converts plain values to the message attributes shared by SQS and SNS.
+ * Numbers are sent as `Number`, everything else as a `String`.
+ */
+export declare function toMessageAttributes(attributes?: Record<string, any>): Record<string, MessageAttribute> | undefined;
+export declare function fromMessageAttributes(attributes?: Record<string, MessageAttribute>): Record<string, any>;
+export {};
@@ -0,0 +1,23 @@
+/**
+ * Converts plain values to the message attributes shared by SQS and SNS.
+ * Numbers are sent as `Number`, everything else as a `String`.
+ */
+export function toMessageAttributes(attributes) {
+    if (!attributes)
+        return;
+    return Object.fromEntries(Object.entries(attributes).map(([key, value]) => [
+        key,
+        typeof value === "number"
+            ? { DataType: "Number", StringValue: value.toString() }
+            : {
+                DataType: "String",
+                StringValue: typeof value === "string" ? value : JSON.stringify(value),
+            },
+    ]));
+}
+export function fromMessageAttributes(attributes) {
+    return Object.fromEntries(Object.entries(attributes || {}).map(([key, value]) => [
+        key,
+        value.DataType === "Number" ? Number(value.StringValue) : value.StringValue,
+    ]));
+}
@@ -0,0 +1,24 @@
+/**
+ * Runs the callback once per record and collects the records that failed.
+ * When the records have to be processed in order, everything after the first
+ * failure is skipped and reported as failed so it gets retried.
+ */
+export declare function processRecords<Record>(records: Record[], cb: (record: Record) => Promise<void>, opts: {
+    ordered: boolean;
+}): Promise<{
+    failed: Record[];
+    error: unknown;
+}>;
+/**
+ * Builds a partial batch response. When every record failed the first error
+ * is thrown instead so the whole batch is retried, even if the event source
+ * was not configured with `reportBatchItemFailures`.
+ */
+export declare function batchResponse<Record>(records: Record[], result: {
+    failed: Record[];
+    error: unknown;
+}, identifier: (record: Record) => string): {
+    batchItemFailures: {
+        itemIdentifier: string;
+    }[];
+};
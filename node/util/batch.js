@@ -0,0 +1,38 @@
+/**
+ * Runs the callback once per record and collects the records that failed.
+ * When the records have to be processed in order, everything after the first
+ * failure is skipped and reported as failed so it gets retried.
+ */
+export async function processRecords(records, cb, opts) {
+    const failed = [];
+    let error;
+    for (const record of records) {
+        if (error && opts.ordered) {
+            failed.push(record);
+            continue;
+        }
+        try {
+            await cb(record);
+        }
+        catch (e) {
+            console.error(e);
+            error = error ?? e;
+            failed.push(record);
+        }
+    }
+    return { failed, error };
+}
+/**
+ * Builds a partial batch response. When every record failed the first error
+ * is thrown instead so the whole batch is retried, even if the event source
+ * was not configured with `reportBatchItemFailures`.
+ */
+export function batchResponse(records, result, identifier) {
+    if (result.error && result.failed.length === records.length)
+        throw result.error;
+    return {
+        batchItemFailures: result.failed.map((record) => ({
+            itemIdentifier: identifier(record),
+        })),
+    };
+}
@@ -1,2 +1,7 @@
 export declare function createLoader<Key, Value>(batchFn: (keys: Key[]) => Promise<Value[]>): (key: Key) => Promise<Value>;
 export declare function useLoader<Key, Value>(key: any, batchFn: (keys: Key[]) => Promise<Value[]>): (key: Key) => Promise<Value>;
+/**
+ * Splits the keys of a batch into chunks that fit in a single request. Keys
+ * in a chunk that failed resolve to the error.
+ */
+export declare function batchInChunks<Key, Value>(keys: Key[], size: number, fn: (chunk: Key[]) => Promise<(Value | Error)[]>): Promise<(Value | Error)[]>;
@@ -50,3 +50,25 @@ export function useLoader(key, batchFn) {
     loaders.set(key, loader);
     return loader;
 }
+/**
+ * Splits the keys of a batch into chunks that fit in a single request. Keys
+ * in a chunk that failed resolve to the error.
+ */
+export async function batchInChunks(keys, size, fn) {
+    const result = new Array(keys.length);
+    const chunks = [];
+    for (let i = 0; i < keys.length; i += size) {
+        chunks.push(i);
+    }
+    await Promise.all(chunks.map(async (start) => {
+        const chunk = keys.slice(start, start + size);
+        try {
+            const values = await fn(chunk);
+            values.forEach((value, index) => (result[start + index] = value));
+        }
+        catch (e) {
+            chunk.forEach((_, index) => (result[start + index] = e));
+        }
+    }));
+    return result;
+}
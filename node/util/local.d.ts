@@ -0,0 +1,10 @@
+/**
+ * Whether bound resources are backed by the local emulator started by
+ * `sst dev --local --emulate`
+ */
+export declare function isLocalBackend(): boolean;
+export declare function callLocalBackend<T = any>(constructName: string, id: string, action: string, input?: any): Promise<T>;
+export declare class LocalBackendError extends Error {
+    status: number;
+    constructor(status: number, message: string);
+}
@@ -0,0 +1,28 @@
+/**
+ * Whether bound resources are backed by the local emulator started by
+ * `sst dev --local --emulate`
+ */
+export function isLocalBackend() {
+    return Boolean(process.env.SST_LOCAL_BACKEND_URL);
+}
+export async function callLocalBackend(constructName, id, action, input) {
+    const response = await fetch(`${process.env.SST_LOCAL_BACKEND_URL}/${constructName}/${id}/${action}`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+        },
+        body: JSON.stringify(input ?? {}),
+    });
+    const json = await response.json();
+    if (!response.ok) {
+        throw new LocalBackendError(response.status, `Failed to call ${constructName}.${id}.${action} on the local emulator. Error: ${json.message}`);
+    }
+    return json;
+}
+export class LocalBackendError extends Error {
+    status;
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
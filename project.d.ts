@@ -1,8 +1,64 @@
 import { Metafile } from "esbuild";
 import type { App } from "./constructs/App.js";
+import type { CloudAssembly, CloudFormationStackArtifact } from "aws-cdk-lib/cx-api";
+import type { deployMany } from "./stacks/deploy.js";
 export interface SSTConfig {
     config: (globals: GlobalOptions) => Promise<ConfigOptions> | ConfigOptions;
     stacks: (app: App) => Promise<void> | void;
+    hooks?: SSTHooks;
+}
+type Awaitable<T> = Promise<T> | T;
+type StackResults = Awaited<ReturnType<typeof deployMany>>;
+export interface SSTHookContext {
+    app: string;
+    stage: string;
+    region?: string;
+}
+/**
+ * Functions that `sst deploy`, `sst remove` and `sst rollback` call around a
+ * deployment. Throwing from a hook fails the command.
+ */
+export interface SSTHooks {
+    /**
+     * Runs before the app is built
+     */
+    preBuild?: (ctx: SSTHookContext) => Awaitable<void>;
+    /**
+     * Runs after the stacks have been synthesized
+     */
+    postSynth?: (ctx: SSTHookContext & {
+        assembly: CloudAssembly;
+    }) => Awaitable<void>;
+    /**
+     * Runs before the stacks are deployed
+     */
+    preDeploy?: (ctx: SSTHookContext & {
+        assembly: CloudAssembly;
+        stacks: CloudFormationStackArtifact[];
+    }) => Awaitable<void>;
+    /**
+     * Runs after all the stacks were deployed successfully
+     */
+    postDeploy?: (ctx: SSTHookContext & {
+        assembly: CloudAssembly;
+        results: StackResults;
+    }) => Awaitable<void>;
+    /**
+     * Runs before the stacks are removed. Throw to block the removal.
+     */
+    preRemove?: (ctx: SSTHookContext & {
+        assembly: CloudAssembly;
+        stacks: CloudFormationStackArtifact[];
+    }) => Awaitable<void>;
+    /**
+     * Runs when the command fails. The results are set if the stacks were
+     * deployed or removed.
+     */
+    onFailure?: (ctx: SSTHookContext & {
+        command: "deploy" | "remove" | "rollback";
+        error: Error;
+        results?: StackResults;
+    }) => Awaitable<void>;
 }
 export interface ConfigOptions {
     name: string;
@@ -12,10 +68,22 @@ export interface ConfigOptions {
     role?: string;
     ssmPrefix?: string;
     outputs?: string;
+    /**
+     * Glob patterns of stages that need to be confirmed before they are
+     * deployed to or removed, ie. `["prod", "staging-*"]`
+     */
+    protectedStages?: string[];
     advanced?: {
         disableParameterizedStackNameCheck?: boolean;
         disableAppModeCheck?: boolean;
     };
+    deploy?: {
+        /**
+         * The maximum number of stacks deployed or removed at the same time.
+         * Defaults to no limit.
+         */
+        concurrency?: number;
+    };
     bootstrap?: {
         useCdkBucket?: boolean;
         stackName?: string;
@@ -57,9 +125,14 @@ interface Project {
     };
     metafile: Metafile;
     stacks: SSTConfig["stacks"];
+    hooks?: SSTHooks;
 }
 export declare function setProject(p: Project): void;
 export declare function useProject(): Project;
+/**
+ * Checks if the stage matches one of the `protectedStages` in the config
+ */
+export declare function isProtectedStage(stage?: string): boolean;
 interface GlobalOptions {
     profile?: string;
     role?: string;
@@ -7,6 +7,7 @@ import { Logger } from "./logger.js";
 import { VisibleError } from "./error.js";
 import { blue } from "colorette";
 import dotenv from "dotenv";
+import { minimatch } from "minimatch";
 import { load } from "./stacks/build.js";
 const DEFAULTS = {
     stage: undefined,
@@ -21,6 +22,12 @@ export function useProject() {
         throw new Error("Project not initialized");
     return project;
 }
+/**
+ * Checks if the stage matches one of the `protectedStages` in the config
+ */
+export function isProtectedStage(stage = useProject().config.stage) {
+    return (useProject().config.protectedStages || []).some((pattern) => minimatch(stage, pattern));
+}
 const CONFIG_EXTENSIONS = [
     ".config.ts",
     ".config.mts",
@@ -96,6 +103,7 @@ export async function initProject(globals) {
             cdk: config.cdk,
         },
         stacks: sstConfig.stacks,
+        hooks: sstConfig.hooks,
         metafile,
         paths: {
             config: file,
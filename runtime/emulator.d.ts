@@ -0,0 +1,13 @@
+export declare const useLocalEmulatorConfig: () => Promise<{
+    port: number;
+    url: string;
+    dir: string;
+}>;
+/**
+ * Emulates `Table`, `Queue`, `Bucket`, `Topic` and `EventBus` constructs in
+ * process so bound functions can run without AWS. Tables are stored as JSON
+ * files and buckets as directories under `.sst/local/<stage>`, queues are kept
+ * in memory. Consumers, subscribers, notifications and rule targets are wired
+ * up from the construct metadata.
+ */
+export declare const useLocalEmulator: () => Promise<void>;
@@ -0,0 +1,584 @@
+import express from "express";
+import crypto from "crypto";
+import path from "path";
+import fs from "fs/promises";
+import getPort from "get-port";
+import { useBus } from "../bus.js";
+import { useProject } from "../project.js";
+import { Logger } from "../logger.js";
+import { Config } from "../config.js";
+import { useLocalFunctions, useLocalInvoker } from "./local.js";
+import { marshall } from "./events.js";
+import { lazy } from "../util/lazy.js";
+const MAX_RECEIVE_COUNT = 3;
+const RETRY_DELAY = 1000;
+const VISIBILITY_TIMEOUT = 30;
+export const useLocalEmulatorConfig = lazy(async () => {
+    const project = useProject();
+    const port = await getPort({
+        port: 12559,
+    });
+    return {
+        port,
+        url: `http://localhost:${port}`,
+        dir: path.join(project.paths.out, "local", project.config.stage),
+    };
+});
+/**
+ * Emulates `Table`, `Queue`, `Bucket`, `Topic` and `EventBus` constructs in
+ * process so bound functions can run without AWS. Tables are stored as JSON
+ * files and buckets as directories under `.sst/local/<stage>`, queues are kept
+ * in memory. Consumers, subscribers, notifications and rule targets are wired
+ * up from the construct metadata.
+ */
+export const useLocalEmulator = lazy(async () => {
+    const bus = useBus();
+    const project = useProject();
+    const app = express();
+    let wiring = createWiring({});
+    bus.subscribe("stacks.metadata", async (evt) => {
+        wiring = createWiring(evt.properties);
+        for (const id of wiring.queues.keys())
+            drain(id);
+    });
+    const cfg = await useLocalEmulatorConfig();
+    const invoker = await useLocalInvoker();
+    useLocalFunctions().useBackend(cfg.url);
+    const region = project.config.region;
+    const queues = new Map();
+    // Received messages that have not been deleted yet, by receipt handle
+    const inflight = new Map();
+    const tables = new Map();
+    /**
+     * Never throws or rejects, failures to invoke are returned as an error
+     * result so callers that have already saved data are not affected
+     */
+    function dispatch(functionID, event) {
+        return Promise.resolve()
+            .then(() => invoker.invoke(functionID, event))
+            .catch((e) => ({
+            type: "error",
+            errorType: e.name,
+            errorMessage: e.message,
+            trace: [],
+        }))
+            .then((result) => {
+            if (result.type === "error")
+                Logger.debug("Local emulator target failed", functionID, result.errorMessage);
+            return result;
+        });
+    }
+    // Queues
+    function useQueue(id) {
+        let queue = queues.get(id);
+        if (!queue) {
+            queue = { messages: [], busy: false };
+            queues.set(id, queue);
+        }
+        return queue;
+    }
+    function enqueue(id, input) {
+        const message = {
+            messageId: crypto.randomUUID(),
+            body: input.body,
+            attributes: input.attributes || {},
+            sentAt: Date.now(),
+            receiveCount: 0,
+        };
+        const push = () => {
+            useQueue(id).messages.push(message);
+            drain(id);
+        };
+        input.delaySeconds ? setTimeout(push, input.delaySeconds * 1000) : push();
+        return message.messageId;
+    }
+    async function drain(id) {
+        const queue = useQueue(id);
+        const consumer = wiring.queues.get(id);
+        if (!consumer || queue.busy || !queue.messages.length)
+            return;
+        queue.busy = true;
+        const batch = queue.messages.splice(0, 10);
+        batch.forEach((message) => message.receiveCount++);
+        try {
+            await consume(id, consumer, batch);
+        }
+        catch (e) {
+            Logger.debug("Local emulator failed to consume", id, e);
+        }
+        finally {
+            queue.busy = false;
+        }
+        drain(id);
+    }
+    async function consume(id, consumer, batch) {
+        const queue = useQueue(id);
+        const result = await dispatch(consumer, {
+            Records: batch.map((message) => ({
+                messageId: message.messageId,
+                receiptHandle: message.messageId,
+                body: message.body,
+                attributes: {
+                    ApproximateReceiveCount: String(message.receiveCount),
+                    SentTimestamp: String(message.sentAt),
+                    SenderId: "000000000000",
+                    ApproximateFirstReceiveTimestamp: String(Date.now()),
+                },
+                messageAttributes: message.attributes,
+                md5OfBody: crypto.createHash("md5").update(message.body).digest("hex"),
+                eventSource: "aws:sqs",
+                eventSourceARN: `arn:aws:sqs:${region}:000000000000:${id}`,
+                awsRegion: region,
+            })),
+        });
+        const failed = result.type === "error"
+            ? batch
+            : batch.filter((message) => result.body?.batchItemFailures?.some((item) => item.itemIdentifier === message.messageId));
+        for (const message of failed) {
+            if (message.receiveCount >= MAX_RECEIVE_COUNT) {
+                Logger.debug("Local emulator dropping message", id, message.messageId);
+                continue;
+            }
+            // Back off before the message is visible again
+            setTimeout(() => {
+                queue.messages.push(message);
+                drain(id);
+            }, RETRY_DELAY * 2 ** (message.receiveCount - 1));
+        }
+    }
+    // Tables
+    async function useTable(id) {
+        let table = tables.get(id);
+        if (table)
+            return table;
+        const file = path.join(cfg.dir, "tables", `${id}.json`);
+        const items = await fs
+            .readFile(file)
+            .then((x) => JSON.parse(x.toString()))
+            .catch(() => ({}));
+        table = {
+            items,
+            async save() {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(file, JSON.stringify(table.items, null, 2));
+            },
+        };
+        tables.set(id, table);
+        return table;
+    }
+    function tableKey(id, item) {
+        const schema = wiring.tables.get(id) || {};
+        const pk = schema.partitionKey || Object.keys(item)[0];
+        return JSON.stringify([item[pk], schema.sortKey ? item[schema.sortKey] : null]);
+    }
+    function emitStream(id, eventName, oldImage, newImage) {
+        const schema = wiring.tables.get(id);
+        if (!schema?.consumers.length)
+            return;
+        const image = newImage || oldImage;
+        const keys = Object.fromEntries([schema.partitionKey, schema.sortKey]
+            .filter((key) => key && key in image)
+            .map((key) => [key, image[key]]));
+        const event = {
+            Records: [
+                {
+                    eventID: crypto.randomUUID(),
+                    eventName,
+                    eventVersion: "1.1",
+                    eventSource: "aws:dynamodb",
+                    awsRegion: region,
+                    dynamodb: {
+                        ApproximateCreationDateTime: Math.floor(Date.now() / 1000),
+                        Keys: marshall(keys),
+                        NewImage: newImage ? marshall(newImage) : undefined,
+                        OldImage: oldImage ? marshall(oldImage) : undefined,
+                        SequenceNumber: String(Date.now()),
+                        SizeBytes: JSON.stringify(image).length,
+                        StreamViewType: "NEW_AND_OLD_IMAGES",
+                    },
+                    eventSourceARN: `arn:aws:dynamodb:${region}:000000000000:table/${id}/stream/local`,
+                },
+            ],
+        };
+        for (const consumer of schema.consumers)
+            dispatch(consumer, event);
+    }
+    // Buckets
+    function objectPath(id, key) {
+        const root = path.join(cfg.dir, "buckets", id);
+        const file = path.resolve(root, key);
+        if (!file.startsWith(root + path.sep))
+            throw new EmulatorError(400, `Invalid key "${key}"`);
+        return file;
+    }
+    function notify(id, eventName, key, size) {
+        const event = {
+            Records: [
+                {
+                    eventVersion: "2.1",
+                    eventSource: "aws:s3",
+                    awsRegion: region,
+                    eventTime: new Date().toISOString(),
+                    eventName,
+                    s3: {
+                        s3SchemaVersion: "1.0",
+                        bucket: {
+                            name: id,
+                            arn: `arn:aws:s3:::${id}`,
+                        },
+                        object: {
+                            key: encodeURIComponent(key).replace(/%2F/g, "/"),
+                            size,
+                        },
+                    },
+                },
+            ],
+        };
+        for (const notification of wiring.buckets.get(id) || []) {
+            if (!matchesNotification(notification, eventName, key))
+                continue;
+            const record = {
+                ...event,
+                Records: event.Records.map((r) => ({
+                    ...r,
+                    s3: { ...r.s3, configurationId: notification.name },
+                })),
+            };
+            deliver(notification, record, JSON.stringify(record));
+        }
+    }
+    // Topics and event buses
+    function publish(id, input) {
+        const messageId = crypto.randomUUID();
+        const topicArn = `arn:aws:sns:local:000000000000:${id}`;
+        const notification = {
+            Type: "Notification",
+            MessageId: messageId,
+            TopicArn: topicArn,
+            Subject: input.subject ?? null,
+            Message: input.message,
+            Timestamp: new Date().toISOString(),
+            MessageAttributes: input.attributes || {},
+        };
+        for (const subscriber of wiring.topics.get(id) || []) {
+            deliver(subscriber, {
+                Records: [
+                    {
+                        EventSource: "aws:sns",
+                        EventVersion: "1.0",
+                        EventSubscriptionArn: `${topicArn}:${subscriber.name}`,
+                        Sns: notification,
+                    },
+                ],
+            }, JSON.stringify(notification));
+        }
+        return messageId;
+    }
+    function put(id, entry) {
+        const event = {
+            version: "0",
+            id: crypto.randomUUID(),
+            "detail-type": entry.detailType,
+            source: entry.source,
+            account: "000000000000",
+            time: new Date().toISOString(),
+            region,
+            resources: entry.resources || [],
+            detail: typeof entry.detail === "string"
+                ? JSON.parse(entry.detail)
+                : entry.detail || {},
+        };
+        for (const rule of wiring.buses.get(id) || []) {
+            if (!matchesPattern(normalizePattern(rule.pattern), event))
+                continue;
+            for (const target of rule.targets)
+                deliver(target, event, JSON.stringify(event));
+        }
+        return event.id;
+    }
+    function deliver(target, event, body) {
+        if (target.fn)
+            return dispatch(target.fn.node, event);
+        if (target.queue)
+            return enqueue(Config.normalizeID(target.queue), { body });
+        if (target.topic)
+            return publish(Config.normalizeID(target.topic), { message: body });
+    }
+    const actions = {
+        Table: {
+            async get(id, input) {
+                const table = await useTable(id);
+                return { item: table.items[tableKey(id, input.key)] };
+            },
+            async put(id, input) {
+                const table = await useTable(id);
+                const key = tableKey(id, input.item);
+                const old = table.items[key];
+                table.items[key] = input.item;
+                await table.save();
+                emitStream(id, old ? "MODIFY" : "INSERT", old, input.item);
+                return {};
+            },
+            async delete(id, input) {
+                const table = await useTable(id);
+                const key = tableKey(id, input.key);
+                const old = table.items[key];
+                if (!old)
+                    return {};
+                delete table.items[key];
+                await table.save();
+                emitStream(id, "REMOVE", old);
+                return {};
+            },
+            async query(id, input) {
+                const table = await useTable(id);
+                const schema = wiring.tables.get(id) || {};
+                let items = Object.values(table.items).filter((item) => Object.entries(input.key).every(([k, v]) => item[k] === v));
+                if (input.beginsWith !== undefined && schema.sortKey)
+                    items = items.filter((item) => String(item[schema.sortKey]).startsWith(input.beginsWith));
+                if (schema.sortKey)
+                    items.sort((a, b) => a[schema.sortKey] < b[schema.sortKey]
+                        ? -1
+                        : a[schema.sortKey] > b[schema.sortKey]
+                            ? 1
+                            : 0);
+                if (input.reverse)
+                    items.reverse();
+                return { items: items.slice(0, input.limit) };
+            },
+            async scan(id, input) {
+                const table = await useTable(id);
+                return { items: Object.values(table.items).slice(0, input.limit) };
+            },
+        },
+        Bucket: {
+            async put(id, input) {
+                const file = objectPath(id, input.key);
+                const body = Buffer.from(input.body || "", "base64");
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(file, body);
+                notify(id, "ObjectCreated:Put", input.key, body.length);
+                return {};
+            },
+            async get(id, input) {
+                const body = await fs
+                    .readFile(objectPath(id, input.key))
+                    .catch((e) => {
+                    if (e.code === "ENOENT")
+                        return;
+                    throw e;
+                });
+                if (!body)
+                    throw new EmulatorError(404, `Key "${input.key}" does not exist`);
+                return { body: body.toString("base64") };
+            },
+            async delete(id, input) {
+                await fs.rm(objectPath(id, input.key), { force: true });
+                notify(id, "ObjectRemoved:Delete", input.key, 0);
+                return {};
+            },
+            async list(id, input) {
+                const root = path.join(cfg.dir, "buckets", id);
+                const entries = await fs
+                    .readdir(root, { recursive: true, withFileTypes: true })
+                    .catch(() => []);
+                const objects = [];
+                for (const entry of entries) {
+                    if (!entry.isFile())
+                        continue;
+                    const file = path.join(entry.path, entry.name);
+                    const key = path
+                        .relative(root, file)
+                        .split(path.sep)
+                        .join(path.posix.sep);
+                    if (input.prefix && !key.startsWith(input.prefix))
+                        continue;
+                    const stat = await fs.stat(file);
+                    objects.push({
+                        key,
+                        size: stat.size,
+                        lastModified: stat.mtime.toISOString(),
+                    });
+                }
+                return { objects: objects.sort((a, b) => a.key.localeCompare(b.key)) };
+            },
+        },
+        Queue: {
+            async send(id, input) {
+                return {
+                    messageIds: input.messages.map((message) => enqueue(id, message)),
+                };
+            },
+            async receive(id, input) {
+                // Messages are handed out directly when the queue has no
+                // consumer, and come back unless deleted in time
+                const queue = useQueue(id);
+                const messages = queue.messages.splice(0, input.max || 1);
+                return {
+                    messages: messages.map((message) => {
+                        const receiptHandle = crypto.randomUUID();
+                        message.receiveCount++;
+                        inflight.set(receiptHandle, setTimeout(() => {
+                            inflight.delete(receiptHandle);
+                            queue.messages.push(message);
+                            drain(id);
+                        }, (input.visibilityTimeout ?? VISIBILITY_TIMEOUT) * 1000));
+                        return {
+                            messageId: message.messageId,
+                            receiptHandle,
+                            body: message.body,
+                            attributes: message.attributes,
+                        };
+                    }),
+                };
+            },
+            async delete(_id, input) {
+                clearTimeout(inflight.get(input.receiptHandle));
+                inflight.delete(input.receiptHandle);
+                return {};
+            },
+        },
+        Topic: {
+            async publish(id, input) {
+                return { messageId: publish(id, input) };
+            },
+        },
+        EventBus: {
+            async publish(id, input) {
+                return { eventIds: input.entries.map((entry) => put(id, entry)) };
+            },
+        },
+    };
+    app.post(`/:construct/:id/:action`, express.json({
+        strict: false,
+        limit: "50mb",
+    }), async (req, res) => {
+        const action = actions[req.params.construct]?.[req.params.action];
+        if (!action)
+            return res.status(404).json({
+                message: `Unknown action ${req.params.construct}.${req.params.action}`,
+            });
+        try {
+            const id = Config.normalizeID(req.params.id);
+            res.json(await action(id, req.body || {}));
+        }
+        catch (ex) {
+            res
+                .status(ex instanceof EmulatorError ? ex.status : 500)
+                .json({ message: ex.message });
+        }
+    });
+    // Presigned bucket urls point here
+    app.get(`/Bucket/:id/object/*`, async (req, res) => {
+        const id = Config.normalizeID(req.params.id);
+        try {
+            const result = await actions.Bucket.get(id, { key: req.params[0] });
+            res.send(Buffer.from(result.body, "base64"));
+        }
+        catch (ex) {
+            res
+                .status(ex instanceof EmulatorError ? ex.status : 500)
+                .json({ message: ex.message });
+        }
+    });
+    app.put(`/Bucket/:id/object/*`, express.raw({ type: () => true, limit: "50mb" }), async (req, res) => {
+        const id = Config.normalizeID(req.params.id);
+        try {
+            await actions.Bucket.put(id, {
+                key: req.params[0],
+                body: Buffer.isBuffer(req.body) ? req.body.toString("base64") : "",
+            });
+            res.status(200).end();
+        }
+        catch (ex) {
+            res
+                .status(ex instanceof EmulatorError ? ex.status : 500)
+                .json({ message: ex.message });
+        }
+    });
+    app.listen(cfg.port);
+    Logger.debug("Local emulator listening on", cfg.url);
+});
+class EmulatorError extends Error {
+    status;
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+function createWiring(metadata) {
+    const all = Object.values(metadata).flat();
+    const wiring = {
+        queues: new Map(),
+        tables: new Map(),
+        buckets: new Map(),
+        topics: new Map(),
+        buses: new Map(),
+    };
+    for (const c of all) {
+        const id = Config.normalizeID(c.id);
+        if (c.type === "Queue" && c.data.consumer)
+            wiring.queues.set(id, c.data.consumer.node);
+        if (c.type === "Table")
+            wiring.tables.set(id, {
+                partitionKey: c.local?.partitionKey,
+                sortKey: c.local?.sortKey,
+                consumers: c.data.consumers
+                    .filter((consumer) => consumer.fn)
+                    .map((consumer) => consumer.fn.node),
+            });
+        if (c.type === "Bucket")
+            wiring.buckets.set(id, c.local?.notifications || []);
+        if (c.type === "Topic")
+            wiring.topics.set(id, c.local?.subscribers || []);
+        if (c.type === "EventBus")
+            wiring.buses.set(id, c.local?.rules || []);
+    }
+    return wiring;
+}
+function matchesNotification(notification, eventName, key) {
+    const [category, type] = eventName.split(":");
+    const events = (notification.events?.length
+        ? notification.events
+        : ["object_created", "object_removed"]).map((e) => e.replace(/_/g, "").toLowerCase());
+    const name = category.toLowerCase();
+    if (!events.includes(name) && !events.includes(name + type.toLowerCase()))
+        return false;
+    return (notification.filters || []).every((filter) => (!filter.prefix || key.startsWith(filter.prefix)) &&
+        (!filter.suffix || key.endsWith(filter.suffix)));
+}
+function normalizePattern(pattern) {
+    if (!pattern)
+        return {};
+    return Object.fromEntries(Object.entries(pattern).map(([key, value]) => [
+        key === "detailType" ? "detail-type" : key,
+        value,
+    ]));
+}
+function matchesPattern(pattern, value) {
+    return Object.entries(pattern).every(([key, expected]) => {
+        const actual = value?.[key];
+        if (Array.isArray(expected)) {
+            const candidates = Array.isArray(actual) ? actual : [actual];
+            return expected.some((rule) => candidates.some((candidate) => matchesRule(rule, candidate, key in (value || {}))));
+        }
+        if (typeof expected === "object" && expected !== null)
+            return matchesPattern(expected, actual);
+        return actual === expected;
+    });
+}
+function matchesRule(rule, actual, exists) {
+    if (typeof rule !== "object" || rule === null)
+        return actual === rule;
+    if ("prefix" in rule)
+        return typeof actual === "string" && actual.startsWith(rule.prefix);
+    if ("suffix" in rule)
+        return typeof actual === "string" && actual.endsWith(rule.suffix);
+    if ("exists" in rule)
+        return rule.exists === exists;
+    if ("anything-but" in rule) {
+        const values = [rule["anything-but"]].flat();
+        return !values.includes(actual);
+    }
+    return false;
+}
@@ -0,0 +1,32 @@
+import type { Metadata } from "../constructs/Metadata.js";
+export type EventTarget = {
+    name: string;
+    fn?: {
+        node: string;
+        stack: string;
+    };
+    [key: string]: any;
+};
+export type EventContext = {
+    region: string;
+    account: string;
+    stage: string;
+};
+/**
+ * Lists the routes, consumers, subscribers, notifications, rules or triggers
+ * of a construct that an event can be generated for
+ */
+export declare function listEventTargets(construct: Metadata & {
+    id: string;
+    local?: any;
+}): EventTarget[];
+/**
+ * Builds a sample event in the shape AWS sends to the function behind the
+ * given target. Names and ARNs are filled in from the construct metadata, or
+ * with placeholders when they are only known after deployment.
+ */
+export declare function createEvent(construct: Metadata & {
+    id: string;
+    local?: any;
+}, target: EventTarget, ctx: EventContext): any;
+export declare function marshall(value: Record<string, any>): Record<string, any>;
@@ -0,0 +1,526 @@
+import crypto from "crypto";
+const COGNITO_TRIGGER_SOURCES = {
+    createAuthChallenge: "CreateAuthChallenge_Authentication",
+    customEmailSender: "CustomEmailSender_SignUp",
+    customMessage: "CustomMessage_SignUp",
+    customSmsSender: "CustomSMSSender_SignUp",
+    defineAuthChallenge: "DefineAuthChallenge_Authentication",
+    postAuthentication: "PostAuthentication_Authentication",
+    postConfirmation: "PostConfirmation_ConfirmSignUp",
+    preAuthentication: "PreAuthentication_Authentication",
+    preSignUp: "PreSignUp_SignUp",
+    preTokenGeneration: "TokenGeneration_Authentication",
+    userMigration: "UserMigration_Authentication",
+    verifyAuthChallengeResponse: "VerifyAuthChallengeResponse_Authentication",
+};
+/**
+ * Lists the routes, consumers, subscribers, notifications, rules or triggers
+ * of a construct that an event can be generated for
+ */
+export function listEventTargets(construct) {
+    switch (construct.type) {
+        case "Api":
+        case "ApiGatewayV1Api":
+            return construct.data.routes
+                .filter((route) => route.fn)
+                .map((route) => ({ name: route.route, fn: route.fn }));
+        case "WebSocketApi":
+            return construct.data.routes.map((route) => ({
+                name: route.route,
+                fn: route.fn,
+            }));
+        case "Queue":
+            return construct.data.consumer
+                ? [{ name: "consumer", fn: construct.data.consumer }]
+                : [];
+        case "Table":
+        case "KinesisStream":
+            return construct.data.consumers.filter((consumer) => consumer.fn);
+        case "Cognito":
+            return construct.data.triggers.filter((trigger) => trigger.fn);
+        case "Cron":
+            return construct.data.job ? [{ name: "job", fn: construct.data.job }] : [];
+        case "Bucket":
+        case "Topic":
+            return (construct.local?.[construct.type === "Bucket" ? "notifications" : "subscribers"] || []).filter((target) => target.fn);
+        case "EventBus":
+            return (construct.local?.rules || []).flatMap((rule) => rule.targets
+                .filter((target) => target.fn)
+                .map((target) => ({
+                name: `${rule.key}.${target.name}`,
+                fn: target.fn,
+                rule,
+            })));
+    }
+    return [];
+}
+/**
+ * Builds a sample event in the shape AWS sends to the function behind the
+ * given target. Names and ARNs are filled in from the construct metadata, or
+ * with placeholders when they are only known after deployment.
+ */
+export function createEvent(construct, target, ctx) {
+    const id = construct.id;
+    const now = new Date();
+    const region = ctx.region;
+    const account = ctx.account;
+    switch (construct.type) {
+        case "Api": {
+            const route = parseRoute(target.name);
+            const host = hostOf(construct.data.url, `${id}.execute-api.${region}.amazonaws.com`);
+            return {
+                version: "2.0",
+                routeKey: target.name,
+                rawPath: route.path,
+                rawQueryString: "",
+                headers: sampleHeaders(host),
+                pathParameters: route.params,
+                requestContext: {
+                    accountId: account,
+                    apiId: resolved(construct.data.httpApiId, id),
+                    domainName: host,
+                    domainPrefix: host.split(".")[0],
+                    http: {
+                        method: route.method,
+                        path: route.path,
+                        protocol: "HTTP/1.1",
+                        sourceIp: "127.0.0.1",
+                        userAgent: "sst",
+                    },
+                    requestId: crypto.randomUUID(),
+                    routeKey: target.name,
+                    stage: "$default",
+                    time: now.toISOString(),
+                    timeEpoch: now.getTime(),
+                },
+                body: route.method === "GET" ? undefined : JSON.stringify({}),
+                isBase64Encoded: false,
+            };
+        }
+        case "ApiGatewayV1Api": {
+            const route = parseRoute(target.name);
+            const host = hostOf(construct.data.url, `${id}.execute-api.${region}.amazonaws.com`);
+            const headers = sampleHeaders(host);
+            return {
+                resource: route.resource,
+                path: route.path,
+                httpMethod: route.method,
+                headers,
+                multiValueHeaders: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key, [value]])),
+                queryStringParameters: null,
+                multiValueQueryStringParameters: null,
+                pathParameters: route.params || null,
+                stageVariables: null,
+                requestContext: {
+                    accountId: account,
+                    apiId: resolved(construct.data.restApiId, id),
+                    httpMethod: route.method,
+                    path: `/${ctx.stage}${route.path}`,
+                    protocol: "HTTP/1.1",
+                    requestId: crypto.randomUUID(),
+                    requestTimeEpoch: now.getTime(),
+                    resourcePath: route.resource,
+                    stage: ctx.stage,
+                    identity: {
+                        sourceIp: "127.0.0.1",
+                        userAgent: "sst",
+                    },
+                },
+                body: route.method === "GET" ? null : JSON.stringify({}),
+                isBase64Encoded: false,
+            };
+        }
+        case "WebSocketApi": {
+            const host = hostOf(construct.data.url, `${id}.execute-api.${region}.amazonaws.com`);
+            const eventType = target.name === "$connect"
+                ? "CONNECT"
+                : target.name === "$disconnect"
+                    ? "DISCONNECT"
+                    : "MESSAGE";
+            return {
+                headers: eventType === "CONNECT" ? sampleHeaders(host) : undefined,
+                requestContext: {
+                    routeKey: target.name,
+                    eventType,
+                    extendedRequestId: crypto.randomUUID(),
+                    requestTime: now.toUTCString(),
+                    messageDirection: "IN",
+                    stage: ctx.stage,
+                    connectedAt: now.getTime(),
+                    requestTimeEpoch: now.getTime(),
+                    requestId: crypto.randomUUID(),
+                    domainName: host,
+                    connectionId: crypto.randomBytes(8).toString("base64url"),
+                    apiId: resolved(construct.data.httpApiId, id),
+                    identity: {
+                        sourceIp: "127.0.0.1",
+                        userAgent: "sst",
+                    },
+                },
+                body: eventType === "MESSAGE"
+                    ? JSON.stringify({
+                        action: target.name === "$default" ? undefined : target.name,
+                    })
+                    : undefined,
+                isBase64Encoded: false,
+            };
+        }
+        case "Queue": {
+            const name = resolved(construct.data.name, id);
+            const body = JSON.stringify({});
+            return {
+                Records: [
+                    {
+                        messageId: crypto.randomUUID(),
+                        receiptHandle: crypto.randomBytes(32).toString("base64"),
+                        body,
+                        attributes: {
+                            ApproximateReceiveCount: "1",
+                            SentTimestamp: String(now.getTime()),
+                            SenderId: account,
+                            ApproximateFirstReceiveTimestamp: String(now.getTime()),
+                        },
+                        messageAttributes: {},
+                        md5OfBody: crypto.createHash("md5").update(body).digest("hex"),
+                        eventSource: "aws:sqs",
+                        eventSourceARN: `arn:aws:sqs:${region}:${account}:${name}`,
+                        awsRegion: region,
+                    },
+                ],
+            };
+        }
+        case "Topic": {
+            const topicArn = resolved(construct.data.topicArn, `arn:aws:sns:${region}:${account}:${id}`);
+            return {
+                Records: [
+                    {
+                        EventSource: "aws:sns",
+                        EventVersion: "1.0",
+                        EventSubscriptionArn: `${topicArn}:${crypto.randomUUID()}`,
+                        Sns: {
+                            Type: "Notification",
+                            MessageId: crypto.randomUUID(),
+                            TopicArn: topicArn,
+                            Subject: null,
+                            Message: JSON.stringify({}),
+                            Timestamp: now.toISOString(),
+                            SignatureVersion: "1",
+                            Signature: "EXAMPLE",
+                            SigningCertUrl: "EXAMPLE",
+                            UnsubscribeUrl: "EXAMPLE",
+                            MessageAttributes: {},
+                        },
+                    },
+                ],
+            };
+        }
+        case "EventBus": {
+            const pattern = target.rule.pattern || {};
+            return {
+                version: "0",
+                id: crypto.randomUUID(),
+                "detail-type": sampleValue(pattern.detailType ?? pattern["detail-type"]) ?? "sample",
+                source: sampleValue(pattern.source) ?? "sample",
+                account,
+                time: now.toISOString(),
+                region,
+                resources: [],
+                detail: sampleObject(pattern.detail),
+            };
+        }
+        case "Table": {
+            const name = resolved(construct.data.tableName, id);
+            const keys = Object.fromEntries([construct.local?.partitionKey, construct.local?.sortKey]
+                .filter(Boolean)
+                .map((key) => [key, key]));
+            return {
+                Records: [
+                    {
+                        eventID: crypto.randomBytes(16).toString("hex"),
+                        eventName: "INSERT",
+                        eventVersion: "1.1",
+                        eventSource: "aws:dynamodb",
+                        awsRegion: region,
+                        dynamodb: {
+                            ApproximateCreationDateTime: Math.floor(now.getTime() / 1000),
+                            Keys: marshall(keys),
+                            NewImage: marshall(keys),
+                            SequenceNumber: String(now.getTime()),
+                            SizeBytes: JSON.stringify(keys).length,
+                            StreamViewType: "NEW_AND_OLD_IMAGES",
+                        },
+                        eventSourceARN: `arn:aws:dynamodb:${region}:${account}:table/${name}/stream/${now.toISOString().replace("Z", "")}`,
+                    },
+                ],
+            };
+        }
+        case "KinesisStream": {
+            const name = resolved(construct.data.streamName, id);
+            return {
+                Records: [
+                    {
+                        kinesis: {
+                            kinesisSchemaVersion: "1.0",
+                            partitionKey: "1",
+                            sequenceNumber: String(now.getTime()),
+                            data: Buffer.from(JSON.stringify({})).toString("base64"),
+                            approximateArrivalTimestamp: now.getTime() / 1000,
+                        },
+                        eventSource: "aws:kinesis",
+                        eventVersion: "1.0",
+                        eventID: `shardId-000000000000:${now.getTime()}`,
+                        eventName: "aws:kinesis:record",
+                        invokeIdentityArn: `arn:aws:iam::${account}:role/${id}`,
+                        awsRegion: region,
+                        eventSourceARN: `arn:aws:kinesis:${region}:${account}:stream/${name}`,
+                    },
+                ],
+            };
+        }
+        case "Bucket": {
+            const name = resolved(construct.data.name, id.toLowerCase());
+            const filter = Object.assign({}, ...(target.filters || []));
+            const key = `${filter.prefix || ""}sample${filter.suffix || ".json"}`;
+            return {
+                Records: [
+                    {
+                        eventVersion: "2.1",
+                        eventSource: "aws:s3",
+                        awsRegion: region,
+                        eventTime: now.toISOString(),
+                        eventName: s3EventName(target.events?.[0]),
+                        userIdentity: { principalId: "EXAMPLE" },
+                        requestParameters: { sourceIPAddress: "127.0.0.1" },
+                        responseElements: {
+                            "x-amz-request-id": crypto.randomBytes(8).toString("hex").toUpperCase(),
+                            "x-amz-id-2": crypto.randomBytes(32).toString("base64"),
+                        },
+                        s3: {
+                            s3SchemaVersion: "1.0",
+                            configurationId: target.name,
+                            bucket: {
+                                name,
+                                ownerIdentity: { principalId: "EXAMPLE" },
+                                arn: `arn:aws:s3:::${name}`,
+                            },
+                            object: {
+                                key: encodeURIComponent(key).replace(/%2F/g, "/"),
+                                size: 1024,
+                                eTag: crypto.createHash("md5").update(key).digest("hex"),
+                                sequencer: now.getTime().toString(16).toUpperCase(),
+                            },
+                        },
+                    },
+                ],
+            };
+        }
+        case "Cognito": {
+            const userPoolId = resolved(construct.data.userPoolId, `${region}_EXAMPLE`);
+            const sub = crypto.randomUUID();
+            return {
+                version: "1",
+                region,
+                userPoolId,
+                userName: sub,
+                callerContext: {
+                    awsSdkVersion: "aws-sdk-unknown-unknown",
+                    clientId: "EXAMPLE",
+                },
+                triggerSource: COGNITO_TRIGGER_SOURCES[target.name] || target.name,
+                request: {
+                    userAttributes: {
+                        sub,
+                        email: "user@example.com",
+                        email_verified: "true",
+                        "cognito:user_status": "CONFIRMED",
+                    },
+                    ...cognitoRequest(target.name),
+                },
+                response: cognitoResponse(target.name),
+            };
+        }
+        case "Cron": {
+            const ruleName = resolved(construct.data.ruleName, id);
+            return {
+                version: "0",
+                id: crypto.randomUUID(),
+                "detail-type": "Scheduled Event",
+                source: "aws.events",
+                account,
+                time: now.toISOString(),
+                region,
+                resources: [`arn:aws:events:${region}:${account}:rule/${ruleName}`],
+                detail: {},
+            };
+        }
+    }
+    throw new Error(`Cannot generate events for ${construct.type} constructs`);
+}
+export function marshall(value) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, marshallValue(item)]));
+}
+function marshallValue(value) {
+    if (value === null || value === undefined)
+        return { NULL: true };
+    if (typeof value === "string")
+        return { S: value };
+    if (typeof value === "number")
+        return { N: String(value) };
+    if (typeof value === "boolean")
+        return { BOOL: value };
+    if (Array.isArray(value))
+        return { L: value.map(marshallValue) };
+    return { M: marshall(value) };
+}
+/**
+ * Values that are only known after deployment show up as unresolved tokens
+ * when the metadata comes from a local synth
+ */
+function resolved(value, fallback) {
+    if (typeof value !== "string" || !value || value.includes("${Token["))
+        return fallback;
+    return value;
+}
+function hostOf(url, fallback) {
+    const value = resolved(url, undefined);
+    if (!value)
+        return fallback;
+    return new URL(value).host;
+}
+function sampleHeaders(host) {
+    return {
+        accept: "*/*",
+        "content-type": "application/json",
+        host,
+        "user-agent": "sst",
+        "x-forwarded-for": "127.0.0.1",
+        "x-forwarded-port": "443",
+        "x-forwarded-proto": "https",
+    };
+}
+function parseRoute(key) {
+    const [method, resource] = key === "$default" ? ["ANY", "/"] : key.split(" ");
+    const params = {};
+    const path = resource.replace(/\{([^}+]+)\+?\}/g, (_, name) => {
+        params[name] = name;
+        return name;
+    });
+    return {
+        method: method === "ANY" ? "GET" : method,
+        resource,
+        path,
+        params: Object.keys(params).length ? params : undefined,
+    };
+}
+function s3EventName(event) {
+    if (!event)
+        return "ObjectCreated:Put";
+    const words = event
+        .split("_")
+        .map((word) => word.charAt(0).toUpperCase() + word.slice(1));
+    const category = words.slice(0, 2).join("");
+    const type = words.slice(2).join("");
+    if (type)
+        return `${category}:${type}`;
+    if (category === "ObjectCreated")
+        return "ObjectCreated:Put";
+    if (category === "ObjectRemoved")
+        return "ObjectRemoved:Delete";
+    return `${category}:*`;
+}
+/**
+ * Picks a value that satisfies an event pattern field
+ */
+function sampleValue(rules) {
+    if (!Array.isArray(rules))
+        return undefined;
+    for (const rule of rules) {
+        if (typeof rule !== "object" || rule === null)
+            return rule;
+        if ("prefix" in rule)
+            return `${rule.prefix}sample`;
+        if ("suffix" in rule)
+            return `sample${rule.suffix}`;
+        if ("anything-but" in rule)
+            return "sample";
+    }
+    return "sample";
+}
+function sampleObject(pattern) {
+    if (!pattern || typeof pattern !== "object")
+        return {};
+    const result = {};
+    for (const [key, value] of Object.entries(pattern)) {
+        if (Array.isArray(value)) {
+            if (value.some((rule) => rule?.exists === false))
+                continue;
+            result[key] = sampleValue(value);
+            continue;
+        }
+        result[key] = sampleObject(value);
+    }
+    return result;
+}
+function cognitoRequest(trigger) {
+    switch (trigger) {
+        case "preSignUp":
+            return { validationData: null, clientMetadata: {} };
+        case "preTokenGeneration":
+            return {
+                groupConfiguration: {
+                    groupsToOverride: [],
+                    iamRolesToOverride: [],
+                    preferredRole: null,
+                },
+            };
+        case "customMessage":
+            return { codeParameter: "{####}", usernameParameter: null };
+        case "defineAuthChallenge":
+        case "createAuthChallenge":
+            return { session: [] };
+        case "verifyAuthChallengeResponse":
+            return { privateChallengeParameters: {}, challengeAnswer: "" };
+        case "userMigration":
+            return { password: "password", validationData: null };
+        case "customEmailSender":
+            return { type: "customEmailSenderRequestV1", code: "EXAMPLE" };
+        case "customSmsSender":
+            return { type: "customSMSSenderRequestV1", code: "EXAMPLE" };
+    }
+    return {};
+}
+function cognitoResponse(trigger) {
+    switch (trigger) {
+        case "preSignUp":
+            return {
+                autoConfirmUser: false,
+                autoVerifyEmail: false,
+                autoVerifyPhone: false,
+            };
+        case "preTokenGeneration":
+            return { claimsOverrideDetails: null };
+        case "customMessage":
+            return { smsMessage: null, emailMessage: null, emailSubject: null };
+        case "defineAuthChallenge":
+            return {
+                challengeName: null,
+                issueTokens: false,
+                failAuthentication: false,
+            };
+        case "createAuthChallenge":
+            return {
+                publicChallengeParameters: {},
+                privateChallengeParameters: {},
+                challengeMetadata: null,
+            };
+        case "verifyAuthChallengeResponse":
+            return { answerCorrect: false };
+        case "userMigration":
+            return {
+                userAttributes: {},
+                finalUserStatus: null,
+                messageAction: null,
+            };
+    }
+    return {};
+}
@@ -0,0 +1,26 @@
+import { StartWorkerInput } from "../handlers.js";
+export interface DockerRunOptions {
+    image: string;
+    entrypoint?: string;
+    cmd?: string[];
+    envs?: Record<string, string>;
+    /**
+     * Additional arguments passed to `docker run`, ie. volumes
+     */
+    args?: string[];
+}
+/**
+ * Runs a worker in a Docker container and streams its output
+ */
+export declare function dockerRun(input: StartWorkerInput, opts: DockerRunOptions, onExit: (code: number | null) => void): Promise<string>;
+export declare function dockerStop(name: string): Promise<void>;
+/**
+ * Runs a job to completion in a Docker container. Returns the name of the
+ * container.
+ */
+export declare function startJobWorker(input: StartWorkerInput, opts: DockerRunOptions): Promise<string | undefined>;
+/**
+ * Creates the script that runs a Node.js job handler with the payload in
+ * `SST_PAYLOAD`, both on CodeBuild and in Docker on `sst dev`.
+ */
+export declare function createJobWrapper(handler: string): string;
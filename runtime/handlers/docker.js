@@ -0,0 +1,207 @@
+import http from "http";
+import path from "path";
+import { spawn } from "child_process";
+import { useRuntimeWorkers } from "../workers.js";
+import { VisibleError } from "../../error.js";
+import { execAsync } from "../../util/process.js";
+/**
+ * Runs a worker in a Docker container and streams its output
+ */
+export async function dockerRun(input, opts, onExit) {
+    const workers = await useRuntimeWorkers();
+    const name = `sst-workerID-${input.workerID}-${Date.now()}`;
+    const proc = spawn("docker", [
+        "run",
+        "--rm",
+        "--network=host",
+        `--name=${name}`,
+        ...Object.entries({
+            ...input.environment,
+            ...opts.envs,
+            IS_LOCAL: "true",
+        })
+            .map(([key, value]) => ["-e", `${key}=${value}`])
+            .flat(),
+        ...(opts.args ?? []),
+        ...(opts.entrypoint !== undefined
+            ? ["--entrypoint", opts.entrypoint]
+            : []),
+        opts.image,
+        ...(opts.cmd ?? []),
+    ], {
+        env: {
+            ...process.env,
+        },
+        cwd: input.out,
+    });
+    proc.on("exit", (code) => {
+        onExit(code);
+    });
+    proc.stdout.on("data", (data) => {
+        workers.stdout(input.workerID, data.toString());
+    });
+    proc.stderr.on("data", (data) => {
+        workers.stdout(input.workerID, data.toString());
+    });
+    return name;
+}
+export async function dockerStop(name) {
+    try {
+        // note:
+        // - calling `docker kill` kills the docker process much faster than `docker stop`
+        // - process.kill() does not work on docker processes
+        await execAsync(`docker kill ${name}`, {
+            env: {
+                ...process.env,
+            },
+        });
+    }
+    catch (ex) {
+        console.error(ex);
+        throw new VisibleError(`Could not stop docker container ${name}`);
+    }
+}
+/**
+ * Runs a job to completion in a Docker container. Returns the name of the
+ * container.
+ */
+export async function startJobWorker(input, opts) {
+    const workers = await useRuntimeWorkers();
+    // Job container is special:
+    // 1. Not capable of receiving the `event` payload
+    //    - on `sst deploy`, the CodeBuild job is started with `SST_PAYLOAD` env var
+    //    - on `sst dev`, set `SST_DEBUG_JOB` env var here
+    // 2. Worker exits at the end of the run.
+    // Fetch request
+    const result = await init();
+    const awsRequestId = result.headers["lambda-runtime-aws-request-id"];
+    try {
+        return await dockerRun(input, {
+            ...opts,
+            envs: {
+                ...opts.envs,
+                SST_PAYLOAD: result.body,
+                // The job has no Lambda context to read the request id from
+                SST_JOB_ID: awsRequestId,
+            },
+        }, async (code) => {
+            code === 0 ? await success() : await error();
+            workers.exited(input.workerID);
+        });
+    }
+    catch (ex) {
+        await initError(ex);
+        workers.exited(input.workerID);
+    }
+    async function init() {
+        return await fetch({
+            path: `/runtime/invocation/next`,
+            method: "GET",
+            headers: {},
+        });
+    }
+    async function initError(ex) {
+        return await fetch({
+            path: `/runtime/init/error`,
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+                errorType: "Error",
+                errorMessage: ex.message,
+                trace: ex.stack?.split("\n"),
+            }),
+        });
+    }
+    async function success() {
+        while (true) {
+            try {
+                await fetch({
+                    path: `/runtime/invocation/${awsRequestId}/response`,
+                    method: "POST",
+                    headers: {
+                        "Content-Type": "application/json",
+                    },
+                    body: JSON.stringify("Job completed successfully"),
+                });
+                break;
+            }
+            catch (ex) {
+                console.error(ex);
+                await new Promise((resolve) => setTimeout(resolve, 500));
+            }
+        }
+    }
+    async function error() {
+        return await fetch({
+            path: `/runtime/invocation/${awsRequestId}/error`,
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+                errorType: "Error",
+                errorMessage: "Failed to run job",
+                trace: [],
+            }),
+        });
+    }
+    function fetch(req) {
+        return new Promise((resolve, reject) => {
+            const request = http.request(input.url + req.path, {
+                headers: req.headers,
+                method: req.method,
+            }, (res) => {
+                let body = "";
+                res.setEncoding("utf8");
+                res.on("data", (chunk) => {
+                    body += chunk.toString();
+                });
+                res.on("end", () => {
+                    resolve({
+                        statusCode: res.statusCode,
+                        headers: res.headers,
+                        body,
+                    });
+                });
+            });
+            request.on("error", reject);
+            if (req.body)
+                request.write(req.body);
+            request.end();
+        });
+    }
+}
+/**
+ * Creates the script that runs a Node.js job handler with the payload in
+ * `SST_PAYLOAD`, both on CodeBuild and in Docker on `sst dev`.
+ */
+export function createJobWrapper(handler) {
+    const parsed = path.parse(handler);
+    const importName = parsed.ext.substring(1);
+    const importPath = `./${path
+        .join(parsed.dir, parsed.name)
+        .split(path.sep)
+        .join(path.posix.sep)}.mjs`;
+    return [
+        `console.log("")`,
+        `console.log("//////////////////////")`,
+        `console.log("// Start of the job //")`,
+        `console.log("//////////////////////")`,
+        `console.log("")`,
+        `import { ${importName} } from "${importPath}";`,
+        `const event = JSON.parse(process.env.SST_PAYLOAD);`,
+        `const result = await ${importName}(event);`,
+        `console.log("")`,
+        `console.log("----------------------")`,
+        `console.log("")`,
+        `console.log("Result:", result);`,
+        `console.log("")`,
+        `console.log("//////////////////////")`,
+        `console.log("//  End of the job  //")`,
+        `console.log("//////////////////////")`,
+        `console.log("")`,
+        `process.exit(0)`,
+    ].join("\n");
+}
@@ -11,6 +11,7 @@ import { useRuntimeWorkers } from "../workers.js";
 import { Colors } from "../../cli/colors.js";
 import { Logger } from "../../logger.js";
 import { findAbove } from "../../util/fs.js";
+import { createJobWrapper, dockerStop, startJobWorker } from "./docker.js";
 export const useNodeHandler = () => {
     const rebuildCache = {};
     process.on("exit", () => {
@@ -20,6 +21,7 @@ export const useNodeHandler = () => {
     });
     const project = useProject();
     const threads = new Map();
+    const containers = new Map();
     return {
         shouldBuild: (input) => {
             const cache = rebuildCache[input.functionID];
@@ -33,6 +35,29 @@ export const useNodeHandler = () => {
         },
         canHandle: (input) => input.startsWith("nodejs"),
         startWorker: async (input) => {
+            // Jobs with `dev.docker` enabled run to completion in the same
+            // image CodeBuild uses, so they are not bound by the Lambda timeout
+            if (input.environment.SST_DEBUG_JOB && input.environment.SST_JOB_IMAGE) {
+                await fs.writeFile(path.join(input.out, "handler-wrapper.mjs"), createJobWrapper(input.handler));
+                const modules = await fs
+                    .realpath(path.join(input.out, "node_modules"))
+                    .catch(() => undefined);
+                const name = await startJobWorker(input, {
+                    image: input.environment.SST_JOB_IMAGE,
+                    entrypoint: "node",
+                    cmd: ["handler-wrapper.mjs"],
+                    args: [
+                        ...[project.paths.root, modules]
+                            .filter((dir) => dir)
+                            .flatMap((dir) => ["-v", `${dir}:${dir}`]),
+                        "-w",
+                        input.out,
+                    ],
+                });
+                if (name)
+                    containers.set(input.workerID, name);
+                return;
+            }
             const workers = await useRuntimeWorkers();
             new Promise(async () => {
                 const worker = new Worker(url.fileURLToPath(new URL("../../support/nodejs-runtime/index.mjs", import.meta.url)), {
@@ -57,6 +82,12 @@ export const useNodeHandler = () => {
             });
         },
         stopWorker: async (workerID) => {
+            const name = containers.get(workerID);
+            if (name) {
+                await dockerStop(name);
+                containers.delete(workerID);
+                return;
+            }
             const worker = threads.get(workerID);
             await worker?.terminate();
         },
@@ -0,0 +1,44 @@
+import type { CloudAssembly } from "aws-cdk-lib/cx-api";
+export declare const useLocalFunctions: () => {
+    /**
+     * Reads the environment variables of every live function from the
+     * synthesized templates. Values that are only known after deployment
+     * (ie. Ref, Fn::GetAtt) are left to `resolveDeployed` or `useBackend`.
+     */
+    update(assembly: CloudAssembly): void;
+    /**
+     * Points bound resources at the local emulator instead of leaving them
+     * unresolved
+     */
+    useBackend(url: string): void;
+    /**
+     * Fills in the bindings of a function that are only known after
+     * deployment from the parameters of the deployed stage. Throws if any
+     * of them cannot be found, ie. the stage was never deployed.
+     */
+    resolveDeployed(functionID: string): Promise<void>;
+    /**
+     * Throws if the function is bound to secrets that are not set locally
+     */
+    environment(functionID: string): Record<string, string | undefined>;
+};
+export type LocalInvokeResult = {
+    type: "success";
+    body: any;
+} | {
+    type: "error";
+    errorType: string;
+    errorMessage: string;
+    trace: string[];
+};
+export declare const useLocalInvoker: () => Promise<{
+    /**
+     * Invokes a function on a local worker, reusing an idle worker when
+     * there is one. Resolves once the function responds or fails.
+     */
+    invoke(functionID: string, event: any): Promise<LocalInvokeResult>;
+}>;
+/**
+ * The env file `sst dev --local` reads Secret and Parameter values from
+ */
+export declare function useLocalSecretsPath(): string;
@@ -0,0 +1,253 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { parse as parseEnv } from "dotenv";
+import { useBus } from "../bus.js";
+import { useProject } from "../project.js";
+import { Logger } from "../logger.js";
+import { Colors } from "../cli/colors.js";
+import { useFunctions, Function } from "../constructs/Function.js";
+import { useRuntimeWorkers } from "./workers.js";
+import { lazy } from "../util/lazy.js";
+import { VisibleError } from "../error.js";
+import { Config } from "../config.js";
+export const useLocalFunctions = lazy(() => {
+    const environments = new Map();
+    const unresolved = new Map();
+    let backend;
+    let secrets = {};
+    let deployed = {};
+    /**
+     * Bound Secrets and Parameters are fetched from SSM when the function
+     * starts, so they are filled in from the local secrets file instead. Other
+     * placeholders, ie. the url of a site or the public key of an Auth, are
+     * left for the function to fetch.
+     */
+    function resolvePlaceholders(variables) {
+        const missing = [];
+        const result = Object.fromEntries(Object.entries(variables).map(([key, value]) => {
+            const name = value === "__FETCH_FROM_SSM__" && isLocalSecretKey(key)
+                ? key.split("_").slice(3).join("_")
+                : value.startsWith("__FETCH_FROM_SECRET__:")
+                    ? value.split(":")[1]
+                    : undefined;
+            if (name === undefined)
+                return [key, value];
+            if (secrets[name] === undefined)
+                missing.push(name);
+            return [key, secrets[name]];
+        }));
+        if (missing.length) {
+            const file = path.relative(process.cwd(), useLocalSecretsPath());
+            throw new VisibleError(`The following secrets are not set locally: ${[
+                ...new Set(missing),
+            ].join(", ")}. Add them to "${file}", or run "sst secrets export ${file}" while online.`);
+        }
+        return result;
+    }
+    return {
+        /**
+         * Reads the environment variables of every live function from the
+         * synthesized templates. Values that are only known after deployment
+         * (ie. Ref, Fn::GetAtt) are left to `resolveDeployed` or `useBackend`.
+         */
+        update(assembly) {
+            environments.clear();
+            unresolved.clear();
+            deployed = {};
+            const secretsPath = useLocalSecretsPath();
+            secrets = fs.existsSync(secretsPath)
+                ? parseEnv(fs.readFileSync(secretsPath))
+                : {};
+            for (const stack of assembly.stacks) {
+                const resources = stack.template.Resources || {};
+                for (const resource of Object.values(resources)) {
+                    if (resource.Type !== "AWS::Lambda::Function")
+                        continue;
+                    const variables = resource.Properties?.Environment?.Variables || {};
+                    const functionID = variables.SST_FUNCTION_ID;
+                    if (typeof functionID !== "string")
+                        continue;
+                    environments.set(functionID, Object.fromEntries(Object.entries(variables).filter(([_, value]) => typeof value === "string")));
+                    unresolved.set(functionID, Object.keys(variables).filter((key) => key.startsWith("SST_") && typeof variables[key] !== "string"));
+                }
+            }
+            Logger.debug("Loaded environment for", environments.size, "local functions");
+        },
+        /**
+         * Points bound resources at the local emulator instead of leaving them
+         * unresolved
+         */
+        useBackend(url) {
+            backend = url;
+        },
+        /**
+         * Fills in the bindings of a function that are only known after
+         * deployment from the parameters of the deployed stage. Throws if any
+         * of them cannot be found, ie. the stage was never deployed.
+         */
+        async resolveDeployed(functionID) {
+            const keys = (unresolved.get(functionID) || []).filter((key) => deployed[key] === undefined);
+            if (!keys.length)
+                return;
+            let values = {};
+            try {
+                values = await Config.env();
+            }
+            catch (e) {
+                Logger.debug("Failed to fetch the deployed bindings", e);
+            }
+            const missing = keys.filter((key) => values[key] === undefined);
+            if (missing.length) {
+                const { stage } = useProject().config;
+                throw new VisibleError(`The following bindings are only known once the "${stage}" stage is deployed: ${missing.join(", ")}. Run "sst deploy" first, or invoke it with "sst dev" running.`);
+            }
+            for (const key of keys) {
+                deployed[key] = values[key];
+            }
+        },
+        /**
+         * Throws if the function is bound to secrets that are not set locally
+         */
+        environment(functionID) {
+            const project = useProject();
+            return {
+                ...process.env,
+                ...resolvePlaceholders(environments.get(functionID) || {}),
+                ...Object.fromEntries((unresolved.get(functionID) || [])
+                    .filter((key) => deployed[key] !== undefined)
+                    .map((key) => [key, deployed[key]])),
+                ...(backend
+                    ? {
+                        SST_LOCAL_BACKEND_URL: backend,
+                        ...Object.fromEntries((unresolved.get(functionID) || []).map((key) => {
+                            const [_SST, construct, prop, ...id] = key.split("_");
+                            return [
+                                key,
+                                localBindingValue(backend, construct, prop, id.join("_")),
+                            ];
+                        })),
+                    }
+                    : {}),
+                AWS_REGION: project.config.region,
+                AWS_LAMBDA_FUNCTION_NAME: functionID,
+                AWS_LAMBDA_FUNCTION_VERSION: "$LATEST",
+                SST_LOCAL: "true",
+            };
+        },
+    };
+});
+export const useLocalInvoker = lazy(async () => {
+    const bus = useBus();
+    const project = useProject();
+    const workers = await useRuntimeWorkers();
+    const functions = useLocalFunctions();
+    const idle = new Map();
+    const pending = new Map();
+    function release(workerID, functionID) {
+        let arr = idle.get(functionID);
+        if (!arr) {
+            arr = [];
+            idle.set(functionID, arr);
+        }
+        arr.push(workerID);
+    }
+    bus.subscribe("function.success", async (evt) => {
+        const request = pending.get(evt.properties.requestID);
+        if (!request)
+            return;
+        pending.delete(evt.properties.requestID);
+        release(evt.properties.workerID, evt.properties.functionID);
+        request.resolve({
+            type: "success",
+            body: evt.properties.body,
+        });
+    });
+    bus.subscribe("function.error", async (evt) => {
+        const request = pending.get(evt.properties.requestID);
+        if (!request)
+            return;
+        pending.delete(evt.properties.requestID);
+        release(evt.properties.workerID, evt.properties.functionID);
+        request.resolve({
+            type: "error",
+            errorType: evt.properties.errorType,
+            errorMessage: evt.properties.errorMessage,
+            trace: evt.properties.trace,
+        });
+    });
+    workers.subscribe("worker.exited", async (evt) => {
+        const arr = idle.get(evt.properties.functionID);
+        if (!arr)
+            return;
+        const index = arr.indexOf(evt.properties.workerID);
+        if (index >= 0)
+            arr.splice(index, 1);
+    });
+    return {
+        /**
+         * Invokes a function on a local worker, reusing an idle worker when
+         * there is one. Resolves once the function responds or fails.
+         */
+        invoke(functionID, event) {
+            const props = useFunctions().fromID(functionID);
+            if (!props)
+                throw new Error(`Function with ID "${functionID}" not found`);
+            let env;
+            try {
+                env = functions.environment(functionID);
+            }
+            catch (e) {
+                if (!(e instanceof VisibleError))
+                    throw e;
+                Colors.line(Colors.danger(`✖ `), e.message);
+                return Promise.resolve({
+                    type: "error",
+                    errorType: e.name,
+                    errorMessage: e.message,
+                    trace: [],
+                });
+            }
+            const workerID = idle.get(functionID)?.shift() ||
+                `${functionID}-${crypto.randomBytes(4).toString("hex")}`;
+            const requestID = crypto.randomUUID();
+            const deadline = Function.normalizeTimeout(props.timeout).toMilliseconds();
+            const result = new Promise((resolve) => {
+                pending.set(requestID, { resolve });
+            });
+            bus.publish("function.invoked", {
+                workerID,
+                functionID,
+                requestID,
+                env,
+                event,
+                context: {
+                    awsRequestId: requestID,
+                    invokedFunctionArn: `arn:aws:lambda:${project.config.region}:000000000000:function:${functionID}`,
+                    logGroupName: `/aws/lambda/${functionID}`,
+                    logStreamName: workerID,
+                },
+                deadline,
+            });
+            return result;
+        },
+    };
+});
+/**
+ * The env file `sst dev --local` reads Secret and Parameter values from
+ */
+export function useLocalSecretsPath() {
+    return path.join(useProject().paths.out, "secrets.local.env");
+}
+// The env vars of bound Secrets and Parameters, ie. SST_Secret_value_STRIPE_KEY
+function isLocalSecretKey(key) {
+    return (key.startsWith("SST_Secret_value_") ||
+        key.startsWith("SST_Parameter_value_"));
+}
+function localBindingValue(backend, construct, prop, id) {
+    if (construct === "Queue" && prop === "queueUrl")
+        return `${backend}/Queue/${id}`;
+    if (construct === "Topic" && prop === "topicArn")
+        return `arn:aws:sns:local:000000000000:${id}`;
+    return id;
+}
@@ -4,3 +4,13 @@ export declare const useRuntimeServerConfig: () => Promise<{
     url: string;
 }>;
 export declare const useRuntimeServer: () => Promise<void>;
+export declare const useLocalApiServerConfig: () => Promise<{
+    port: number;
+    url: string;
+}>;
+/**
+ * Serves the routes of every `Api` and `ApiGatewayV1Api` construct under
+ * `/<constructId>` and dispatches requests straight to local workers. Used by
+ * `sst dev --local`.
+ */
+export declare const useLocalApiServer: () => Promise<void>;
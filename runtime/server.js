@@ -1,7 +1,9 @@
 import express from "express";
+import crypto from "crypto";
 import { useBus } from "../bus.js";
 import { Logger } from "../logger.js";
 import { useRuntimeWorkers } from "./workers.js";
+import { useLocalInvoker } from "./local.js";
 import https from "https";
 import getPort from "get-port";
 import { lazy } from "../util/lazy.js";
@@ -148,3 +150,259 @@ export const useRuntimeServer = lazy(async () => {
     });
     app.listen(cfg.port);
 });
+export const useLocalApiServerConfig = lazy(async () => {
+    const port = await getPort({
+        port: 12558,
+    });
+    return {
+        port,
+        url: `http://localhost:${port}`,
+    };
+});
+/**
+ * Serves the routes of every `Api` and `ApiGatewayV1Api` construct under
+ * `/<constructId>` and dispatches requests straight to local workers. Used by
+ * `sst dev --local`.
+ */
+export const useLocalApiServer = lazy(async () => {
+    const bus = useBus();
+    const app = express();
+    let apis = new Map();
+    bus.subscribe("stacks.metadata", async (evt) => {
+        apis = new Map(Object.values(evt.properties)
+            .flat()
+            .filter((c) => c.type === "Api" || c.type === "ApiGatewayV1Api")
+            .map((c) => [
+            c.id,
+            {
+                id: c.id,
+                type: c.type,
+                routes: c.data.routes
+                    .filter((r) => r.fn)
+                    .map((r) => ({
+                    ...parseRouteKey(r.route),
+                    functionID: r.fn.node,
+                }))
+                    .sort(compareRoutes),
+            },
+        ]));
+        Logger.debug("Local API server routes", [...apis.keys()]);
+    });
+    const cfg = await useLocalApiServerConfig();
+    const invoker = await useLocalInvoker();
+    app.all(`/:apiID*`, express.raw({
+        type: "*/*",
+        limit: "10mb",
+    }), async (req, res) => {
+        const api = apis.get(req.params.apiID);
+        if (!api)
+            return res.status(404).json({ message: "Not Found" });
+        const url = new URL(req.url, cfg.url);
+        const path = url.pathname.substring(req.params.apiID.length + 1) || "/";
+        const segments = path.split("/").filter(Boolean);
+        const match = api.routes
+            .map((route) => ({
+            route,
+            params: matchRoute(route, req.method, segments),
+        }))
+            .find((item) => item.params);
+        if (!match)
+            return res.status(404).json({ message: "Not Found" });
+        const request = {
+            method: req.method,
+            path,
+            query: url.searchParams,
+            headers: req.headers,
+            body: req.body,
+            sourceIp: req.ip,
+        };
+        const event = api.type === "Api"
+            ? createHttpApiEvent(api, match.route, match.params, request)
+            : createRestApiEvent(api, match.route, match.params, request);
+        const result = await invoker.invoke(match.route.functionID, event);
+        if (result.type === "error")
+            return res.status(500).json({ message: "Internal Server Error" });
+        sendLambdaResponse(res, api.type, result.body);
+    });
+    app.listen(cfg.port);
+});
+function parseRouteKey(key) {
+    if (key === "$default")
+        return { key, method: "ANY", segments: undefined };
+    const [method, path] = key.split(" ");
+    return {
+        key,
+        method: method.toUpperCase(),
+        path,
+        segments: path.split("/").filter(Boolean),
+    };
+}
+function compareRoutes(a, b) {
+    // Mirror API Gateway's precedence: $default last, greedy paths after
+    // exact ones, more literal segments first, then explicit methods over ANY
+    const rank = (r) => [
+        r.segments ? 0 : 1,
+        r.segments?.some((s) => s.endsWith("+}")) ? 1 : 0,
+        -(r.segments?.filter((s) => !s.startsWith("{")).length || 0),
+        -(r.segments?.length || 0),
+        r.method === "ANY" ? 1 : 0,
+    ];
+    const ra = rank(a);
+    const rb = rank(b);
+    for (let i = 0; i < ra.length; i++) {
+        if (ra[i] !== rb[i])
+            return ra[i] - rb[i];
+    }
+    return 0;
+}
+function matchRoute(route, method, segments) {
+    if (route.method !== "ANY" && route.method !== method)
+        return;
+    if (!route.segments)
+        return {};
+    const params = {};
+    for (let i = 0; i < route.segments.length; i++) {
+        const segment = route.segments[i];
+        if (segment.startsWith("{") && segment.endsWith("+}")) {
+            if (i >= segments.length)
+                return;
+            params[segment.slice(1, -2)] = segments.slice(i).join("/");
+            return params;
+        }
+        if (i >= segments.length)
+            return;
+        if (segment.startsWith("{") && segment.endsWith("}")) {
+            params[segment.slice(1, -1)] = decodeURIComponent(segments[i]);
+            continue;
+        }
+        if (segment !== segments[i])
+            return;
+    }
+    if (route.segments.length !== segments.length)
+        return;
+    return params;
+}
+function encodeBody(headers, body) {
+    if (!Buffer.isBuffer(body) || body.length === 0)
+        return { body: undefined, isBase64Encoded: false };
+    const type = headers["content-type"] || "";
+    const isText = type.startsWith("text/") ||
+        ["json", "xml", "x-www-form-urlencoded", "graphql", "javascript"].some((t) => type.includes(t));
+    return isText
+        ? { body: body.toString("utf8"), isBase64Encoded: false }
+        : { body: body.toString("base64"), isBase64Encoded: true };
+}
+function createHttpApiEvent(api, route, params, request) {
+    const now = new Date();
+    const requestID = crypto.randomUUID();
+    const headers = Object.fromEntries(Object.entries(request.headers).map(([key, value]) => [
+        key,
+        Array.isArray(value) ? value.join(",") : value,
+    ]));
+    const query = {};
+    for (const [key, value] of request.query) {
+        query[key] = query[key] ? `${query[key]},${value}` : value;
+    }
+    return {
+        version: "2.0",
+        routeKey: route.key,
+        rawPath: request.path,
+        rawQueryString: request.query.toString(),
+        cookies: headers.cookie?.split(";").map((c) => c.trim()),
+        headers,
+        queryStringParameters: Object.keys(query).length ? query : undefined,
+        pathParameters: Object.keys(params).length ? params : undefined,
+        requestContext: {
+            accountId: "000000000000",
+            apiId: api.id,
+            domainName: headers.host,
+            domainPrefix: headers.host?.split(".")[0],
+            http: {
+                method: request.method,
+                path: request.path,
+                protocol: "HTTP/1.1",
+                sourceIp: request.sourceIp,
+                userAgent: headers["user-agent"],
+            },
+            requestId: requestID,
+            routeKey: route.key,
+            stage: "$default",
+            time: now.toISOString(),
+            timeEpoch: now.getTime(),
+        },
+        ...encodeBody(headers, request.body),
+    };
+}
+function createRestApiEvent(api, route, params, request) {
+    const headers = {};
+    const multiValueHeaders = {};
+    for (const [key, value] of Object.entries(request.headers)) {
+        const values = Array.isArray(value) ? value : [value];
+        headers[key] = values[values.length - 1];
+        multiValueHeaders[key] = values;
+    }
+    const query = {};
+    const multiValueQuery = {};
+    for (const [key, value] of request.query) {
+        query[key] = value;
+        multiValueQuery[key] = [...(multiValueQuery[key] || []), value];
+    }
+    return {
+        resource: route.path,
+        path: request.path,
+        httpMethod: request.method,
+        headers,
+        multiValueHeaders,
+        queryStringParameters: Object.keys(query).length ? query : null,
+        multiValueQueryStringParameters: Object.keys(query).length
+            ? multiValueQuery
+            : null,
+        pathParameters: Object.keys(params).length ? params : null,
+        stageVariables: null,
+        requestContext: {
+            accountId: "000000000000",
+            apiId: api.id,
+            httpMethod: request.method,
+            path: request.path,
+            protocol: "HTTP/1.1",
+            requestId: crypto.randomUUID(),
+            requestTimeEpoch: Date.now(),
+            resourcePath: route.path,
+            stage: "local",
+            identity: {
+                sourceIp: request.sourceIp,
+                userAgent: headers["user-agent"],
+            },
+        },
+        ...encodeBody(headers, request.body),
+    };
+}
+function sendLambdaResponse(res, type, body) {
+    // HTTP API infers the response format when a function returns anything
+    // other than an object with a statusCode
+    if (type === "Api" &&
+        (typeof body !== "object" || body === null || !("statusCode" in body))) {
+        return res
+            .status(200)
+            .type("application/json")
+            .send(typeof body === "string" ? body : JSON.stringify(body));
+    }
+    if (typeof body !== "object" || body === null || !body.statusCode)
+        return res.status(502).json({ message: "Internal server error" });
+    res.status(body.statusCode);
+    for (const [key, value] of Object.entries(body.headers || {})) {
+        res.header(key, String(value));
+    }
+    for (const [key, values] of Object.entries(body.multiValueHeaders || {})) {
+        res.header(key, values.map(String));
+    }
+    if (body.cookies?.length)
+        res.append("Set-Cookie", body.cookies);
+    if (body.body === undefined || body.body === null)
+        return res.send();
+    res.send(body.isBase64Encoded
+        ? Buffer.from(body.body, "base64")
+        : typeof body.body === "string"
+            ? body.body
+            : JSON.stringify(body.body));
+}
@@ -0,0 +1,21 @@
+import { Semaphore } from "../util/semaphore.js";
+/**
+ * Limits how many stacks are deployed or removed at the same time, based on
+ * the `deploy.concurrency` config
+ */
+export declare const useStackSemaphore: () => Semaphore;
+export declare function stackPriority(stack: {
+    findMetadataByType?: (type: string) => {
+        data?: any;
+    }[];
+}): number;
+/**
+ * Orders stacks so the ones with a higher priority are started first
+ */
+export declare function sortByPriority<T extends Parameters<typeof stackPriority>[0]>(stacks: T[]): T[];
+export declare function isThrottlingError(e: any): boolean;
+/**
+ * Retries the callback with an exponential backoff while CloudFormation
+ * responds with throttling errors
+ */
+export declare function retryThrottled<T>(cb: () => Promise<T>, attempts?: number): Promise<T>;
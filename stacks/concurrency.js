@@ -0,0 +1,50 @@
+import { useProject } from "../project.js";
+import { Logger } from "../logger.js";
+import { Semaphore } from "../util/semaphore.js";
+import { lazy } from "../util/lazy.js";
+/**
+ * Limits how many stacks are deployed or removed at the same time, based on
+ * the `deploy.concurrency` config
+ */
+export const useStackSemaphore = lazy(() => {
+    const concurrency = useProject().config.deploy?.concurrency;
+    return new Semaphore(concurrency && concurrency > 0 ? concurrency : Infinity);
+});
+export function stackPriority(stack) {
+    const entry = stack.findMetadataByType?.("sst:priority")[0];
+    return typeof entry?.data === "number" ? entry.data : 0;
+}
+/**
+ * Orders stacks so the ones with a higher priority are started first
+ */
+export function sortByPriority(stacks) {
+    return [...stacks].sort((a, b) => stackPriority(b) - stackPriority(a));
+}
+const THROTTLING_ERRORS = [
+    "Throttling",
+    "ThrottlingException",
+    "TooManyRequestsException",
+];
+export function isThrottlingError(e) {
+    return (THROTTLING_ERRORS.includes(e?.name) ||
+        THROTTLING_ERRORS.includes(e?.code) ||
+        e?.message === "Rate exceeded");
+}
+/**
+ * Retries the callback with an exponential backoff while CloudFormation
+ * responds with throttling errors
+ */
+export async function retryThrottled(cb, attempts = 8) {
+    for (let attempt = 1;; attempt++) {
+        try {
+            return await cb();
+        }
+        catch (e) {
+            if (!isThrottlingError(e) || attempt >= attempts)
+                throw e;
+            const delay = Math.min(2 ** attempt * 500, 30000) * (0.5 + Math.random() / 2);
+            Logger.debug("Throttled, retrying in", Math.round(delay), "ms", e.message);
+            await new Promise((resolve) => setTimeout(resolve, delay));
+        }
+    }
+}
@@ -7,3 +7,12 @@ export declare function deployMany(stacks: CloudFormationStackArtifact[]): Promi
     errors: Record<string, string>;
 }>>;
 export declare function deploy(stack: CloudFormationStackArtifact): Promise<StackDeploymentResult>;
+/**
+ * Keeps exports that are removed from the template but still imported by
+ * other stacks
+ */
+export declare function addInUseExports(stack: CloudFormationStackArtifact): Promise<void>;
+/**
+ * Lists the stacks importing an export
+ */
+export declare function listImports(exportName: string): Promise<string[]>;
@@ -4,6 +4,7 @@ import { useAWSClient, useAWSProvider } from "../credentials.js";
 import { Logger } from "../logger.js";
 import { filterOutputs, isFailed, monitor, } from "./monitor.js";
 import { VisibleError } from "../error.js";
+import { retryThrottled, sortByPriority, stackPriority, useStackSemaphore, } from "./concurrency.js";
 export async function publishAssets(stacks) {
     Logger.debug("Publishing assets");
     const provider = await useAWSProvider();
@@ -14,14 +15,14 @@ export async function publishAssets(stacks) {
             Key,
             Value,
         }));
-        const result = await publishDeployAssets(provider, {
+        const result = await retryThrottled(() => publishDeployAssets(provider, {
             stack: stack,
             quiet: false,
             deploymentMethod: {
                 method: "direct",
             },
             tags: stackTags,
-        });
+        }));
         results[stack.stackName] = result;
     }
     return results;
@@ -34,12 +35,13 @@ export async function deployMany(stacks) {
     const { CloudFormationStackArtifact } = await import("aws-cdk-lib/cx-api");
     await useAWSProvider();
     const bus = useBus();
+    const semaphore = useStackSemaphore();
     const complete = new Set();
     const todo = new Set(stacks.map((s) => s.id));
     const results = {};
     return new Promise((resolve) => {
         async function trigger() {
-            for (const stack of stacks) {
+            for (const stack of sortByPriority(stacks)) {
                 if (!todo.has(stack.id))
                     continue;
                 Logger.debug("Checking if", stack.id, "is ready to deploy");
@@ -47,7 +49,17 @@ export async function deployMany(stacks) {
                     !complete.has(dep.id) &&
                     stacks.some((s) => s.id === dep.id)))
                     continue;
-                deploy(stack).then((result) => {
+                semaphore
+                    .lock(stackPriority(stack))
+                    .then(async (unlock) => {
+                    try {
+                        return await deploy(stack);
+                    }
+                    finally {
+                        unlock();
+                    }
+                })
+                    .then((result) => {
                     results[stack.id] = result;
                     complete.add(stack.id);
                     if (isFailed(result.status))
@@ -93,7 +105,7 @@ export async function deploy(stack) {
             stackID: stack.stackName,
             status: "PUBLISH_ASSETS_IN_PROGRESS",
         });
-        const result = await deployment.deployStack({
+        const result = await retryThrottled(() => deployment.deployStack({
             stack: stack,
             quiet: true,
             tags: stackTags,
@@ -101,7 +113,7 @@ export async function deploy(stack) {
                 method: "direct",
             },
             toolkitStackName: cdk?.toolkitStackName,
-        });
+        }));
         if (result?.noOp) {
             bus.publish("stack.status", {
                 stackID: stack.stackName,
@@ -136,7 +148,11 @@ export async function deploy(stack) {
         };
     }
 }
-async function addInUseExports(stack) {
+/**
+ * Keeps exports that are removed from the template but still imported by
+ * other stacks
+ */
+export async function addInUseExports(stack) {
     // Get old outputs
     const oldOutputs = await getCloudFormationStackOutputs(stack);
     if (!oldOutputs)
@@ -217,7 +233,10 @@ async function getCloudFormationStackOutputs(stack) {
         }
     }
 }
-async function listImports(exportName) {
+/**
+ * Lists the stacks importing an export
+ */
+export async function listImports(exportName) {
     const { CloudFormationClient, ListImportsCommand } = await import("@aws-sdk/client-cloudformation");
     const client = useAWSClient(CloudFormationClient);
     try {
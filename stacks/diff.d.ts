@@ -1,8 +1,69 @@
 import type { CloudFormationStackArtifact } from "aws-cdk-lib/cx-api";
+export type DiffAction = "add" | "remove" | "update";
+export interface StackChanges {
+    resources: {
+        logicalId: string;
+        /**
+         * The construct path of the resource
+         */
+        path: string;
+        type?: string;
+        action: DiffAction;
+        impact: string;
+    }[];
+    outputs: {
+        key: string;
+        action: DiffAction;
+    }[];
+    iam: {
+        statements: ({
+            path: string;
+            action: Exclude<DiffAction, "update">;
+            sid?: string;
+            effect: string;
+            resources?: string[];
+            notResources?: string[];
+            actions?: string[];
+            notActions?: string[];
+            principals?: string[];
+            notPrincipals?: string[];
+            condition?: any;
+            /**
+             * The statement as JSON when it cannot be parsed, ie. when it is built with intrinsics
+             */
+            unparseable?: string;
+        })[];
+        managedPolicies: {
+            path: string;
+            action: Exclude<DiffAction, "update">;
+            identityArn: string;
+            managedPolicyArn: string;
+        }[];
+    };
+    securityGroups: {
+        path: string;
+        action: Exclude<DiffAction, "update">;
+        direction: "ingress" | "egress";
+        groupId: string;
+        ipProtocol: string;
+        fromPort?: number;
+        toPort?: number;
+        peer?: any;
+    }[];
+    /**
+     * Whether any of the changes add IAM permissions or security group rules
+     * that were not granted before. Narrowing a statement or a rule is not
+     * broadening.
+     */
+    permissionsBroadened: boolean;
+}
 export declare function diff(stack: CloudFormationStackArtifact, oldTemplate: any): Promise<{
     count: number;
     diff?: undefined;
+    changes: StackChanges;
 } | {
     count: number;
     diff: string;
+    changes: StackChanges;
 }>;
+export declare function buildLogicalToPathMap(stack: CloudFormationStackArtifact): Promise<Record<string, string>>;
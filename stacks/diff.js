@@ -1,9 +1,9 @@
 export async function diff(stack, oldTemplate) {
-    const { fullDiff, formatDifferences, TemplateDiff } = await import("@aws-cdk/cloudformation-diff");
+    const { fullDiff, formatDifferences } = await import("@aws-cdk/cloudformation-diff");
     // Generate diff
     const diff = fullDiff(oldTemplate, stack.template);
     if (diff.isEmpty) {
-        return { count: 0 };
+        return { count: 0, changes: emptyChanges() };
     }
     // Only display resource and output changes
     // @ts-ignore
@@ -29,6 +29,8 @@ export async function diff(stack, oldTemplate) {
     // Filter out SST internal diffs
     // @ts-ignore
     delete diff.outputs.diffs?.["SSTMetadata"];
+    const pathMap = await buildLogicalToPathMap(stack);
+    const changes = summarize(diff, pathMap, (logicalId) => fullDiff({ Resources: pick(oldTemplate, logicalId) }, { Resources: pick(stack.template, logicalId) }));
     // Format diff
     const output = [];
     const stream = {
@@ -36,7 +38,6 @@ export async function diff(stack, oldTemplate) {
             output.push(`   ${chunk}`);
         },
     };
-    const pathMap = await buildLogicalToPathMap(stack);
     formatDifferences(stream, diff, pathMap);
     // Remove trailing newline
     while (true) {
@@ -50,9 +51,201 @@ export async function diff(stack, oldTemplate) {
     return {
         count: diff.outputs.differenceCount + diff.resources.differenceCount,
         diff: output.join(""),
+        changes,
+    };
+}
+function emptyChanges() {
+    return {
+        resources: [],
+        outputs: [],
+        iam: { statements: [], managedPolicies: [] },
+        securityGroups: [],
+        permissionsBroadened: false,
     };
 }
-async function buildLogicalToPathMap(stack) {
+function pick(template, logicalId) {
+    const resource = template?.Resources?.[logicalId];
+    return resource ? { [logicalId]: resource } : {};
+}
+function actionOf(change) {
+    if (change.isAddition)
+        return "add";
+    if (change.isRemoval)
+        return "remove";
+    return "update";
+}
+/**
+ * Summarizes the resource, output, IAM and security group changes keyed by
+ * construct path. IAM and security group changes are computed per resource so
+ * each one can be traced back to the construct it belongs to.
+ */
+function summarize(diff, pathMap, diffResource) {
+    const changes = emptyChanges();
+    diff.resources.forEachDifference((logicalId, change) => {
+        const path = pathMap[logicalId] || logicalId;
+        changes.resources.push({
+            logicalId,
+            path,
+            type: change.resourceTypes.newType || change.resourceTypes.oldType,
+            action: actionOf(change),
+            impact: String(change.changeImpact).toLowerCase(),
+        });
+        const { iamChanges, securityGroupChanges } = diffResource(logicalId);
+        for (const [action, statements] of [
+            ["add", iamChanges.statements.additions],
+            ["remove", iamChanges.statements.removals],
+        ]) {
+            for (const statement of statements) {
+                changes.iam.statements.push({
+                    path,
+                    action,
+                    ...serializeStatement(statement),
+                });
+            }
+        }
+        for (const [action, policies] of [
+            ["add", iamChanges.managedPolicies.additions],
+            ["remove", iamChanges.managedPolicies.removals],
+        ]) {
+            for (const policy of policies) {
+                const json = policy._toJson();
+                changes.iam.managedPolicies.push({
+                    path,
+                    action,
+                    ...(json.type === "parsed"
+                        ? json.value
+                        : { identityArn: json.repr, managedPolicyArn: json.repr }),
+                });
+            }
+        }
+        for (const [direction, collection] of [
+            ["ingress", securityGroupChanges.ingress],
+            ["egress", securityGroupChanges.egress],
+        ]) {
+            for (const [action, rules] of [
+                ["add", collection.additions],
+                ["remove", collection.removals],
+            ]) {
+                for (const rule of rules) {
+                    changes.securityGroups.push({
+                        path,
+                        action,
+                        direction,
+                        ...rule.toJson(),
+                    });
+                }
+            }
+        }
+    });
+    diff.outputs.forEachDifference((key, change) => {
+        changes.outputs.push({ key, action: actionOf(change) });
+    });
+    changes.permissionsBroadened = isBroadened(changes);
+    return changes;
+}
+/**
+ * Flattens the statement into the shape of a policy statement. Statements
+ * with intrinsics the diff library cannot parse are kept as a string.
+ */
+function serializeStatement(statement) {
+    const json = statement._toJson();
+    if (json.type !== "parsed")
+        return { effect: "Unknown", unparseable: json.repr };
+    const { sid, effect, resources, actions, principals, condition } = json.value;
+    const targets = (name, value) => value.values.length
+        ? {
+            [value.not
+                ? `not${name[0].toUpperCase()}${name.slice(1)}`
+                : name]: value.values,
+        }
+        : {};
+    return {
+        sid,
+        effect,
+        ...targets("resources", resources),
+        ...targets("actions", actions),
+        ...targets("principals", principals),
+        condition,
+    };
+}
+/**
+ * Narrowing a statement or a rule shows up as a removal and an addition. So
+ * an addition only broadens the permissions when what it grants was not
+ * granted by one of the removals.
+ */
+function isBroadened(changes) {
+    const statementBroadened = changes.iam.statements.some((s) => {
+        // Removing a Deny grants whatever it denied
+        if (s.action === "remove")
+            return s.effect === "Deny";
+        if (s.effect === "Deny")
+            return false;
+        return !isStatementCovered(s, changes.iam.statements.filter((r) => r.action === "remove"));
+    });
+    const policyBroadened = changes.iam.managedPolicies.some((p) => p.action === "add" &&
+        !changes.iam.managedPolicies.some((r) => r.action === "remove" &&
+            r.identityArn === p.identityArn &&
+            r.managedPolicyArn === p.managedPolicyArn));
+    const ruleBroadened = changes.securityGroups.some((rule) => rule.action === "add" &&
+        !changes.securityGroups.some((r) => r.action === "remove" && isRuleCovered(rule, r)));
+    return statementBroadened || policyBroadened || ruleBroadened;
+}
+function isStatementCovered(added, removed) {
+    // Statements without actions or resources, ie. trust policies, or with
+    // the negated forms cannot be compared piecewise, only an identical
+    // removal covers them
+    if (added.effect !== "Allow" ||
+        !added.actions?.length ||
+        !added.resources?.length ||
+        added.notActions ||
+        added.notResources ||
+        added.notPrincipals)
+        return removed.some((r) => statementKey(r) === statementKey(added));
+    const candidates = removed.filter((r) => r.effect === "Allow" &&
+        !r.notActions &&
+        !r.notResources &&
+        !r.notPrincipals &&
+        sameList(r.principals, added.principals) &&
+        JSON.stringify(r.condition) === JSON.stringify(added.condition));
+    // Every action on every resource has to have been granted before
+    return added.actions.every((action) => added.resources.every((resource) => candidates.some((r) => r.actions?.some((pattern) => matches(pattern, action, true)) &&
+        r.resources?.some((pattern) => matches(pattern, resource)))));
+}
+function statementKey({ path, action, ...statement }) {
+    return JSON.stringify(Object.entries(statement)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, Array.isArray(value) ? [...value].sort() : value])
+        .sort(([a], [b]) => a.localeCompare(b)));
+}
+function isRuleCovered(added, removed) {
+    if (added.direction !== removed.direction ||
+        JSON.stringify(added.groupId) !== JSON.stringify(removed.groupId) ||
+        JSON.stringify(added.peer) !== JSON.stringify(removed.peer))
+        return false;
+    if (removed.ipProtocol === "-1")
+        return true;
+    if (added.ipProtocol !== removed.ipProtocol)
+        return false;
+    return ((removed.fromPort ?? -1) <= (added.fromPort ?? -1) &&
+        (removed.toPort ?? 65535) >= (added.toPort ?? 65535));
+}
+function sameList(a = [], b = []) {
+    return (a.length === b.length && [...a].sort().join("\n") === [...b].sort().join("\n"));
+}
+// IAM wildcards, `*` matches any sequence and `?` a single character. Actions
+// are case insensitive, resources are not.
+function matches(pattern, value, ignoreCase = false) {
+    if (pattern === value || pattern === "*")
+        return true;
+    if (!/[*?]/.test(pattern))
+        return false;
+    const regex = pattern
+        .split("")
+        .map((c) => c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\]/g, "\\$&"))
+        .join("");
+    return new RegExp(`^${regex}$`, ignoreCase ? "i" : "").test(value);
+}
+export async function buildLogicalToPathMap(stack) {
     const { ArtifactMetadataEntryType } = await import("@aws-cdk/cloud-assembly-schema");
     const map = {};
     for (const md of stack.findMetadataByType(ArtifactMetadataEntryType.LOGICAL_ID)) {
@@ -0,0 +1,40 @@
+import type { CloudFormationStackArtifact } from "aws-cdk-lib/cx-api";
+export interface StackDriftResult {
+    /**
+     * The drift status of the stack, "NOT_DEPLOYED" if it does not exist, or
+     * "TIMED_OUT" if drift detection did not finish in time
+     */
+    status: "DRIFTED" | "IN_SYNC" | "UNKNOWN" | "NOT_CHECKED" | "NOT_DEPLOYED" | "TIMED_OUT";
+    /**
+     * Set when drift detection failed for some of the resources, or timed out
+     */
+    reason?: string;
+    resources: {
+        logicalId: string;
+        /**
+         * The construct path of the resource
+         */
+        path: string;
+        type: string;
+        physicalId?: string;
+        status: "MODIFIED" | "DELETED";
+        differences: {
+            property: string;
+            type: "ADD" | "REMOVE" | "NOT_EQUAL";
+            expected: string;
+            actual: string;
+        }[];
+    }[];
+}
+/**
+ * Runs CloudFormation drift detection on a stack and waits for it to finish.
+ * Drifted resources are mapped back to their construct paths.
+ */
+export declare function drift(stack: CloudFormationStackArtifact, opts?: {
+    /**
+     * The number of seconds to wait for drift detection to finish
+     *
+     * @default 600
+     */
+    timeout?: number;
+}): Promise<StackDriftResult>;
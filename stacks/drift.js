@@ -0,0 +1,85 @@
+import { CloudFormationClient, DescribeStackDriftDetectionStatusCommand, DescribeStackResourceDriftsCommand, DetectStackDriftCommand, } from "@aws-sdk/client-cloudformation";
+import { useAWSClient } from "../credentials.js";
+import { Logger } from "../logger.js";
+import { buildLogicalToPathMap } from "./diff.js";
+/**
+ * Runs CloudFormation drift detection on a stack and waits for it to finish.
+ * Drifted resources are mapped back to their construct paths.
+ */
+export async function drift(stack, opts) {
+    const timeout = opts?.timeout ?? 600;
+    const cfn = useAWSClient(CloudFormationClient);
+    let detectionId;
+    try {
+        const result = await cfn.send(new DetectStackDriftCommand({
+            StackName: stack.stackName,
+        }));
+        detectionId = result.StackDriftDetectionId;
+    }
+    catch (ex) {
+        if (ex.name === "ValidationError" && ex.message.includes("does not exist")) {
+            return {
+                status: "NOT_DEPLOYED",
+                resources: [],
+            };
+        }
+        throw ex;
+    }
+    Logger.debug("Started drift detection", stack.stackName, detectionId);
+    const deadline = Date.now() + timeout * 1000;
+    while (true) {
+        const status = await cfn.send(new DescribeStackDriftDetectionStatusCommand({
+            StackDriftDetectionId: detectionId,
+        }));
+        Logger.debug("Drift detection status", status);
+        if (status.DetectionStatus !== "DETECTION_IN_PROGRESS") {
+            const pathMap = await buildLogicalToPathMap(stack);
+            const drifts = await listResourceDrifts(stack.stackName);
+            return {
+                status: status.StackDriftStatus,
+                // DETECTION_FAILED still reports drift for the resources that
+                // could be checked
+                reason: status.DetectionStatus === "DETECTION_FAILED"
+                    ? status.DetectionStatusReason
+                    : undefined,
+                resources: drifts.map((drift) => ({
+                    logicalId: drift.LogicalResourceId,
+                    path: pathMap[drift.LogicalResourceId] || drift.LogicalResourceId,
+                    type: drift.ResourceType,
+                    physicalId: drift.PhysicalResourceId,
+                    status: drift.StackResourceDriftStatus,
+                    differences: (drift.PropertyDifferences || []).map((diff) => ({
+                        property: diff.PropertyPath,
+                        type: diff.DifferenceType,
+                        expected: diff.ExpectedValue,
+                        actual: diff.ActualValue,
+                    })),
+                })),
+            };
+        }
+        if (Date.now() >= deadline) {
+            Logger.debug("Drift detection timed out", stack.stackName, detectionId);
+            return {
+                status: "TIMED_OUT",
+                reason: `Drift detection did not finish within ${timeout} seconds`,
+                resources: [],
+            };
+        }
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+}
+async function listResourceDrifts(stackName) {
+    const cfn = useAWSClient(CloudFormationClient);
+    const drifts = [];
+    let nextToken;
+    do {
+        const result = await cfn.send(new DescribeStackResourceDriftsCommand({
+            StackName: stackName,
+            StackResourceDriftStatusFilters: ["MODIFIED", "DELETED"],
+            NextToken: nextToken,
+        }));
+        drifts.push(...(result.StackResourceDrifts || []));
+        nextToken = result.NextToken;
+    } while (nextToken);
+    return drifts;
+}
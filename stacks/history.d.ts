@@ -0,0 +1,41 @@
+import type { CloudAssembly, CloudFormationStackArtifact } from "aws-cdk-lib/cx-api";
+export interface Deployment {
+    id: string;
+    createdAt: string;
+    commit?: string;
+    branch?: string;
+    /**
+     * The git user, or the local user when not in a git repo
+     */
+    user: string;
+    /**
+     * The AWS identity the deployment was made with
+     */
+    identity?: string;
+    stacks: string[];
+    /**
+     * The asset hashes of each stack
+     */
+    assets: Record<string, string[]>;
+    /**
+     * The deployment that was redeployed, when created by `sst rollback`
+     */
+    rollbackOf?: string;
+}
+/**
+ * Archives the cloud assembly of a successful deployment to the bootstrap
+ * bucket, so the deployed stacks can be redeployed later with `sst rollback`.
+ * Only the latest deployments of the stage are kept.
+ */
+export declare function archiveDeployment(assembly: CloudAssembly, stacks: CloudFormationStackArtifact[], opts?: {
+    rollbackOf?: string;
+}): Promise<Deployment>;
+/**
+ * Lists the archived deployments of the stage, newest first
+ */
+export declare function listDeployments(): Promise<Deployment[]>;
+/**
+ * Downloads and extracts the cloud assembly of an archived deployment.
+ * Returns the directory it was extracted to.
+ */
+export declare function downloadDeployment(id: string): Promise<string>;
@@ -0,0 +1,192 @@
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+import AdmZip from "adm-zip";
+import { S3Client, DeleteObjectsCommand, GetObjectCommand, ListObjectsV2Command, PutObjectCommand, } from "@aws-sdk/client-s3";
+import { useBootstrap } from "../bootstrap.js";
+import { useAWSCredentials, useSTSIdentity } from "../credentials.js";
+import { Logger } from "../logger.js";
+import { useProject } from "../project.js";
+import { VisibleError } from "../error.js";
+import { execAsync } from "../util/process.js";
+// Older deployments are removed from the bootstrap bucket
+const DEPLOYMENTS_TO_KEEP = 50;
+/**
+ * Archives the cloud assembly of a successful deployment to the bootstrap
+ * bucket, so the deployed stacks can be redeployed later with `sst rollback`.
+ * Only the latest deployments of the stage are kept.
+ */
+export async function archiveDeployment(assembly, stacks, opts = {}) {
+    Logger.debug("Archiving deployment");
+    const [s3, bootstrap] = await useS3();
+    const id = Date.now().toString();
+    // The manifest, templates and asset manifests are enough to redeploy, the
+    // assets themselves were already published
+    const zip = new AdmZip();
+    for (const file of await fs.readdir(assembly.directory)) {
+        if (file.endsWith(".json"))
+            zip.addLocalFile(path.join(assembly.directory, file));
+    }
+    await s3.send(new PutObjectCommand({
+        Key: `${usePrefix()}${id}/assembly.zip`,
+        Bucket: bootstrap.bucket,
+        Body: zip.toBuffer(),
+    }));
+    const deployment = {
+        id,
+        createdAt: new Date().toISOString(),
+        ...(await getGitInfo()),
+        identity: (await useSTSIdentity()).Arn,
+        stacks: stacks.map((s) => s.stackName),
+        assets: await getAssetHashes(stacks),
+        rollbackOf: opts.rollbackOf,
+    };
+    await s3.send(new PutObjectCommand({
+        Key: `${usePrefix()}${id}.json`,
+        Bucket: bootstrap.bucket,
+        Body: JSON.stringify(deployment),
+    }));
+    await pruneDeployments().catch((e) => {
+        Logger.debug("Failed to remove old deployments", e);
+    });
+    return deployment;
+}
+/**
+ * Lists the archived deployments of the stage, newest first
+ */
+export async function listDeployments() {
+    Logger.debug("Listing deployments");
+    const [s3, bootstrap] = await useS3();
+    const keys = [];
+    let token;
+    do {
+        const list = await s3.send(new ListObjectsV2Command({
+            Prefix: usePrefix(),
+            Bucket: bootstrap.bucket,
+            Delimiter: "/",
+            ContinuationToken: token,
+        }));
+        keys.push(...(list.Contents || [])
+            .map((obj) => obj.Key)
+            .filter((key) => key.endsWith(".json")));
+        token = list.NextContinuationToken;
+    } while (token);
+    const deployments = await Promise.all(keys.map(async (key) => {
+        const result = await s3.send(new GetObjectCommand({
+            Key: key,
+            Bucket: bootstrap.bucket,
+        }));
+        return JSON.parse(await result.Body.transformToString());
+    }));
+    return deployments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+/**
+ * Downloads and extracts the cloud assembly of an archived deployment.
+ * Returns the directory it was extracted to.
+ */
+export async function downloadDeployment(id) {
+    const [s3, bootstrap] = await useS3();
+    const project = useProject();
+    let body;
+    try {
+        const result = await s3.send(new GetObjectCommand({
+            Key: `${usePrefix()}${id}/assembly.zip`,
+            Bucket: bootstrap.bucket,
+        }));
+        body = await result.Body.transformToByteArray();
+    }
+    catch (ex) {
+        Logger.debug("Downloading deployment failed", ex);
+        throw new VisibleError(`Could not find deployment "${id}" in the "${project.config.stage}" stage`);
+    }
+    const dir = path.join(project.paths.out, "deployments", id);
+    await fs.rm(dir, { recursive: true, force: true });
+    new AdmZip(Buffer.from(body)).extractAllTo(dir, true);
+    return dir;
+}
+async function pruneDeployments() {
+    const [s3, bootstrap] = await useS3();
+    const prefix = usePrefix();
+    const keys = [];
+    let token;
+    do {
+        const list = await s3.send(new ListObjectsV2Command({
+            Prefix: prefix,
+            Bucket: bootstrap.bucket,
+            ContinuationToken: token,
+        }));
+        keys.push(...(list.Contents || []).map((obj) => obj.Key));
+        token = list.NextContinuationToken;
+    } while (token);
+    // Deployment ids are timestamps
+    const old = new Set(keys
+        .filter((key) => key.endsWith(".json"))
+        .map((key) => key.slice(prefix.length, -".json".length))
+        .sort((a, b) => Number(b) - Number(a))
+        .slice(DEPLOYMENTS_TO_KEEP));
+    if (!old.size)
+        return;
+    Logger.debug("Removing", old.size, "old deployments");
+    const stale = keys.filter((key) => old.has(key.slice(prefix.length).split(/[./]/)[0]));
+    for (let i = 0; i < stale.length; i += 1000) {
+        await s3.send(new DeleteObjectsCommand({
+            Bucket: bootstrap.bucket,
+            Delete: {
+                Objects: stale.slice(i, i + 1000).map((Key) => ({ Key })),
+                Quiet: true,
+            },
+        }));
+    }
+}
+async function useS3() {
+    const [project, credentials, bootstrap] = await Promise.all([
+        useProject(),
+        useAWSCredentials(),
+        useBootstrap(),
+    ]);
+    const s3 = new S3Client({
+        region: project.config.region,
+        credentials,
+    });
+    return [s3, bootstrap];
+}
+function usePrefix() {
+    const project = useProject();
+    return `deployments/app.${project.config.name}/stage.${project.config.stage}/`;
+}
+async function getGitInfo() {
+    const git = async (cmd) => {
+        try {
+            const { stdout } = await execAsync(`git ${cmd}`);
+            return stdout.trim() || undefined;
+        }
+        catch {
+            return;
+        }
+    };
+    const [commit, branch, email] = await Promise.all([
+        git("rev-parse HEAD"),
+        git("rev-parse --abbrev-ref HEAD"),
+        git("config user.email"),
+    ]);
+    return {
+        commit,
+        branch,
+        user: email || os.userInfo().username,
+    };
+}
+async function getAssetHashes(stacks) {
+    const { AssetManifestArtifact } = await import("aws-cdk-lib/cx-api");
+    const result = {};
+    for (const stack of stacks) {
+        const hashes = [];
+        for (const dep of stack.dependencies) {
+            if (!(dep instanceof AssetManifestArtifact))
+                continue;
+            const manifest = JSON.parse(await fs.readFile(dep.file).then((x) => x.toString()));
+            hashes.push(...Object.keys(manifest.files || {}), ...Object.keys(manifest.dockerImages || {}));
+        }
+        result[stack.stackName] = hashes;
+    }
+    return result;
+}
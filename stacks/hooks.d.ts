@@ -0,0 +1,8 @@
+import type { SSTHooks } from "../project.js";
+type HookInput<Name extends keyof SSTHooks> = Omit<Parameters<Exclude<SSTHooks[Name], undefined>>[0], "app" | "stage" | "region">;
+/**
+ * Runs one of the `hooks` defined in the sst.config. An error thrown by the
+ * hook fails the command.
+ */
+export declare function runHook<Name extends keyof SSTHooks>(name: Name, input: HookInput<Name>): Promise<void>;
+export {};
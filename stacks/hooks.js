@@ -0,0 +1,28 @@
+import { useProject } from "../project.js";
+import { Logger } from "../logger.js";
+import { VisibleError } from "../error.js";
+/**
+ * Runs one of the `hooks` defined in the sst.config. An error thrown by the
+ * hook fails the command.
+ */
+export async function runHook(name, input) {
+    const project = useProject();
+    const hook = project.hooks?.[name];
+    if (!hook)
+        return;
+    Logger.debug("Running hook", name);
+    try {
+        await hook({
+            app: project.config.name,
+            stage: project.config.stage,
+            region: project.config.region,
+            ...input,
+        });
+    }
+    catch (e) {
+        Logger.debug("Hook failed", name, e);
+        if (e instanceof VisibleError)
+            throw e;
+        throw new VisibleError(`The "${name}" hook failed: ${e?.message ?? e}`);
+    }
+}
@@ -3,8 +3,14 @@ export * from "./assembly.js";
 export * from "./build.js";
 export * from "./deploy.js";
 export * from "./diff.js";
+export * from "./drift.js";
+export * from "./history.js";
+export * from "./hooks.js";
 export * from "./metadata.js";
+export * from "./plan.js";
 export * from "./synth.js";
 export * from "./monitor.js";
+export * from "./outputs.js";
 export * from "./remove.js";
+export * from "./stages.js";
 export * as Stacks from "./index.js";
@@ -0,0 +1,6 @@
+/**
+ * Fetches the live outputs of every stack in the stage, without deploying.
+ * Besides the CloudFormation outputs, the string and number values in the
+ * construct metadata are included as `<constructID>.<prop>`, ie. `Api.url`.
+ */
+export declare function outputs(): Promise<Record<string, Record<string, string>>>;
@@ -0,0 +1,41 @@
+import { CloudFormationClient, DescribeStacksCommand, } from "@aws-sdk/client-cloudformation";
+import { useAWSClient } from "../credentials.js";
+import { useProject } from "../project.js";
+import { Logger } from "../logger.js";
+import { metadata } from "./metadata.js";
+import { filterOutputs } from "./monitor.js";
+/**
+ * Fetches the live outputs of every stack in the stage, without deploying.
+ * Besides the CloudFormation outputs, the string and number values in the
+ * construct metadata are included as `<constructID>.<prop>`, ie. `Api.url`.
+ */
+export async function outputs() {
+    const project = useProject();
+    const cfn = useAWSClient(CloudFormationClient);
+    const result = {};
+    let nextToken;
+    do {
+        const page = await cfn.send(new DescribeStacksCommand({ NextToken: nextToken }));
+        for (const stack of page.Stacks || []) {
+            const tags = Object.fromEntries((stack.Tags || []).map((t) => [t.Key, t.Value]));
+            if (tags["sst:app"] !== project.config.name ||
+                tags["sst:stage"] !== project.config.stage)
+                continue;
+            result[stack.StackName] = filterOutputs(Object.fromEntries((stack.Outputs || []).map((o) => [o.OutputKey, o.OutputValue])));
+        }
+        nextToken = page.NextToken;
+    } while (nextToken);
+    Logger.debug("Fetched outputs from", Object.keys(result).length, "stacks");
+    const constructs = Object.values(await metadata()).flat();
+    for (const construct of constructs) {
+        const target = result[construct.stack];
+        if (!target)
+            continue;
+        for (const [prop, value] of Object.entries(construct.data || {})) {
+            if (typeof value !== "string" && typeof value !== "number")
+                continue;
+            target[`${construct.id}.${prop}`] = String(value);
+        }
+    }
+    return result;
+}
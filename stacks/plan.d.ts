@@ -0,0 +1,52 @@
+import type { CloudFormationStackArtifact } from "aws-cdk-lib/cx-api";
+import { StackDeploymentResult } from "./monitor.js";
+export interface PlanChange {
+    action: "Add" | "Modify" | "Remove" | "Import" | "Dynamic";
+    logicalId: string;
+    /**
+     * The construct path of the resource
+     */
+    path: string;
+    type: string;
+    replacement?: "True" | "False" | "Conditional";
+    /**
+     * Whether the resource holds data, ie. a DynamoDB table or S3 bucket
+     */
+    stateful: boolean;
+}
+export interface PlanStack {
+    id: string;
+    stackName: string;
+    changeSetName: string;
+    changeSetId?: string;
+    /**
+     * Hash of the deployed template when the plan was created, not set for new
+     * stacks
+     */
+    deployedTemplateHash?: string;
+    noOp: boolean;
+    changes: PlanChange[];
+}
+export interface Plan {
+    version: 1;
+    app: string;
+    stage: string;
+    region: string;
+    createdAt: string;
+    /**
+     * Directory of the cloud assembly the plan was created from
+     */
+    assembly: string;
+    stacks: PlanStack[];
+}
+/**
+ * Creates a change set for each stack without executing it. The change sets
+ * are executed later with `applyPlan`. Refuses to plan stacks that import
+ * exports that are new or changed in the plan.
+ */
+export declare function createPlan(stacks: CloudFormationStackArtifact[], assembly: string): Promise<Plan>;
+/**
+ * Executes the change sets in a plan, in the order they were planned. Fails
+ * before executing anything if a stack was updated after the plan was made.
+ */
+export declare function applyPlan(plan: Plan): Promise<Record<string, StackDeploymentResult>>;
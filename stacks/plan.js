@@ -0,0 +1,284 @@
+import crypto from "crypto";
+import { CloudFormationClient, DescribeChangeSetCommand, DescribeStacksCommand, ExecuteChangeSetCommand, GetTemplateCommand, } from "@aws-sdk/client-cloudformation";
+import { useBus } from "../bus.js";
+import { useProject } from "../project.js";
+import { useAWSClient, useAWSProvider } from "../credentials.js";
+import { Logger } from "../logger.js";
+import { VisibleError } from "../error.js";
+import { isFailed, monitor } from "./monitor.js";
+import { addInUseExports } from "./deploy.js";
+import { buildLogicalToPathMap } from "./diff.js";
+// Resources that hold data, replacing or deleting these loses it
+const STATEFUL_TYPES = [
+    "AWS::DynamoDB::Table",
+    "AWS::DynamoDB::GlobalTable",
+    "AWS::S3::Bucket",
+    "AWS::RDS::DBCluster",
+    "AWS::RDS::DBInstance",
+    "AWS::Cognito::UserPool",
+    "AWS::Kinesis::Stream",
+    "AWS::SQS::Queue",
+    "AWS::EFS::FileSystem",
+    "AWS::Logs::LogGroup",
+];
+/**
+ * Creates a change set for each stack without executing it. The change sets
+ * are executed later with `applyPlan`. Refuses to plan stacks that import
+ * exports that are new or changed in the plan.
+ */
+export async function createPlan(stacks, assembly) {
+    if (stacks.length === 0) {
+        throw new VisibleError("No stacks to deploy");
+    }
+    const project = useProject();
+    const { cdk } = project.config;
+    const provider = await useAWSProvider();
+    const { Deployments } = await import("../cdk/deployments.js");
+    const deployment = new Deployments({ sdkProvider: provider });
+    const createdAt = new Date();
+    const changeSetName = `sst-plan-${createdAt.getTime()}`;
+    const result = {
+        version: 1,
+        app: project.config.name,
+        stage: project.config.stage,
+        region: project.config.region,
+        createdAt: createdAt.toISOString(),
+        assembly,
+        stacks: [],
+    };
+    await checkCrossStackExports(stacks);
+    for (const stack of stacks) {
+        Logger.debug("Planning stack", stack.id);
+        await addInUseExports(stack);
+        const deployed = await getDeployedTemplate(stack.stackName);
+        const stackTags = Object.entries(stack.tags ?? {}).map(([Key, Value]) => ({
+            Key,
+            Value,
+        }));
+        const deployResult = await deployment.deployStack({
+            stack,
+            quiet: true,
+            tags: stackTags,
+            deploymentMethod: {
+                method: "change-set",
+                changeSetName,
+                execute: false,
+            },
+            toolkitStackName: cdk?.toolkitStackName,
+        });
+        const entry = {
+            id: stack.id,
+            stackName: stack.stackName,
+            changeSetName,
+            deployedTemplateHash: deployed && hash(deployed),
+            noOp: Boolean(deployResult.noOp),
+            changes: [],
+        };
+        if (!entry.noOp) {
+            const pathMap = await buildLogicalToPathMap(stack);
+            const changeSet = await describeChangeSet(stack.stackName, changeSetName);
+            entry.changeSetId = changeSet.ChangeSetId;
+            entry.changes = changeSet.Changes.map(({ ResourceChange: change }) => ({
+                action: change.Action,
+                logicalId: change.LogicalResourceId,
+                path: pathMap[change.LogicalResourceId] || change.LogicalResourceId,
+                type: change.ResourceType,
+                replacement: change.Replacement,
+                stateful: STATEFUL_TYPES.includes(change.ResourceType),
+            }));
+        }
+        result.stacks.push(entry);
+    }
+    return result;
+}
+/**
+ * Executes the change sets in a plan, in the order they were planned. Fails
+ * before executing anything if a stack was updated after the plan was made.
+ */
+export async function applyPlan(plan) {
+    const project = useProject();
+    if (plan.version !== 1)
+        throw new VisibleError(`Unsupported plan version "${plan.version}"`);
+    if (plan.app !== project.config.name ||
+        plan.stage !== project.config.stage ||
+        plan.region !== project.config.region)
+        throw new VisibleError(`This plan was created for the "${plan.stage}" stage of "${plan.app}" in ${plan.region}`);
+    // Verify every stack before touching any of them
+    for (const entry of plan.stacks) {
+        if (entry.noOp)
+            continue;
+        // New stacks wait in REVIEW_IN_PROGRESS until the change set runs
+        const changed = entry.deployedTemplateHash
+            ? hash((await getDeployedTemplate(entry.stackName)) || "") !==
+                entry.deployedTemplateHash
+            : (await getStackStatus(entry.stackName)) !== "REVIEW_IN_PROGRESS";
+        if (changed)
+            throw new VisibleError(`The "${entry.stackName}" stack changed after the plan was created. Run "sst deploy --plan" again.`);
+        const changeSet = await describeChangeSet(entry.stackName, entry.changeSetName);
+        if (changeSet.ChangeSetId !== entry.changeSetId ||
+            changeSet.ExecutionStatus !== "AVAILABLE")
+            throw new VisibleError(`The change set for the "${entry.stackName}" stack can no longer be executed (${changeSet.ExecutionStatus}: ${changeSet.StatusReason || "no reason given"}). Run "sst deploy --plan" again.`);
+    }
+    const bus = useBus();
+    const cfn = useAWSClient(CloudFormationClient);
+    const results = {};
+    for (const [index, entry] of plan.stacks.entries()) {
+        if (entry.noOp) {
+            const result = await monitor(entry.stackName);
+            bus.publish("stack.status", {
+                stackID: entry.stackName,
+                status: "SKIPPED",
+            });
+            results[entry.id] = { ...result, status: "SKIPPED" };
+            continue;
+        }
+        try {
+            await cfn.send(new ExecuteChangeSetCommand({
+                StackName: entry.stackName,
+                ChangeSetName: entry.changeSetName,
+            }));
+            bus.publish("stack.updated", {
+                stackID: entry.stackName,
+            });
+            results[entry.id] = await monitor(entry.stackName);
+        }
+        catch (ex) {
+            Logger.debug("Failed to execute change set", entry.stackName, ex);
+            bus.publish("stack.status", {
+                stackID: entry.stackName,
+                status: "UPDATE_FAILED",
+            });
+            results[entry.id] = {
+                errors: {
+                    stack: ex.message,
+                },
+                outputs: {},
+                status: "UPDATE_FAILED",
+            };
+        }
+        if (isFailed(results[entry.id].status)) {
+            for (const rest of plan.stacks.slice(index + 1)) {
+                results[rest.id] = {
+                    status: "DEPENDENCY_FAILED",
+                    outputs: {},
+                    errors: {},
+                };
+                bus.publish("stack.status", {
+                    stackID: rest.stackName,
+                    status: "DEPENDENCY_FAILED",
+                });
+            }
+            break;
+        }
+    }
+    return results;
+}
+/**
+ * Change sets resolve `Fn::ImportValue` against the exports that are deployed
+ * when they are created. So a stack importing an export that another stack in
+ * the plan adds or changes would fail to plan, or be applied with the old
+ * value.
+ */
+async function checkCrossStackExports(stacks) {
+    const exporters = new Map();
+    for (const stack of stacks) {
+        for (const output of Object.values(stack.template.Outputs || {})) {
+            if (typeof output.Export?.Name === "string")
+                exporters.set(output.Export.Name, { stack, output });
+        }
+    }
+    const deployedOutputs = new Map();
+    const conflicts = [];
+    for (const stack of stacks) {
+        for (const name of findImports(stack.template)) {
+            const exporter = exporters.get(name);
+            if (!exporter || exporter.stack === stack)
+                continue;
+            const { stackName } = exporter.stack;
+            if (!deployedOutputs.has(stackName)) {
+                const template = await getDeployedTemplate(stackName);
+                deployedOutputs.set(stackName, Object.values((template && JSON.parse(template).Outputs) || {}));
+            }
+            const deployed = deployedOutputs
+                .get(stackName)
+                .find((output) => output.Export?.Name === name);
+            if (deployed &&
+                JSON.stringify(deployed.Value) === JSON.stringify(exporter.output.Value))
+                continue;
+            conflicts.push({ importer: stack, exporter: exporter.stack, name });
+        }
+    }
+    if (!conflicts.length)
+        return;
+    const exporterIds = [...new Set(conflicts.map((c) => c.exporter.id))];
+    throw new VisibleError([
+        "Cannot create a plan when a stack imports a value another stack adds or changes in the same deploy:",
+        ...conflicts.map((c) => `  - "${c.importer.id}" imports "${c.name}" from "${c.exporter.id}"`),
+        `Deploy ${exporterIds.map((id) => `"${id}"`).join(", ")} first, ie. "sst deploy ${exporterIds[0]}", then create the plan again.`,
+    ].join("\n"));
+}
+function findImports(value, names = new Set()) {
+    if (Array.isArray(value)) {
+        value.forEach((item) => findImports(item, names));
+    }
+    else if (value && typeof value === "object") {
+        for (const [key, child] of Object.entries(value)) {
+            if (key === "Fn::ImportValue" && typeof child === "string")
+                names.add(child);
+            else
+                findImports(child, names);
+        }
+    }
+    return names;
+}
+async function describeChangeSet(stackName, changeSetName) {
+    const cfn = useAWSClient(CloudFormationClient);
+    let nextToken;
+    let result;
+    do {
+        const page = await cfn.send(new DescribeChangeSetCommand({
+            StackName: stackName,
+            ChangeSetName: changeSetName,
+            NextToken: nextToken,
+        }));
+        result = result
+            ? { ...result, Changes: [...result.Changes, ...(page.Changes || [])] }
+            : { ...page, Changes: page.Changes || [] };
+        nextToken = page.NextToken;
+    } while (nextToken);
+    return result;
+}
+async function getStackStatus(stackName) {
+    const cfn = useAWSClient(CloudFormationClient);
+    try {
+        const response = await cfn.send(new DescribeStacksCommand({
+            StackName: stackName,
+        }));
+        return response.Stacks?.[0]?.StackStatus;
+    }
+    catch (e) {
+        if (e.name === "ValidationError" && e.message.includes("does not exist")) {
+            return;
+        }
+        throw e;
+    }
+}
+async function getDeployedTemplate(stackName) {
+    const cfn = useAWSClient(CloudFormationClient);
+    try {
+        const response = await cfn.send(new GetTemplateCommand({
+            StackName: stackName,
+            TemplateStage: "Original",
+        }));
+        return response.TemplateBody;
+    }
+    catch (e) {
+        if (e.name === "ValidationError" && e.message.includes("does not exist")) {
+            return;
+        }
+        throw e;
+    }
+}
+function hash(input) {
+    return crypto.createHash("sha256").update(input).digest("hex");
+}
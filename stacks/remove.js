@@ -3,15 +3,17 @@ import { useBus } from "../bus.js";
 import { useAWSClient, useAWSProvider } from "../credentials.js";
 import { Logger } from "../logger.js";
 import { monitor, isFailed } from "./monitor.js";
+import { retryThrottled, sortByPriority, stackPriority, useStackSemaphore, } from "./concurrency.js";
 export async function removeMany(stacks) {
     await useAWSProvider();
     const bus = useBus();
+    const semaphore = useStackSemaphore();
     const complete = new Set();
     const todo = new Set(stacks.map((s) => s.id));
     const results = {};
     return new Promise((resolve) => {
         async function trigger() {
-            for (const stack of stacks) {
+            for (const stack of sortByPriority(stacks)) {
                 if (!todo.has(stack.id))
                     continue;
                 Logger.debug("Checking if", stack.id, "can be removed");
@@ -26,7 +28,17 @@ export async function removeMany(stacks) {
                     Logger.debug("Waiting on", waiting.map((s) => s.id));
                     continue;
                 }
-                remove(stack).then((result) => {
+                semaphore
+                    .lock(stackPriority(stack))
+                    .then(async (unlock) => {
+                    try {
+                        return await remove(stack);
+                    }
+                    finally {
+                        unlock();
+                    }
+                })
+                    .then((result) => {
                     results[stack.id] = result;
                     complete.add(stack.id);
                     if (isFailed(result.status))
@@ -59,9 +71,9 @@ export async function remove(stack) {
     Logger.debug("Removing stack", stack.id);
     const cfn = useAWSClient(CloudFormationClient);
     try {
-        await cfn.send(new DeleteStackCommand({
+        await retryThrottled(() => cfn.send(new DeleteStackCommand({
             StackName: stack.stackName,
-        }));
+        })));
         return monitor(stack.stackName);
     }
     catch (ex) {
@@ -0,0 +1,47 @@
+import { StackDeploymentResult } from "./monitor.js";
+export interface StageInfo {
+    stage: string;
+    /**
+     * The mode the stage was last used in, from the app metadata
+     */
+    mode?: "deploy" | "dev";
+    /**
+     * Whether this is the stage the CLI is running against
+     */
+    current: boolean;
+    lastDeployed?: string;
+    stacks: {
+        stackName: string;
+        status?: string;
+        updatedAt?: string;
+        exports: string[];
+    }[];
+}
+/**
+ * Lists the stages of the app, using the deployed stacks and the state kept
+ * in the bootstrap bucket. Newest deployments first.
+ */
+export declare function listStages(): Promise<StageInfo[]>;
+/**
+ * Returns the stacks, constructs and number of parameters of a stage
+ */
+export declare function inspectStage(stage: string): Promise<(StageInfo & {
+    constructs: {
+        id: string;
+        type: string;
+        stack: string;
+    }[];
+    secrets: string[];
+    parameters: number;
+}) | undefined>;
+/**
+ * Removes all the stacks of a stage, along with its secrets and the state
+ * kept in the bootstrap bucket.
+ */
+export declare function removeStage(stage: string): Promise<{
+    results: Record<string, StackDeploymentResult>;
+    /**
+     * Number of SSM parameters removed
+     */
+    parameters: number;
+}>;
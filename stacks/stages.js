@@ -0,0 +1,235 @@
+import { CloudFormationClient, DescribeStacksCommand, } from "@aws-sdk/client-cloudformation";
+import { SSMClient, GetParametersByPathCommand } from "@aws-sdk/client-ssm";
+import { S3Client, DeleteObjectsCommand, GetObjectCommand, ListObjectsV2Command, } from "@aws-sdk/client-s3";
+import { useBootstrap } from "../bootstrap.js";
+import { useAWSClient, useAWSCredentials } from "../credentials.js";
+import { Logger } from "../logger.js";
+import { useProject } from "../project.js";
+import { listImports } from "./deploy.js";
+import { removeMany } from "./remove.js";
+/**
+ * Lists the stages of the app, using the deployed stacks and the state kept
+ * in the bootstrap bucket. Newest deployments first.
+ */
+export async function listStages() {
+    const project = useProject();
+    const [stacks, modes, metadataStages] = await Promise.all([
+        listStacks(),
+        listModes(),
+        listMetadataStages(),
+    ]);
+    const names = new Set([
+        ...stacks.map((s) => s.stage),
+        ...Object.keys(modes),
+        ...metadataStages,
+    ]);
+    return [...names]
+        .map((stage) => {
+        const stageStacks = stacks.filter((s) => s.stage === stage);
+        return {
+            stage,
+            mode: modes[stage],
+            current: stage === project.config.stage,
+            lastDeployed: stageStacks
+                .map((s) => s.updatedAt)
+                .sort()
+                .at(-1),
+            stacks: stageStacks.map(({ stage, ...rest }) => rest),
+        };
+    })
+        .sort((a, b) => (b.lastDeployed || "").localeCompare(a.lastDeployed || ""));
+}
+/**
+ * Returns the stacks, constructs and number of parameters of a stage
+ */
+export async function inspectStage(stage) {
+    const stages = await listStages();
+    const found = stages.find((s) => s.stage === stage);
+    if (!found)
+        return;
+    const [s3, bootstrap] = await useS3();
+    const keys = await listKeys(`stackMetadata/app.${useProject().config.name}/stage.${stage}/`);
+    const constructs = (await Promise.all(keys.map(async (key) => {
+        const result = await s3.send(new GetObjectCommand({
+            Key: key,
+            Bucket: bootstrap.bucket,
+        }));
+        return JSON.parse(await result.Body.transformToString());
+    }))).flat();
+    const parameters = await listParameters(await ssmPrefixFor(stage));
+    return {
+        ...found,
+        constructs: constructs.map((c) => ({
+            id: c.id,
+            type: c.type,
+            stack: c.stack,
+        })),
+        secrets: parameters
+            .filter((name) => name.includes("/Secret/"))
+            .map((name) => name.split("/").at(-2)),
+        parameters: parameters.length,
+    };
+}
+/**
+ * Removes all the stacks of a stage, along with its secrets and the state
+ * kept in the bootstrap bucket.
+ */
+export async function removeStage(stage) {
+    const project = useProject();
+    const stacks = (await listStacks()).filter((s) => s.stage === stage);
+    // Order removal by the exports stacks import from each other
+    const artifacts = stacks.map((s) => ({
+        id: s.stackName,
+        stackName: s.stackName,
+        dependencies: [],
+    }));
+    for (const stack of stacks) {
+        for (const exportName of stack.exports) {
+            for (const importer of await listImports(exportName)) {
+                artifacts
+                    .find((a) => a.stackName === importer)
+                    ?.dependencies.push({ id: stack.stackName });
+            }
+        }
+    }
+    const results = artifacts.length ? await removeMany(artifacts) : {};
+    const failed = Object.values(results).some((r) => r.status !== "DELETE_COMPLETE");
+    if (failed)
+        return { results, parameters: 0 };
+    Logger.debug("Cleaning up stage", stage);
+    const { Config } = await import("../config.js");
+    const parameters = await Config.removeParameters(await ssmPrefixFor(stage));
+    await deleteKeys([
+        `appMetadata/app.${project.config.name}/stage.${stage}.json`,
+        ...(await listKeys(`stackMetadata/app.${project.config.name}/stage.${stage}/`)),
+        ...(await listKeys(`deployments/app.${project.config.name}/stage.${stage}/`)),
+    ]);
+    return { results, parameters };
+}
+async function ssmPrefixFor(stage) {
+    const project = useProject();
+    if (stage === project.config.stage)
+        return project.config.ssmPrefix;
+    // A custom ssmPrefix can depend on the stage, so evaluate the config for
+    // the other stage the same way the project is initialized
+    const { load } = await import("./build.js");
+    const [_metafile, sstConfig] = await load(project.paths.config, true);
+    const config = await Promise.resolve(sstConfig.config({
+        stage,
+        profile: project.config.profile,
+        region: project.config.region,
+        role: project.config.role,
+        root: project.paths.root,
+    }));
+    return config.ssmPrefix || `/sst/${config.name}/${stage}/`;
+}
+async function listStacks() {
+    const project = useProject();
+    const cfn = useAWSClient(CloudFormationClient);
+    const result = [];
+    let nextToken;
+    do {
+        const page = await cfn.send(new DescribeStacksCommand({ NextToken: nextToken }));
+        for (const stack of page.Stacks || []) {
+            const tags = Object.fromEntries((stack.Tags || []).map((t) => [t.Key, t.Value]));
+            if (tags["sst:app"] !== project.config.name || !tags["sst:stage"])
+                continue;
+            result.push({
+                stage: tags["sst:stage"],
+                stackName: stack.StackName,
+                status: stack.StackStatus,
+                updatedAt: (stack.LastUpdatedTime || stack.CreationTime)?.toISOString(),
+                exports: (stack.Outputs || [])
+                    .map((o) => o.ExportName)
+                    .filter((name) => Boolean(name)),
+            });
+        }
+        nextToken = page.NextToken;
+    } while (nextToken);
+    return result;
+}
+async function listModes() {
+    const project = useProject();
+    const [s3, bootstrap] = await useS3();
+    const prefix = `appMetadata/app.${project.config.name}/`;
+    const keys = await listKeys(prefix);
+    return Object.fromEntries(await Promise.all(keys.map(async (key) => {
+        const stage = key.substring(prefix.length).replace(/^stage\./, "").replace(/\.json$/, "");
+        try {
+            const result = await s3.send(new GetObjectCommand({
+                Key: key,
+                Bucket: bootstrap.bucket,
+            }));
+            return [stage, JSON.parse(await result.Body.transformToString()).mode];
+        }
+        catch (ex) {
+            Logger.debug("Failed to read app metadata", key, ex);
+            return [stage, undefined];
+        }
+    })));
+}
+async function listMetadataStages() {
+    const project = useProject();
+    const [s3, bootstrap] = await useS3();
+    const prefix = `stackMetadata/app.${project.config.name}/`;
+    const result = await s3.send(new ListObjectsV2Command({
+        Prefix: prefix,
+        Bucket: bootstrap.bucket,
+        Delimiter: "/",
+    }));
+    return (result.CommonPrefixes || []).map((p) => p.Prefix.substring(prefix.length).replace(/^stage\./, "").replace(/\/$/, ""));
+}
+async function listParameters(prefix) {
+    const ssm = useAWSClient(SSMClient);
+    const names = [];
+    let token;
+    do {
+        const result = await ssm.send(new GetParametersByPathCommand({
+            Path: prefix,
+            Recursive: true,
+            NextToken: token,
+        }));
+        names.push(...(result.Parameters || []).map((p) => p.Name));
+        token = result.NextToken;
+    } while (token);
+    return names;
+}
+async function listKeys(prefix) {
+    const [s3, bootstrap] = await useS3();
+    const keys = [];
+    let token;
+    do {
+        const result = await s3.send(new ListObjectsV2Command({
+            Prefix: prefix,
+            Bucket: bootstrap.bucket,
+            ContinuationToken: token,
+        }));
+        keys.push(...(result.Contents || []).map((obj) => obj.Key));
+        token = result.NextContinuationToken;
+    } while (token);
+    return keys;
+}
+async function deleteKeys(keys) {
+    const [s3, bootstrap] = await useS3();
+    for (let i = 0; i < keys.length; i += 1000) {
+        await s3.send(new DeleteObjectsCommand({
+            Bucket: bootstrap.bucket,
+            Delete: {
+                Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })),
+                Quiet: true,
+            },
+        }));
+    }
+}
+async function useS3() {
+    const [project, credentials, bootstrap] = await Promise.all([
+        useProject(),
+        useAWSCredentials(),
+        useBootstrap(),
+    ]);
+    const s3 = new S3Client({
+        region: project.config.region,
+        credentials,
+    });
+    return [s3, bootstrap];
+}
@@ -7,6 +7,7 @@ interface SynthOptions {
     mode: App["mode"];
     fn: (app: App) => Promise<void> | void;
     isActiveStack?: (stackName: string) => boolean;
+    offline?: boolean;
 }
 export declare function synth(opts: SynthOptions): Promise<import("aws-cdk-lib/cx-api").CloudAssembly>;
 export {};
@@ -26,7 +26,11 @@ export async function synth(opts) {
         process.chdir(cwd);
     }
     async function synthInRoot() {
-        const identity = await useSTSIdentity();
+        // Offline synth (ie. `sst dev --local`) must not reach out to AWS, so
+        // fall back to a placeholder account
+        const identity = opts.offline
+            ? { Account: process.env.CDK_DEFAULT_ACCOUNT || "000000000000" }
+            : await useSTSIdentity();
         opts = {
             ...opts,
             buildDir: opts.buildDir || path.join(project.paths.out, "dist"),
@@ -46,6 +50,7 @@ export async function synth(opts) {
                 debugIncreaseTimeout: opts.increaseTimeout,
                 debugScriptVersion: opts.scriptVersion,
                 isActiveStack: opts.isActiveStack,
+                offline: opts.offline,
             }, {
                 outdir: opts.buildDir,
                 context: {
@@ -58,9 +63,11 @@ export async function synth(opts) {
             const assembly = app.synth();
             Logger.debug(assembly.manifest.missing);
             const { missing } = assembly.manifest;
-            const provider = await useAWSProvider();
             if (missing && missing.length) {
                 const next = missing.map((x) => x.key);
+                if (opts.offline)
+                    throw new VisibleError(`Could not resolve context values for ${next.join(", ")} without connecting to AWS. Run "sst dev" without "--local" once to cache them in cdk.context.json.`);
+                const provider = await useAWSProvider();
                 if (next.length === previous.size && next.every((x) => previous.has(x)))
                     throw new VisibleError(formatErrorMessage(next.join("")));
                 Logger.debug("Looking up context for:", next, "Previous:", previous);
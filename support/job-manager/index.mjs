@@ -37279,15 +37279,17 @@ async function handler(event, context) {
     return run(event, context);
   } else if (event.action === "cancel") {
     return cancel(event);
+  } else if (event.action === "status") {
+    return status(event);
   }
 }
 async function run(event, context) {
-  const { jobId, logUrl } = process.env.SST_JOB_PROVIDER === "codebuild" ? await runCodeBuild(event) : await runLambda(event, context);
+  const { jobId, logUrl, deadline } = process.env.SST_JOB_PROVIDER === "codebuild" ? await runCodeBuild(event) : await runLambda(event, context);
   console.log("Job started", {
     jobId,
     logUrl
   });
-  return { jobId };
+  return { jobId, deadline };
 }
 async function runCodeBuild(event) {
   const projectName = process.env.SST_JOB_RUNNER;
@@ -37310,7 +37312,7 @@ async function runCodeBuild(event) {
 }
 async function runLambda(event, context) {
   const functionName = process.env.SST_JOB_RUNNER;
-  await lambda.send(
+  const resp = await lambda.send(
     new import_client_lambda.InvokeCommand({
       FunctionName: functionName,
       InvocationType: "Event",
@@ -37318,17 +37320,54 @@ async function runLambda(event, context) {
     })
   );
   return {
-    jobId: context.awsRequestId,
-    logUrl: "placeholder"
+    // The async invocation runs with the same request id, so the handler
+    // can use it to report back
+    jobId: resp.$metadata.requestId || context.awsRequestId,
+    logUrl: "placeholder",
+    deadline: new Date(
+      Date.now() + Number(process.env.SST_JOB_TIMEOUT) * 1e3
+    ).toISOString()
   };
 }
 async function cancel(event) {
-  if (process.env.SST_JOB_PROVIDER === "codebuild") {
-    await codebuild.send(
-      new import_client_codebuild.StopBuildCommand({
-        id: event.jobId
-      })
-    );
+  if (process.env.SST_JOB_PROVIDER !== "codebuild")
+    return { cancelled: false };
+  await codebuild.send(
+    new import_client_codebuild.StopBuildCommand({
+      id: event.jobId
+    })
+  );
+  return { cancelled: true };
+}
+async function status(event) {
+  if (process.env.SST_JOB_PROVIDER !== "codebuild")
+    return {};
+  const resp = await codebuild.send(
+    new import_client_codebuild.BatchGetBuildsCommand({
+      ids: event.jobIds
+    })
+  );
+  return Object.fromEntries(
+    (resp.builds || []).map((build) => [
+      build.id,
+      {
+        status: normalizeBuildStatus(build.buildStatus),
+        startedAt: build.startTime?.toISOString(),
+        finishedAt: build.endTime?.toISOString()
+      }
+    ])
+  );
+}
+function normalizeBuildStatus(status) {
+  switch (status) {
+    case "SUCCEEDED":
+      return "succeeded";
+    case "STOPPED":
+      return "cancelled";
+    case "IN_PROGRESS":
+      return "running";
+    default:
+      return "failed";
   }
 }
 export {
@@ -3,5 +3,9 @@ export declare class Semaphore {
     private locked;
     private maxLocks;
     constructor(maxLocks?: number);
-    lock(): Promise<() => void>;
+    /**
+     * Waits for a free lock. When all locks are taken, waiters with a higher
+     * priority are handed the next free lock first.
+     */
+    lock(priority?: number): Promise<() => void>;
 }
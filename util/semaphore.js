@@ -5,14 +5,18 @@ export class Semaphore {
     constructor(maxLocks = 1) {
         this.maxLocks = maxLocks;
     }
-    lock() {
+    /**
+     * Waits for a free lock. When all locks are taken, waiters with a higher
+     * priority are handed the next free lock first.
+     */
+    lock(priority = 0) {
         return new Promise((resolve) => {
             const unlock = () => {
                 this.locked--;
                 const next = this.queue.shift();
                 if (next) {
                     this.locked++;
-                    next(unlock);
+                    next.resolve(unlock);
                 }
             };
             if (this.locked < this.maxLocks) {
@@ -20,7 +24,12 @@ export class Semaphore {
                 resolve(unlock);
             }
             else {
-                this.queue.push(unlock);
+                const item = { priority, resolve };
+                const index = this.queue.findIndex((queued) => queued.priority < priority);
+                if (index < 0)
+                    this.queue.push(item);
+                else
+                    this.queue.splice(index, 0, item);
             }
         });
     }